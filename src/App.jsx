@@ -7,6 +7,9 @@ import { Canvas } from '@react-three/fiber';
 import Level from './game/world/Level';
 import HUD from './components/HUD';
 import MainMenu from './components/MainMenu';
+import DialogBox from './components/DialogBox';
+import VoiceControl from './components/VoiceControl';
+import TouchControls from './components/TouchControls';
 import useGameStore from './stores/gameStore';
 import './App.css';
 
@@ -15,6 +18,8 @@ import './App.css';
  */
 function App() {
   const phase = useGameStore((s) => s.phase);
+  const levelNumber = useGameStore((s) => s.levelNumber);
+  const levelAttempt = useGameStore((s) => s.levelAttempt);
 
   return (
     <div className="app-container" role="application" aria-label="Mario Infinite Kingdoms">
@@ -31,12 +36,16 @@ function App() {
         dpr={[1, 1.5]} // Limit device pixel ratio for performance
       >
         <color attach="background" args={['#87CEEB']} />
-        {phase !== 'menu' && <Level />}
+        {/* Keyed by level and attempt so entity state never leaks into the next level or a restart */}
+        {phase !== 'menu' && phase !== 'loading' && <Level key={`${levelNumber}-${levelAttempt}`} />}
       </Canvas>
 
       {/* HTML UI Overlay (sits on top of Canvas) */}
       <HUD />
+      <DialogBox />
+      <TouchControls />
       <MainMenu />
+      <VoiceControl />
     </div>
   );
 }
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Controls screen — rebind keys and gamepad buttons for each action.
+ * Also holds the touch control options. Everything is saved by the store as soon as it changes.
+ * ACCESSIBILITY: Table semantics, every binding is a button, capture prompts in a live region.
+ */
+import { useEffect, useState } from 'react';
+import useGameStore from '../stores/gameStore';
+import { pressedGamepadButtons, setInputCapture } from '../hooks/useInputActions';
+import { ACTION_LABELS, REBINDABLE_ACTIONS, formatButton, formatKey } from '../game/input/inputActions';
+import { TOUCH } from '../utils/constants';
+import './ControlsSettings.css';
+
+/** Touch option selects: setting key, label and the name shown for each value */
+const TOUCH_OPTIONS = [
+  { key: 'mode', label: 'Show', values: TOUCH.MODES, names: { auto: 'On touch screens', always: 'Always', never: 'Never' } },
+  { key: 'layout', label: 'Joystick', values: TOUCH.LAYOUTS, names: { 'joystick-left': 'Left', 'joystick-right': 'Right' } },
+  { key: 'size', label: 'Size', values: Object.keys(TOUCH.SIZES), names: { small: 'Small', medium: 'Medium', large: 'Large' } },
+];
+
+const DEVICES = [
+  { id: 'keyboard', label: 'Keyboard', format: formatKey, prompt: 'a key' },
+  { id: 'gamepad', label: 'Gamepad', format: formatButton, prompt: 'a gamepad button' },
+];
+
+/**
+ * Rebinding table with reset to defaults.
+ * @param {{onBack: () => void}} props
+ */
+export default function ControlsSettings({ onBack }) {
+  const bindings = useGameStore((s) => s.bindings);
+  const bindInput = useGameStore((s) => s.bindInput);
+  const unbindInput = useGameStore((s) => s.unbindInput);
+  const resetBindings = useGameStore((s) => s.resetBindings);
+  const touchSettings = useGameStore((s) => s.touchSettings);
+  const setTouchSettings = useGameStore((s) => s.setTouchSettings);
+  /** Device and action waiting for a new key or button, or null */
+  const [capture, setCapture] = useState(null);
+  const [message, setMessage] = useState('');
+
+  // Wait for the next key or button while capturing; nothing else reacts to it meanwhile
+  useEffect(() => {
+    if (!capture) return;
+    setInputCapture(true);
+
+    const finish = (input) => {
+      const error = bindInput(capture.device, capture.action, input);
+      const device = DEVICES.find((d) => d.id === capture.device);
+      setMessage(error ?? `${ACTION_LABELS[capture.action]}: added ${device.format(input)}`);
+      setCapture(null);
+    };
+
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (!e.repeat) finish(e.key.toLowerCase());
+    };
+
+    // Buttons already held when capture started (the A that pressed "+") don't count
+    let held = new Set(pressedGamepadButtons());
+    let frame = 0;
+    const poll = () => {
+      const pressed = pressedGamepadButtons();
+      const fresh = pressed.find((index) => !held.has(index));
+      if (fresh !== undefined) {
+        finish(fresh);
+        return;
+      }
+      held = new Set(pressed);
+      frame = requestAnimationFrame(poll);
+    };
+
+    if (capture.device === 'keyboard') window.addEventListener('keydown', handleKeyDown, true);
+    else frame = requestAnimationFrame(poll);
+
+    return () => {
+      setInputCapture(false);
+      window.removeEventListener('keydown', handleKeyDown, true);
+      cancelAnimationFrame(frame);
+    };
+  }, [capture, bindInput]);
+
+  const startCapture = (device, action) => {
+    setMessage('');
+    setCapture({ device, action });
+  };
+
+  const captureDevice = capture && DEVICES.find((d) => d.id === capture.device);
+
+  return (
+    <div className="controls-settings">
+      <h1 className="pause-title">CONTROLS</h1>
+
+      <table className="controls-table">
+        <thead>
+          <tr>
+            <th scope="col">Action</th>
+            {DEVICES.map((device) => (
+              <th key={device.id} scope="col">{device.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {REBINDABLE_ACTIONS.map((action) => (
+            <tr key={action}>
+              <th scope="row">{ACTION_LABELS[action]}</th>
+              {DEVICES.map((device) => {
+                const inputs = bindings[device.id][action];
+                const isCapturing = capture?.device === device.id && capture.action === action;
+                return (
+                  <td key={device.id}>
+                    {inputs.map((input) => (
+                      <button
+                        key={input}
+                        className="binding-chip"
+                        onClick={() => unbindInput(device.id, action, input)}
+                        disabled={inputs.length <= 1 || capture !== null}
+                        aria-label={`Remove ${device.format(input)} from ${ACTION_LABELS[action]}`}
+                        title={inputs.length <= 1 ? 'Every action needs at least one binding' : 'Remove'}
+                      >
+                        {device.format(input)}
+                        {inputs.length > 1 && <span aria-hidden="true"> ×</span>}
+                      </button>
+                    ))}
+                    <button
+                      className={`binding-add ${isCapturing ? 'binding-add-active' : ''}`}
+                      onClick={() => (isCapturing ? setCapture(null) : startCapture(device.id, action))}
+                      disabled={capture !== null && !isCapturing}
+                      aria-label={
+                        isCapturing
+                          ? 'Cancel rebinding'
+                          : `Add a ${device.label.toLowerCase()} binding for ${ACTION_LABELS[action]}`
+                      }
+                    >
+                      {isCapturing ? '…' : '+'}
+                    </button>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <p className="controls-message" role="status" aria-live="polite">
+        {capture ? `Press ${captureDevice.prompt} for ${ACTION_LABELS[capture.action]}…` : message}
+      </p>
+      <p className="controls-note">Gamepad left stick always moves; D-pad, A and B navigate menus.</p>
+
+      <h2 className="controls-title">Touch Controls</h2>
+      <div className="touch-options">
+        {TOUCH_OPTIONS.map((option) => (
+          <label key={option.key} className="touch-option">
+            {option.label}
+            <select
+              value={touchSettings[option.key]}
+              onChange={(e) => setTouchSettings({ [option.key]: e.target.value })}
+              disabled={capture !== null}
+            >
+              {option.values.map((value) => (
+                <option key={value} value={value}>
+                  {option.names[value]}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <div className="pause-buttons">
+        <button
+          className="menu-button menu-button-secondary"
+          onClick={() => {
+            resetBindings();
+            setMessage('Controls reset to defaults');
+          }}
+          disabled={capture !== null}
+          aria-label="Reset controls to defaults"
+        >
+          ↺ RESET TO DEFAULTS
+        </button>
+        <button
+          className="menu-button menu-button-secondary"
+          onClick={onBack}
+          disabled={capture !== null}
+          autoFocus
+          aria-label="Back"
+        >
+          ← BACK
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview NPC dialog overlay.
+ * Shows a "talk" prompt near an NPC, and a chat box while a conversation is open.
+ * Replies come from /api/npc-dialog via the store; every line is kept in dialogHistory.
+ * ACCESSIBILITY: Dialog role, live region for replies, keyboard-only operation.
+ */
+import { memo, useEffect, useRef, useState } from 'react';
+import useGameStore from '../stores/gameStore';
+import { useActionPress } from '../hooks/useInputActions';
+import { ACTIONS, formatKey } from '../game/input/inputActions';
+import { NPC } from '../utils/constants';
+import './DialogBox.css';
+
+/** Number of past lines shown in the chat box */
+const VISIBLE_LINES = 6;
+
+/**
+ * Dialog overlay — talk hint while an NPC is in range, chat box while talking.
+ * Memoized to avoid re-renders from unrelated store changes.
+ */
+const DialogBox = memo(function DialogBox() {
+  const phase = useGameStore((s) => s.phase);
+  const activeDialog = useGameStore((s) => s.activeDialog);
+  const dialogHistory = useGameStore((s) => s.dialogHistory);
+  const nearbyNPC = useGameStore((s) => s.nearbyNPC);
+  const talkKey = useGameStore((s) => s.bindings.keyboard[ACTIONS.TALK][0]);
+  const nearbyName = useGameStore((s) => (s.nearbyNPC === null ? null : s.levelData.npcs?.[s.nearbyNPC]?.name));
+  const openDialog = useGameStore((s) => s.openDialog);
+  const closeDialog = useGameStore((s) => s.closeDialog);
+  const sendDialogMessage = useGameStore((s) => s.sendDialogMessage);
+  const [message, setMessage] = useState('');
+  const inputRef = useRef(null);
+  const logRef = useRef(null);
+
+  // Talk (E / X) opens a conversation with the nearby NPC; Escape or B ends it
+  useActionPress((action, e) => {
+    // Letters typed into the chat box are text, not actions
+    if (e?.target instanceof HTMLInputElement && e.key !== 'Escape') return;
+
+    if (activeDialog && (action === ACTIONS.BACK || (action === ACTIONS.PAUSE && e?.key === 'Escape'))) {
+      // Stop the pause menu from treating the same Escape as a pause
+      e?.stopImmediatePropagation();
+      closeDialog();
+    } else if (action === ACTIONS.TALK && !activeDialog && nearbyNPC !== null && phase === 'playing') {
+      e?.preventDefault(); // Keep the E out of the input that is about to focus
+      openDialog(nearbyNPC);
+    }
+  });
+
+  // Close the conversation when the player leaves the playing phase
+  useEffect(() => {
+    if (phase !== 'playing' && activeDialog) closeDialog();
+  }, [phase, activeDialog, closeDialog]);
+
+  const isOpen = activeDialog !== null;
+  const isPending = activeDialog?.pending ?? false;
+
+  useEffect(() => {
+    if (isOpen && !isPending) inputRef.current?.focus();
+  }, [isOpen, isPending]);
+
+  useEffect(() => {
+    if (logRef.current) logRef.current.scrollTop = logRef.current.scrollHeight;
+  }, [dialogHistory]);
+
+  if (phase !== 'playing') return null;
+
+  if (!activeDialog) {
+    if (nearbyName === null || nearbyName === undefined) return null;
+    return (
+      <div className="dialog-hint" role="status">
+        Press <kbd>{formatKey(talkKey)}</kbd> to talk to {nearbyName}
+      </div>
+    );
+  }
+
+  const lines = dialogHistory.filter((entry) => entry.npcName === activeDialog.name).slice(-VISIBLE_LINES);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!message.trim() || isPending) return;
+    sendDialogMessage(message);
+    setMessage('');
+  };
+
+  return (
+    <div className="dialog-box" role="dialog" aria-label={`Talking to ${activeDialog.name}`}>
+      <div className="dialog-header">
+        <span className="dialog-name">{activeDialog.name}</span>
+        <button type="button" className="dialog-close" onClick={closeDialog} aria-label="End conversation">
+          ✕
+        </button>
+      </div>
+
+      <div className="dialog-log" ref={logRef} aria-live="polite">
+        {lines.length === 0 && (
+          <p className="dialog-line dialog-line-npc">Hi there! What do you want to ask me?</p>
+        )}
+        {lines.map((entry) => (
+          <p key={`${entry.timestamp}-${entry.speaker}`} className={`dialog-line dialog-line-${entry.speaker}`}>
+            {entry.text}
+          </p>
+        ))}
+        {isPending && <p className="dialog-line dialog-line-npc dialog-typing">...</p>}
+      </div>
+
+      <form className="dialog-form" onSubmit={handleSubmit}>
+        <input
+          ref={inputRef}
+          className="dialog-input"
+          type="text"
+          value={message}
+          maxLength={NPC.MAX_MESSAGE_LENGTH}
+          onChange={(e) => setMessage(e.target.value)}
+          placeholder={`Say something to ${activeDialog.name}...`}
+          aria-label="Your message"
+          disabled={isPending}
+        />
+        <button type="submit" className="dialog-send" disabled={isPending || !message.trim()}>
+          Send
+        </button>
+      </form>
+      <p className="dialog-footer">Enter to send · Esc to leave</p>
+    </div>
+  );
+});
+
+export default DialogBox;
@@ -1,10 +1,12 @@
 /**
  * @fileoverview Heads-Up Display (HUD) overlay.
- * Shows health, coins, score, and level number.
+ * Shows health, coins, score, level number, and a badge during replays.
+ * On castle levels a health bar for the boss sits under the stats.
  * ACCESSIBILITY: Uses ARIA labels, high contrast, semantic HTML.
  */
 import { memo } from 'react';
 import useGameStore from '../stores/gameStore';
+import { BOSS } from '../utils/constants';
 import './HUD.css';
 
 /**
@@ -17,8 +19,11 @@ const HUD = memo(function HUD() {
   const score = useGameStore((s) => s.player.score);
   const levelNumber = useGameStore((s) => s.levelNumber);
   const phase = useGameStore((s) => s.phase);
+  const isReplay = useGameStore((s) => s.replay !== null);
+  const hasBoss = useGameStore((s) => Boolean(s.levelData.boss));
+  const bossHealth = useGameStore((s) => s.bossHealth);
 
-  if (phase !== 'playing' && phase !== 'victory') return null;
+  if (phase !== 'playing' && phase !== 'victory' && phase !== 'paused') return null;
 
   return (
     <div className="hud" role="status" aria-label="Game status">
@@ -56,7 +61,30 @@ const HUD = memo(function HUD() {
           <span className="hud-label">WORLD</span>
           <span className="hud-value">1-{levelNumber}</span>
         </div>
+
+        {isReplay && (
+          <div className="hud-item hud-replay" aria-label="Watching a replay">
+            🎬 REPLAY
+          </div>
+        )}
       </div>
+
+      {/* Boss health */}
+      {hasBoss && (
+        <div className="hud-boss">
+          <span className="hud-label">{BOSS.NAME}</span>
+          <div
+            className="hud-boss-bar"
+            role="progressbar"
+            aria-label={`${BOSS.NAME} health`}
+            aria-valuemin={0}
+            aria-valuemax={BOSS.MAX_HEALTH}
+            aria-valuenow={bossHealth}
+          >
+            <div className="hud-boss-fill" style={{ width: `${(bossHealth / BOSS.MAX_HEALTH) * 100}%` }} />
+          </div>
+        </div>
+      )}
     </div>
   );
 });
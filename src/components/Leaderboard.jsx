@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Leaderboard screen and score submission form.
+ * Both talk to the proxy's /api/scores routes through leaderboardService.
+ * ACCESSIBILITY: Labelled form fields, table semantics, live status messages.
+ */
+import { useEffect, useState } from 'react';
+import useGameStore from '../stores/gameStore';
+import { buildScoreSubmission, fetchScores, submitScore } from '../game/leaderboard/leaderboardService';
+import './Leaderboard.css';
+
+/** Formats seconds as m:ss.s */
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * Name form shown on the victory and game-over screens.
+ * Submits the level that just ended and reports the resulting rank.
+ */
+export function ScoreSubmitForm() {
+  const playerName = useGameStore((s) => s.playerName);
+  const setPlayerName = useGameStore((s) => s.setPlayerName);
+  const [status, setStatus] = useState({ state: 'idle', message: '' });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!playerName.trim() || status.state === 'pending') return;
+
+    setStatus({ state: 'pending', message: 'Submitting...' });
+    try {
+      const { rank } = await submitScore(buildScoreSubmission(useGameStore.getState(), playerName.trim()));
+      setStatus({ state: 'done', message: rank ? `Ranked #${rank} on this level!` : 'Score recorded!' });
+    } catch (error) {
+      setStatus({ state: 'error', message: error.message });
+    }
+  };
+
+  if (status.state === 'done') {
+    return <p className="score-submit-status" role="status">🏆 {status.message}</p>;
+  }
+
+  return (
+    <form className="score-submit" onSubmit={handleSubmit}>
+      <input
+        className="score-submit-input"
+        type="text"
+        value={playerName}
+        maxLength={16}
+        onChange={(e) => setPlayerName(e.target.value)}
+        placeholder="Your name"
+        aria-label="Name for the leaderboard"
+        disabled={status.state === 'pending'}
+      />
+      <button
+        type="submit"
+        className="score-submit-button"
+        disabled={status.state === 'pending' || !playerName.trim()}
+      >
+        SUBMIT SCORE
+      </button>
+      {status.message && (
+        <p className={`score-submit-status score-submit-${status.state}`} role="status">
+          {status.message}
+        </p>
+      )}
+    </form>
+  );
+}
+
+/**
+ * Leaderboard screen with level and seed filters.
+ * @param {{onBack: () => void}} props
+ */
+export default function Leaderboard({ onBack }) {
+  const [levelFilter, setLevelFilter] = useState('1');
+  const [seedFilter, setSeedFilter] = useState('');
+  const [scores, setScores] = useState([]);
+  const [status, setStatus] = useState('loading');
+
+  useEffect(() => {
+    let cancelled = false; // Ignore responses for filters that have since changed
+    const toInt = (value) => (value.trim() === '' ? undefined : Number.parseInt(value, 10));
+
+    fetchScores({ levelNumber: toInt(levelFilter), seed: toInt(seedFilter) })
+      .then((result) => {
+        if (cancelled) return;
+        setScores(result);
+        setStatus('ready');
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.warn('Could not load leaderboard:', error.message);
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [levelFilter, seedFilter]);
+
+  const handleFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setStatus('loading');
+  };
+
+  return (
+    <div className="leaderboard">
+      <h1 className="leaderboard-title">🏆 LEADERBOARD</h1>
+
+      <div className="leaderboard-filters">
+        <label>
+          World 1-
+          <input
+            type="number"
+            min="1"
+            value={levelFilter}
+            onChange={handleFilter(setLevelFilter)}
+            placeholder="all"
+            aria-label="Level number"
+          />
+        </label>
+        <label>
+          Seed
+          <input
+            type="number"
+            min="0"
+            value={seedFilter}
+            onChange={handleFilter(setSeedFilter)}
+            placeholder="any"
+            aria-label="Level seed"
+          />
+        </label>
+      </div>
+
+      {status === 'loading' && <p className="leaderboard-status" role="status">Loading scores...</p>}
+      {status === 'error' && (
+        <p className="leaderboard-status" role="status">Leaderboard unavailable — is the API server running?</p>
+      )}
+      {status === 'ready' && scores.length === 0 && (
+        <p className="leaderboard-status" role="status">No scores yet. Be the first!</p>
+      )}
+      {status === 'ready' && scores.length > 0 && (
+        <table className="leaderboard-table">
+          <thead>
+            <tr>
+              <th scope="col">#</th>
+              <th scope="col">Name</th>
+              <th scope="col">Score</th>
+              <th scope="col">🪙</th>
+              <th scope="col">Time</th>
+              <th scope="col">Deaths</th>
+            </tr>
+          </thead>
+          <tbody>
+            {scores.map((entry, i) => (
+              <tr key={entry.id}>
+                <td>{i + 1}</td>
+                <td>
+                  {entry.name}
+                  {!entry.completed && <span className="leaderboard-dnf" title="Did not finish"> DNF</span>}
+                  {!entry.verified && (
+                    <span className="leaderboard-unverified" title="Generated level the server could not rebuild to check this score">
+                      {' '}
+                      *
+                    </span>
+                  )}
+                </td>
+                <td>{entry.score}</td>
+                <td>{entry.coins}</td>
+                <td>{formatTime(entry.time)}</td>
+                <td>{entry.deaths}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <button className="menu-button menu-button-secondary" onClick={onBack} autoFocus aria-label="Back to main menu">
+        ← BACK
+      </button>
+    </div>
+  );
+}
@@ -5,8 +5,118 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
 import useGameStore from '../stores/gameStore';
 import { useVoiceInput } from '../hooks/useVoiceInput';
+import { useActionPress } from '../hooks/useInputActions';
+import { ACTIONS, ACTION_LABELS, REBINDABLE_ACTIONS, formatButton, formatKey } from '../game/input/inputActions';
+import Leaderboard, { ScoreSubmitForm } from './Leaderboard';
+import ControlsSettings from './ControlsSettings';
+import { exportRecording, importRecording } from '../game/replay/replaySystem';
+import { exportGhost, importGhost } from '../game/replay/ghostSystem';
+import { REPLAY, GHOST, VOICE, BOSS } from '../utils/constants';
 import './MainMenu.css';
 
+/**
+ * Moves focus to the previous or next control in a menu (gamepad navigation).
+ * @param {Element} container - The menu overlay
+ * @param {number} step - -1 for up, 1 for down
+ */
+function moveMenuFocus(container, step) {
+  const controls = [
+    ...container.querySelectorAll('button:not([disabled]), input:not([hidden]):not([disabled])'),
+  ];
+  if (controls.length === 0) return;
+  const index = controls.indexOf(document.activeElement);
+  const next = index === -1 ? 0 : (index + step + controls.length) % controls.length;
+  controls[next].focus();
+}
+
+/**
+ * Downloads JSON text as a file.
+ * @param {string} text
+ * @param {string} filename
+ */
+function downloadJSON(text, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Exports the input recorded for the current level attempt (or the replay being watched).
+ */
+function SaveReplayButton() {
+  const recording = useGameStore((s) => s.replay ?? s.recording);
+  if (!recording) return null;
+
+  return (
+    <button
+      className="menu-button menu-button-secondary"
+      onClick={() =>
+        downloadJSON(
+          exportRecording(recording),
+          `${REPLAY.FILE_PREFIX}-1-${recording.levelNumber}-${recording.recordedAt}.json`
+        )
+      }
+      aria-label="Save replay of this level as a file"
+    >
+      💾 SAVE REPLAY
+    </button>
+  );
+}
+
+/**
+ * Exports the ghost on this level so someone else can race it.
+ */
+function SaveGhostButton() {
+  const ghost = useGameStore((s) => s.ghost);
+  if (!ghost) return null;
+
+  return (
+    <button
+      className="menu-button menu-button-secondary"
+      onClick={() => downloadJSON(exportGhost(ghost), `${GHOST.FILE_PREFIX}-1-${ghost.levelNumber}-${ghost.levelHash}.json`)}
+      aria-label={`Save ghost of a ${ghost.time.toFixed(1)} second run as a file`}
+    >
+      👻 SAVE GHOST
+    </button>
+  );
+}
+
+/**
+ * Controls reference rendered from the live bindings, shared by the main menu and pause settings.
+ */
+function ControlsList({ voiceSupported }) {
+  const bindings = useGameStore((s) => s.bindings);
+
+  return (
+    <div className="menu-controls" aria-label="Game controls">
+      <h2 className="controls-title">Controls</h2>
+      <div className="control-grid">
+        {REBINDABLE_ACTIONS.map((action) => (
+          <div key={action} className="control-item">
+            {bindings.keyboard[action].map((key) => (
+              <kbd key={key}>{formatKey(key)}</kbd>
+            ))}
+            <span>·</span>
+            {bindings.gamepad[action].map((button) => (
+              <kbd key={button}>🎮 {formatButton(button)}</kbd>
+            ))}
+            <span className="control-label">{ACTION_LABELS[action]}</span>
+          </div>
+        ))}
+        {voiceSupported && (
+          <div className="control-item">
+            <kbd>{VOICE.PUSH_TO_TALK_KEY.toUpperCase()}</kbd>
+            <span className="control-label">Hold to speak</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
 /**
  * Main menu screen with animated title, controls, and accessibility features.
  */
@@ -17,34 +127,179 @@ export default function MainMenu() {
   const score = useGameStore((s) => s.player.score);
   const coins = useGameStore((s) => s.player.coins);
   const nextLevel = useGameStore((s) => s.nextLevel);
-  const setPhase = useGameStore((s) => s.setPhase);
+  const levelNumber = useGameStore((s) => s.levelNumber);
+  const difficulty = useGameStore((s) => s.difficulty);
+  const loadingMessage = useGameStore((s) => s.loadingMessage);
+  const togglePause = useGameStore((s) => s.togglePause);
+  const resumeGame = useGameStore((s) => s.resumeGame);
+  const restartLevel = useGameStore((s) => s.restartLevel);
+  const quitToMenu = useGameStore((s) => s.quitToMenu);
+  const saveSlots = useGameStore((s) => s.saveSlots);
+  const continueGame = useGameStore((s) => s.continueGame);
+  const deleteSaveSlot = useGameStore((s) => s.deleteSaveSlot);
+  const refreshSaveSlots = useGameStore((s) => s.refreshSaveSlots);
+  const voiceContinuous = useGameStore((s) => s.voiceContinuous);
+  const setVoiceContinuous = useGameStore((s) => s.setVoiceContinuous);
+  const replay = useGameStore((s) => s.replay);
+  const startReplay = useGameStore((s) => s.startReplay);
+  const ghost = useGameStore((s) => s.ghost);
+  const newBestGhost = useGameStore((s) => s.newBestGhost);
+  const bossLevel = useGameStore((s) => Boolean(s.levelData.boss));
+  const raceGhost = useGameStore((s) => s.raceGhost);
+  const ghostsEnabled = useGameStore((s) => s.ghostsEnabled);
+  const setGhostsEnabled = useGameStore((s) => s.setGhostsEnabled);
   const { isSupported: voiceSupported } = useVoiceInput();
+  const [showSettings, setShowSettings] = useState(false);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [showControls, setShowControls] = useState(false);
+  const [replayError, setReplayError] = useState('');
+  const [ghostError, setGhostError] = useState('');
 
   const startButtonRef = useRef(null);
+  const replayInputRef = useRef(null);
+  const ghostInputRef = useRef(null);
+
+  const usedSlots = saveSlots.filter((s) => !s.empty).sort((a, b) => b.savedAt - a.savedAt);
+  const latestSave = usedSlots[0] ?? null;
+  // New games go to the first free slot, or overwrite the oldest save when all are used
+  const newGameSlot = (saveSlots.find((s) => s.empty) ?? usedSlots[usedSlots.length - 1])?.slot ?? 1;
+
+  // Pause (Escape / P / Start) toggles the pause menu; it is left to the dialog box
+  // while talking to an NPC. Gamepads also navigate menus: up/down, A and B.
+  useActionPress((action, e) => {
+    const { phase: current, activeDialog } = useGameStore.getState();
+
+    if (action === ACTIONS.PAUSE) {
+      if (e?.target instanceof HTMLInputElement && e.target.type === 'text') return;
+      if ((current !== 'playing' && current !== 'paused') || activeDialog) return;
+      e?.preventDefault();
+      togglePause();
+      return;
+    }
+
+    const overlay = document.querySelector('.menu-overlay');
+    if (e || !overlay) return; // Keyboard menus use native Tab / Enter
+
+    if (action === ACTIONS.MENU_UP) moveMenuFocus(overlay, -1);
+    else if (action === ACTIONS.MENU_DOWN) moveMenuFocus(overlay, 1);
+    else if (action === ACTIONS.CONFIRM && overlay.contains(document.activeElement)) document.activeElement.click();
+    else if (action === ACTIONS.BACK) {
+      if (showControls) {
+        setShowControls(false);
+      } else if (current === 'paused') {
+        if (showSettings) setShowSettings(false);
+        else resumeGame();
+      } else if (showLeaderboard) {
+        setShowLeaderboard(false);
+      }
+    }
+  });
+
+  // Always reopen the pause menu on its main page
+  useEffect(() => {
+    if (phase !== 'paused') {
+      setShowSettings(false);
+      setShowControls(false);
+      setGhostError('');
+    }
+  }, [phase]);
+
+  // Re-read save slots and focus the first button when the menu appears
+  useEffect(() => {
+    if (phase === 'menu') refreshSaveSlots();
+  }, [phase, refreshSaveSlots]);
 
-  // Focus the start button when menu appears
   useEffect(() => {
     if (phase === 'menu' && startButtonRef.current) {
       startButtonRef.current.focus();
     }
-  }, [phase]);
+  }, [phase, latestSave?.slot]);
 
   const handleStart = useCallback(() => {
-    startGame();
-  }, [startGame]);
+    startGame(newGameSlot);
+  }, [startGame, newGameSlot]);
+
+  const handleContinue = useCallback(() => {
+    if (latestSave) continueGame(latestSave.slot);
+  }, [continueGame, latestSave]);
 
   const handleRestart = useCallback(() => {
     resetGame();
   }, [resetGame]);
 
   const handleNextLevel = useCallback(() => {
+    // The store switches back to 'playing' once the new level is in place
     nextLevel();
-    // After a small delay, start playing the loaded level
-    setTimeout(() => {
-      setPhase('playing');
-      useGameStore.setState({ levelStartTime: Date.now() });
-    }, 500);
-  }, [nextLevel, setPhase]);
+  }, [nextLevel]);
+
+  const handleReplayFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (!file) return;
+    try {
+      startReplay(importRecording(await file.text()));
+      setReplayError('');
+    } catch (error) {
+      setReplayError(error.message);
+    }
+  }, [startReplay]);
+
+  const handleGhostFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    let ghostFile;
+    try {
+      ghostFile = importGhost(await file.text());
+    } catch (error) {
+      setGhostError(error.message);
+      return;
+    }
+    setGhostError(raceGhost(ghostFile) ? '' : 'That ghost was recorded on a different level');
+  }, [raceGhost]);
+
+  /** Victory / game over buttons while watching a replay */
+  const replayButtons = replay && (
+    <>
+      <button
+        className="menu-button menu-button-primary"
+        onClick={() => startReplay(replay)}
+        autoFocus
+        aria-label="Watch the replay again"
+      >
+        🔄 WATCH AGAIN
+      </button>
+      <button
+        className="menu-button menu-button-secondary"
+        onClick={quitToMenu}
+        aria-label="Quit to main menu"
+      >
+        🏠 QUIT TO MENU
+      </button>
+    </>
+  );
+
+  // Leaderboard (opened from the main menu)
+  if (phase === 'menu' && showLeaderboard) {
+    return (
+      <div className="menu-overlay" role="dialog" aria-label="Leaderboard">
+        <div className="menu-container">
+          <Leaderboard onBack={() => setShowLeaderboard(false)} />
+        </div>
+      </div>
+    );
+  }
+
+  // Controls (opened from the main menu or pause settings)
+  if ((phase === 'menu' || phase === 'paused') && showControls) {
+    return (
+      <div className={`menu-overlay ${phase === 'paused' ? 'pause-overlay' : ''}`} role="dialog" aria-label="Controls">
+        <div className="menu-container">
+          <ControlsSettings onBack={() => setShowControls(false)} />
+        </div>
+      </div>
+    );
+  }
 
   // Main Menu
   if (phase === 'menu') {
@@ -73,29 +328,98 @@ export default function MainMenu() {
 
           <div className="menu-tagline">🍄 AI-Powered Procedural Adventures 🌟</div>
 
+          {latestSave && (
+            <button
+              ref={startButtonRef}
+              className="menu-button menu-button-primary"
+              onClick={handleContinue}
+              aria-label={`Continue from World 1-${latestSave.levelNumber}`}
+            >
+              <span className="btn-icon">▶</span>
+              CONTINUE
+            </button>
+          )}
+
           <button
-            ref={startButtonRef}
-            className="menu-button menu-button-primary"
+            ref={latestSave ? null : startButtonRef}
+            className={`menu-button ${latestSave ? 'menu-button-secondary' : 'menu-button-primary'}`}
             onClick={handleStart}
-            aria-label="Start new game"
+            aria-label={`Start new game in save slot ${newGameSlot}`}
           >
-            <span className="btn-icon">▶</span>
-            START GAME
+            <span className="btn-icon">{latestSave ? '✚' : '▶'}</span>
+            {latestSave ? 'NEW GAME' : 'START GAME'}
           </button>
 
-          <div className="menu-controls" aria-label="Game controls">
-            <h2 className="controls-title">Controls</h2>
-            <div className="control-grid">
-              <div className="control-item">
-                <kbd>←</kbd><kbd>→</kbd><span>or</span><kbd>A</kbd><kbd>D</kbd>
-                <span className="control-label">Move</span>
-              </div>
-              <div className="control-item">
-                <kbd>↑</kbd><span>or</span><kbd>W</kbd><span>or</span><kbd>Space</kbd>
-                <span className="control-label">Jump</span>
-              </div>
-            </div>
-          </div>
+          {usedSlots.length > 0 && (
+            <ul className="save-slots" aria-label="Save slots">
+              {saveSlots.map((s) => (
+                <li key={s.slot} className="save-slot">
+                  <span className="save-slot-name">Slot {s.slot}</span>
+                  {s.empty ? (
+                    <span className="save-slot-info save-slot-empty">Empty</span>
+                  ) : (
+                    <>
+                      <span className="save-slot-info">
+                        World 1-{s.levelNumber} · {s.score} pts · {new Date(s.savedAt).toLocaleDateString()}
+                      </span>
+                      <button
+                        className="save-slot-button"
+                        onClick={() => continueGame(s.slot)}
+                        aria-label={`Load slot ${s.slot}`}
+                      >
+                        LOAD
+                      </button>
+                      <button
+                        className="save-slot-button save-slot-delete"
+                        onClick={() => deleteSaveSlot(s.slot)}
+                        aria-label={`Delete slot ${s.slot}`}
+                      >
+                        🗑
+                      </button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <button
+            className="menu-button menu-button-secondary"
+            onClick={() => setShowLeaderboard(true)}
+            aria-label="Show leaderboard"
+          >
+            🏆 LEADERBOARD
+          </button>
+
+          <button
+            className="menu-button menu-button-secondary"
+            onClick={() => setShowControls(true)}
+            aria-label="Change controls"
+          >
+            🎮 CONTROLS
+          </button>
+
+          <button
+            className="menu-button menu-button-secondary"
+            onClick={() => replayInputRef.current?.click()}
+            aria-label="Load a replay file"
+          >
+            🎬 LOAD REPLAY
+          </button>
+          <input
+            ref={replayInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleReplayFile}
+            hidden
+          />
+          {replayError && (
+            <p className="replay-error" role="alert">
+              {replayError}
+            </p>
+          )}
+
+          <ControlsList voiceSupported={voiceSupported} />
 
           {voiceSupported && (
             <div className="menu-badge" aria-label="Voice commands available">
@@ -112,6 +436,109 @@ export default function MainMenu() {
     );
   }
 
+  // Pause Menu
+  if (phase === 'paused') {
+    return (
+      <div className="menu-overlay pause-overlay" role="dialog" aria-label="Paused">
+        <div className="menu-container pause-container">
+          <h1 className="pause-title">{showSettings ? 'SETTINGS' : 'PAUSED'}</h1>
+
+          {showSettings ? (
+            <>
+              {voiceSupported && (
+                <label className="settings-toggle">
+                  <input
+                    type="checkbox"
+                    checked={voiceContinuous}
+                    onChange={(e) => setVoiceContinuous(e.target.checked)}
+                  />
+                  Continuous voice listening
+                </label>
+              )}
+              <label className="settings-toggle">
+                <input
+                  type="checkbox"
+                  checked={ghostsEnabled}
+                  onChange={(e) => setGhostsEnabled(e.target.checked)}
+                />
+                Show best-run ghost
+              </label>
+              <ControlsList voiceSupported={voiceSupported} />
+              <button
+                className="menu-button menu-button-secondary"
+                onClick={() => setShowControls(true)}
+                aria-label="Change controls"
+              >
+                🎮 CHANGE CONTROLS
+              </button>
+              <button
+                className="menu-button menu-button-secondary"
+                onClick={() => setShowSettings(false)}
+                autoFocus
+                aria-label="Back to pause menu"
+              >
+                ← BACK
+              </button>
+            </>
+          ) : (
+            <div className="pause-buttons">
+              <button
+                className="menu-button menu-button-primary"
+                onClick={resumeGame}
+                autoFocus
+                aria-label="Resume game"
+              >
+                ▶ RESUME
+              </button>
+              <button
+                className="menu-button menu-button-secondary"
+                onClick={restartLevel}
+                aria-label="Restart level"
+              >
+                🔄 RESTART LEVEL
+              </button>
+              <button
+                className="menu-button menu-button-secondary"
+                onClick={() => setShowSettings(true)}
+                aria-label="Settings"
+              >
+                ⚙️ SETTINGS
+              </button>
+              <SaveReplayButton />
+              <SaveGhostButton />
+              <button
+                className="menu-button menu-button-secondary"
+                onClick={() => ghostInputRef.current?.click()}
+                aria-label="Race a ghost from a file"
+              >
+                👻 RACE GHOST FILE
+              </button>
+              <input
+                ref={ghostInputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={handleGhostFile}
+                hidden
+              />
+              {ghostError && (
+                <p className="replay-error" role="alert">
+                  {ghostError}
+                </p>
+              )}
+              <button
+                className="menu-button menu-button-secondary"
+                onClick={quitToMenu}
+                aria-label="Quit to main menu"
+              >
+                🏠 QUIT TO MENU
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   // Game Over Screen
   if (phase === 'gameover') {
     return (
@@ -128,14 +555,22 @@ export default function MainMenu() {
               <span className="stat-value">🪙 {coins}</span>
             </div>
           </div>
-          <button
-            className="menu-button menu-button-primary"
-            onClick={handleRestart}
-            autoFocus
-            aria-label="Try again"
-          >
-            🔄 TRY AGAIN
-          </button>
+          {replay ? (
+            replayButtons
+          ) : (
+            <>
+              <ScoreSubmitForm />
+              <button
+                className="menu-button menu-button-primary"
+                onClick={handleRestart}
+                autoFocus
+                aria-label="Try again"
+              >
+                🔄 TRY AGAIN
+              </button>
+            </>
+          )}
+          <SaveReplayButton />
         </div>
       </div>
     );
@@ -146,7 +581,12 @@ export default function MainMenu() {
     return (
       <div className="menu-overlay victory-overlay" role="dialog" aria-label="Level Complete">
         <div className="menu-container victory-container">
-          <h1 className="victory-title">⭐ LEVEL COMPLETE! ⭐</h1>
+          <h1 className="victory-title">{bossLevel ? `🏰 ${BOSS.NAME.toUpperCase()} DEFEATED! 🏰` : '⭐ LEVEL COMPLETE! ⭐'}</h1>
+          {newBestGhost && (
+            <p className="ghost-best" role="status">
+              👻 New best time: {ghost.time.toFixed(1)}s — your ghost will race you next time
+            </p>
+          )}
           <div className="gameover-stats">
             <div className="stat-item">
               <span className="stat-label">Score</span>
@@ -157,14 +597,39 @@ export default function MainMenu() {
               <span className="stat-value">🪙 {coins}</span>
             </div>
           </div>
-          <button
-            className="menu-button menu-button-primary"
-            onClick={handleNextLevel}
-            autoFocus
-            aria-label="Continue to next level"
-          >
-            ➡️ NEXT LEVEL
-          </button>
+          {replay ? (
+            replayButtons
+          ) : (
+            <>
+              <ScoreSubmitForm />
+              <button
+                className="menu-button menu-button-primary"
+                onClick={handleNextLevel}
+                autoFocus
+                aria-label="Continue to next level"
+              >
+                ➡️ NEXT LEVEL
+              </button>
+            </>
+          )}
+          <SaveReplayButton />
+          <SaveGhostButton />
+        </div>
+      </div>
+    );
+  }
+
+  // Loading Screen
+  if (phase === 'loading') {
+    return (
+      <div className="menu-overlay loading-overlay" role="dialog" aria-label="Loading level" aria-busy="true">
+        <div className="menu-container loading-container">
+          <h1 className="loading-title">WORLD 1-{levelNumber}</h1>
+          <div className="loading-spinner" aria-hidden="true">🍄</div>
+          <p className="loading-message" role="status" aria-live="polite">
+            {loadingMessage || 'Preparing level...'}
+          </p>
+          <div className="loading-difficulty">Difficulty {difficulty}/10</div>
         </div>
       </div>
     );
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview On-screen touch controls — a virtual joystick and jump button, plus
+ * talk, fireball and pause buttons. Held controls are reported through setTouchAction, so
+ * touch input reaches Player through the same action path as keyboard and gamepad.
+ * Each control tracks its own pointer, so running and jumping work at the same time.
+ * ACCESSIBILITY: Hidden from assistive tech — keyboard and gamepad controls remain available.
+ */
+import { memo, useEffect, useRef, useState } from 'react';
+import useGameStore from '../stores/gameStore';
+import { setTouchAction } from '../hooks/useInputActions';
+import { ACTIONS, joystickActions } from '../game/input/inputActions';
+import { TOUCH } from '../utils/constants';
+import './TouchControls.css';
+
+/** Whether the primary input is a touch screen */
+function isTouchDevice() {
+  if (typeof window === 'undefined') return false;
+  return navigator.maxTouchPoints > 0 || window.matchMedia?.('(pointer: coarse)').matches === true;
+}
+
+/** Releases both movement directions */
+function releaseMovement() {
+  setTouchAction(ACTIONS.MOVE_LEFT, false);
+  setTouchAction(ACTIONS.MOVE_RIGHT, false);
+}
+
+/**
+ * Horizontal virtual joystick. The knob follows the finger (moved through the
+ * DOM, not state, to avoid re-rendering on every pointer move).
+ */
+function Joystick() {
+  const baseRef = useRef(null);
+  const knobRef = useRef(null);
+  const pointerId = useRef(null);
+
+  useEffect(() => releaseMovement, []);
+
+  const move = (e) => {
+    const rect = baseRef.current.getBoundingClientRect();
+    const radius = rect.width / 2;
+    const dx = e.clientX - (rect.left + radius);
+    const clamped = Math.max(-radius, Math.min(radius, dx));
+    knobRef.current.style.transform = `translateX(${clamped}px)`;
+
+    const actions = joystickActions(dx, radius);
+    setTouchAction(ACTIONS.MOVE_LEFT, actions.has(ACTIONS.MOVE_LEFT));
+    setTouchAction(ACTIONS.MOVE_RIGHT, actions.has(ACTIONS.MOVE_RIGHT));
+  };
+
+  const handlePointerDown = (e) => {
+    if (pointerId.current !== null) return;
+    pointerId.current = e.pointerId;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    move(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (e.pointerId === pointerId.current) move(e);
+  };
+
+  const handlePointerEnd = (e) => {
+    if (e.pointerId !== pointerId.current) return;
+    pointerId.current = null;
+    knobRef.current.style.transform = '';
+    releaseMovement();
+  };
+
+  return (
+    <div
+      ref={baseRef}
+      className="touch-joystick"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerEnd}
+      onPointerCancel={handlePointerEnd}
+    >
+      <div ref={knobRef} className="touch-joystick-knob" />
+    </div>
+  );
+}
+
+/**
+ * Button that holds an action while touched.
+ */
+function TouchButton({ action, className, children }) {
+  const pointerId = useRef(null);
+  const [isPressed, setIsPressed] = useState(false);
+
+  useEffect(() => () => setTouchAction(action, false), [action]);
+
+  const handlePointerDown = (e) => {
+    if (pointerId.current !== null) return;
+    pointerId.current = e.pointerId;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setTouchAction(action, true);
+    setIsPressed(true);
+  };
+
+  const handlePointerEnd = (e) => {
+    if (e.pointerId !== pointerId.current) return;
+    pointerId.current = null;
+    setTouchAction(action, false);
+    setIsPressed(false);
+  };
+
+  return (
+    <div
+      className={`touch-button ${className} ${isPressed ? 'touch-button-pressed' : ''}`}
+      onPointerDown={handlePointerDown}
+      onPointerUp={handlePointerEnd}
+      onPointerCancel={handlePointerEnd}
+    >
+      {children}
+    </div>
+  );
+}
+
+/**
+ * Touch overlay, shown while playing on touch devices (or always/never, per settings).
+ * Memoized to avoid re-renders from unrelated store changes.
+ */
+const TouchControls = memo(function TouchControls() {
+  const phase = useGameStore((s) => s.phase);
+  const isTalking = useGameStore((s) => s.activeDialog !== null);
+  const canTalk = useGameStore((s) => s.nearbyNPC !== null);
+  const canShoot = useGameStore((s) => s.player.form === 'fire');
+  const { mode, layout, size } = useGameStore((s) => s.touchSettings);
+  const [hasTouch] = useState(isTouchDevice);
+
+  const isEnabled = mode === 'always' || (mode === 'auto' && hasTouch);
+  if (!isEnabled || phase !== 'playing' || isTalking) return null;
+
+  return (
+    <div
+      className={`touch-controls touch-${layout}`}
+      style={{ '--touch-size': `${TOUCH.SIZES[size]}px` }}
+      aria-hidden="true"
+    >
+      <Joystick />
+      <div className="touch-actions">
+        {canTalk && (
+          <TouchButton action={ACTIONS.TALK} className="touch-talk">
+            💬
+          </TouchButton>
+        )}
+        {canShoot && (
+          <TouchButton action={ACTIONS.FIRE} className="touch-fire">
+            🔥
+          </TouchButton>
+        )}
+        <TouchButton action={ACTIONS.JUMP} className="touch-jump">
+          ⤒
+        </TouchButton>
+      </div>
+      <TouchButton action={ACTIONS.PAUSE} className="touch-pause">
+        ⏸
+      </TouchButton>
+    </div>
+  );
+});
+
+export default TouchControls;
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Voice control overlay — push-to-talk, listening indicator and
+ * continuous-listening toggle. Transcripts are run through the store's voice
+ * command interpreter (game actions, or dialog for the nearest NPC).
+ * ACCESSIBILITY: Live region announces what was heard; toggle is a labelled checkbox.
+ */
+import { memo, useEffect } from 'react';
+import useGameStore from '../stores/gameStore';
+import { useVoiceInput } from '../hooks/useVoiceInput';
+import { VOICE } from '../utils/constants';
+import './VoiceControl.css';
+
+/** Phases where voice commands do something */
+const VOICE_PHASES = ['playing', 'paused', 'victory', 'gameover'];
+
+/**
+ * Voice control widget, shown in-game when the Speech API is available.
+ * Memoized to avoid re-renders from unrelated store changes.
+ */
+const VoiceControl = memo(function VoiceControl() {
+  const phase = useGameStore((s) => s.phase);
+  const isListening = useGameStore((s) => s.isListening);
+  const voiceTranscript = useGameStore((s) => s.voiceTranscript);
+  const lastVoiceCommand = useGameStore((s) => s.lastVoiceCommand);
+  const voiceContinuous = useGameStore((s) => s.voiceContinuous);
+  const setVoiceContinuous = useGameStore((s) => s.setVoiceContinuous);
+  const runVoiceCommand = useGameStore((s) => s.runVoiceCommand);
+  const { isSupported, startListening, stopListening } = useVoiceInput({
+    continuous: voiceContinuous,
+    onTranscript: runVoiceCommand,
+  });
+
+  const isActive = VOICE_PHASES.includes(phase);
+
+  // Hold the push-to-talk key to listen; in continuous mode it toggles listening
+  useEffect(() => {
+    if (!isSupported || !isActive) return;
+
+    const isTalkKey = (e) =>
+      e.key.toLowerCase() === VOICE.PUSH_TO_TALK_KEY && !(e.target instanceof HTMLInputElement);
+
+    const handleKeyDown = (e) => {
+      if (!isTalkKey(e) || e.repeat) return;
+      if (!voiceContinuous) startListening();
+      else if (useGameStore.getState().isListening) stopListening();
+      else startListening();
+    };
+    const handleKeyUp = (e) => {
+      if (isTalkKey(e) && !voiceContinuous) stopListening();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+    };
+  }, [isSupported, isActive, voiceContinuous, startListening, stopListening]);
+
+  // Turning continuous mode on starts listening straight away
+  useEffect(() => {
+    if (voiceContinuous && isActive) startListening();
+  }, [voiceContinuous, isActive, startListening]);
+
+  // Stop listening on the menu and loading screens
+  useEffect(() => {
+    if (!isActive) stopListening();
+  }, [isActive, stopListening]);
+
+  if (!isSupported || !isActive) return null;
+
+  const key = VOICE.PUSH_TO_TALK_KEY.toUpperCase();
+  const heard = lastVoiceCommand?.type === 'dialog' ? `💬 "${voiceTranscript}"` : `"${voiceTranscript}"`;
+
+  return (
+    <div className={`voice-control ${isListening ? 'voice-listening' : ''}`}>
+      <div className="voice-status" role="status" aria-live="polite">
+        <span className="voice-mic" aria-hidden="true">🎤</span>
+        <span>
+          {isListening
+            ? 'Listening...'
+            : voiceContinuous
+              ? `Press ${key} to resume listening`
+              : `Hold ${key} to speak`}
+        </span>
+      </div>
+      {voiceTranscript && <div className="voice-heard">{heard}</div>}
+      <label className="voice-toggle">
+        <input
+          type="checkbox"
+          checked={voiceContinuous}
+          onChange={(e) => {
+            setVoiceContinuous(e.target.checked);
+            e.target.blur(); // Hand the keyboard back to the game
+          }}
+        />
+        Continuous listening
+      </label>
+    </div>
+  );
+});
+
+export default VoiceControl;
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview NPC dialog service.
+ * Sends a sanitized player message to the proxy's /api/npc-dialog route and
+ * always resolves with something the NPC can say, even when the API is down.
+ */
+
+import { buildNPCDialogPrompt } from './levelPrompt.js';
+import { API } from '../../utils/constants.js';
+
+/** Line used when the proxy is unreachable and sends no fallback of its own */
+export const OFFLINE_DIALOG = "Mama mia! I can't think of anything to say right now. Good luck out there!";
+
+/**
+ * Requests an in-character reply from an NPC.
+ * Replies are cached server-side per NPC, level and message.
+ *
+ * @param {Object} options
+ * @param {{name: string, personality?: string}} options.npc - NPC from level data
+ * @param {string} options.message - Player message, already passed through sanitizeInput
+ * @param {number} options.levelNumber - Current level for context
+ * @returns {Promise<string>} NPC reply
+ */
+export async function requestNPCDialog({ npc, message, levelNumber }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), API.DIALOG_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(`${API.BASE_URL}/api/npc-dialog`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        prompt: buildNPCDialogPrompt(npc.name, message, levelNumber, npc.personality),
+        cacheKey: `${npc.name}:${levelNumber}:${message.toLowerCase()}`,
+      }),
+      signal: controller.signal,
+    });
+    const body = await response.json().catch(() => ({}));
+    // The proxy includes an in-character fallback line even on errors
+    return typeof body.dialog === 'string' && body.dialog ? body.dialog : OFFLINE_DIALOG;
+  } catch (error) {
+    console.warn('NPC dialog request failed:', error.name === 'AbortError' ? 'timed out' : error.message);
+    return OFFLINE_DIALOG;
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -12,7 +12,7 @@
  * @returns {number} New difficulty level (1-10)
  */
 
-import { LEVEL } from '../../utils/constants';
+import { LEVEL, MOVING_PLATFORM, ENEMY_TYPES } from '../../utils/constants.js';
 
 /**
  * Calculates the next difficulty based on player performance metrics.
@@ -59,9 +59,40 @@ export function calculateNextDifficulty({
  * @returns {string} Human-readable difficulty description
  */
 export function difficultyToDescription(difficulty) {
-  if (difficulty <= 2) return 'very easy with wide platforms, few enemies, and short gaps';
-  if (difficulty <= 4) return 'beginner-friendly with moderate platform spacing and a few patrolling enemies';
-  if (difficulty <= 6) return 'moderate with narrower platforms, larger gaps, and enemies that chase the player';
-  if (difficulty <= 8) return 'challenging with small platforms, long gaps, and aggressive enemies';
-  return 'extremely difficult with tiny platforms, maximum gaps, and many aggressive enemies';
+  if (difficulty <= 2) return 'very easy with wide platforms, a few goombas and koopas, and short gaps';
+  if (difficulty <= 4) return 'beginner-friendly with moderate platform spacing, a few patrolling enemies and the odd piranha plant or paratroopa';
+  if (difficulty <= 6) return 'moderate with narrower platforms, larger gaps, enemies that chase the player and spinies that cannot be stomped';
+  if (difficulty <= 8) return 'challenging with small platforms, long gaps, aggressive enemies and hammer throwers';
+  return 'extremely difficult with tiny platforms, maximum gaps, and many aggressive enemies of every kind';
+}
+
+/**
+ * Enemy types a generated level may use at a difficulty (ENEMY_TYPES minDifficulty).
+ * @param {number} difficulty - Current difficulty (1-10)
+ * @returns {string[]} ENEMY_TYPES keys
+ */
+export function enemyTypesForDifficulty(difficulty) {
+  return Object.keys(ENEMY_TYPES).filter((type) => ENEMY_TYPES[type].minDifficulty <= difficulty);
+}
+
+/**
+ * Returns the entity budget and spacing limits for a difficulty.
+ * Shared by the Gemini prompt and the offline generator so both agree.
+ * @param {number} difficulty - Current difficulty (1-10)
+ * @returns {{platforms: number, enemies: number, coins: number, powerUps: number, blocks: number, movingPlatforms: number, maxGap: number, length: number}}
+ */
+export function getLevelBudget(difficulty) {
+  return {
+    platforms: Math.min(8 + difficulty * 3, LEVEL.MAX_PLATFORMS),
+    enemies: Math.min(2 + difficulty, LEVEL.MAX_ENEMIES),
+    coins: Math.min(5 + difficulty * 2, LEVEL.MAX_COINS),
+    powerUps: Math.min(Math.max(1, 3 - Math.floor(difficulty / 4)), LEVEL.MAX_POWERUPS),
+    blocks: Math.min(4 + Math.floor(difficulty / 2), LEVEL.MAX_BLOCKS),
+    movingPlatforms:
+      difficulty < MOVING_PLATFORM.MIN_DIFFICULTY
+        ? 0
+        : Math.min(1 + difficulty - MOVING_PLATFORM.MIN_DIFFICULTY, LEVEL.MAX_MOVING_PLATFORMS),
+    maxGap: Math.max(3, LEVEL.MAX_GAP - (10 - difficulty)),
+    length: 40 + difficulty * 10,
+  };
 }
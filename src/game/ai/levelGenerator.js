@@ -0,0 +1,361 @@
+/**
+ * @fileoverview Offline procedural level generator.
+ * Seeded, deterministic fallback for when Gemini is unavailable: the same
+ * seed, difficulty and level number always produce the same level.
+ */
+
+import { enemyTypesForDifficulty, getLevelBudget } from './difficultyEngine.js';
+import { getThemeConfig } from './levelPrompt.js';
+import { getJumpEnvelope, maxGapForRise } from './reachability.js';
+import { LEVEL, NPC, ENEMY_TYPES, POWERUP_TYPES, BLOCK, BOSS } from '../../utils/constants.js';
+
+/** Platform y-range allowed by the level prompt */
+const MIN_Y = -1;
+const MAX_Y = 8;
+
+/** Largest drop between consecutive platforms */
+const MAX_DROP = 3;
+
+/** Fraction of the physical jump envelope the generator is allowed to use */
+const JUMP_SAFETY = 0.8;
+
+/** Width of the safe starting platform (spans x=0 to x=START_WIDTH) */
+const START_WIDTH = 16;
+
+/** Width of the final platform holding the goal flag */
+const GOAL_WIDTH = 10;
+
+/** Question block contents, weighted toward coins */
+const BLOCK_CONTENTS = ['coin', 'coin', 'coin', 'mushroom', 'fireFlower', 'star'];
+
+/** Narrowest path platform that gets a block (keeps blocks well clear of its edges) */
+const MIN_BLOCK_PLATFORM_WIDTH = 6;
+
+/** Enemy types beyond goombas and koopas, used once the difficulty unlocks them */
+const SPECIAL_ENEMIES = ['piranha', 'paratroopa', 'spiny', 'hammerBro'];
+
+/** Paratroopas fly this far above the platform they patrol */
+const FLY_HEIGHT = 2;
+
+/** NPCs the generator can place (dialog comes from the proxy, not from here) */
+const NPC_CAST = [
+  { name: 'Toad', personality: 'Cheerful mushroom retainer who loves giving level tips' },
+  { name: 'Toadette', personality: 'Adventurous explorer who knows every hidden coin' },
+  { name: 'Yoshi', personality: 'Friendly dinosaur who is always hungry and encouraging' },
+  { name: 'Lakitu', personality: 'Cloud-riding lookout who has seen the whole level from above' },
+];
+
+/**
+ * Converts a number or string seed into an unsigned 32-bit integer.
+ * Strings are hashed with FNV-1a so readable seeds like "bug-42" work.
+ * @param {number|string} seed
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(Math.abs(seed)) >>> 0;
+  }
+  const str = String(seed ?? '');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a mulberry32 pseudo-random generator.
+ * @param {number|string} seed
+ * @returns {() => number} Function returning floats in [0, 1)
+ */
+export function createRng(seed) {
+  let a = normalizeSeed(seed);
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Random float in [min, max) */
+function range(rng, min, max) {
+  return min + rng() * (max - min);
+}
+
+/** Random array element */
+function pick(rng, items) {
+  return items[Math.floor(rng() * items.length)];
+}
+
+/** Deterministic Fisher-Yates shuffle (returns a copy) */
+function shuffle(rng, items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/** Rounds down to a 0.25 grid so rounding never widens a gap or a rise */
+function floorQuarter(value) {
+  return Math.floor(value * 4) / 4;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/** Y-coordinate of a platform's top surface */
+function topOf(platform) {
+  return platform.y + platform.height / 2;
+}
+
+/**
+ * Builds the left-to-right path from the start platform to the goal platform.
+ * Every hop stays inside the player's real jump envelope; harder levels use
+ * more of it and get narrower platforms.
+ */
+function buildPath(rng, difficulty, count, theme) {
+  const { maxGap } = getLevelBudget(difficulty);
+  const { maxHeight } = getJumpEnvelope();
+  const [themeMinY, themeMaxY] = theme.heightRange;
+  const minY = clamp(themeMinY, MIN_Y, MAX_Y);
+  const maxY = clamp(themeMaxY, MIN_Y, MAX_Y);
+  const maxWidth = Math.max(LEVEL.MIN_PLATFORM_WIDTH + 1, 8 - difficulty * 0.5);
+  const minWidth = Math.max(LEVEL.MIN_PLATFORM_WIDTH, maxWidth - 3);
+  const reach = JUMP_SAFETY * (0.5 + (0.5 * (difficulty - 1)) / (LEVEL.MAX_DIFFICULTY - 1));
+
+  const platforms = [
+    { x: START_WIDTH / 2, y: -1, z: 0, width: START_WIDTH, height: 1, depth: 4, type: theme.platformTypes[0] },
+  ];
+
+  for (let i = 1; i < count; i++) {
+    const prev = platforms[i - 1];
+    const isGoal = i === count - 1;
+    const width = isGoal ? GOAL_WIDTH : floorQuarter(range(rng, minWidth, maxWidth));
+    const maxRise = floorQuarter(maxHeight * JUMP_SAFETY);
+    // Themes that start high climb there gradually instead of jumping past the envelope
+    const y = Math.min(
+      prev.y + maxRise,
+      clamp(prev.y + floorQuarter(range(rng, -MAX_DROP, maxRise)), minY, maxY)
+    );
+    const gap = floorQuarter(range(rng, 0.5, Math.min(maxGap, maxGapForRise(y - prev.y) * reach)));
+
+    platforms.push({
+      x: prev.x + prev.width / 2 + gap + width / 2,
+      y,
+      z: 0,
+      width,
+      height: 1,
+      depth: 4,
+      type: pick(rng, theme.platformTypes),
+    });
+  }
+
+  return platforms;
+}
+
+/**
+ * Places coins in short rows above platforms, cycling through platforms
+ * in a shuffled order and shifting each extra pass so coins never overlap.
+ */
+function placeCoins(rng, platforms, count) {
+  const order = shuffle(rng, platforms);
+  const coins = [];
+
+  for (let pass = 0; coins.length < count; pass++) {
+    for (const p of order) {
+      if (coins.length >= count) break;
+      const row = Math.min(3, count - coins.length, Math.max(1, Math.floor(p.width / 1.5)));
+      const startX = p.x - ((row - 1) * 1.5) / 2 + (pass % 3) * 0.5;
+      for (let j = 0; j < row; j++) {
+        coins.push({ x: startX + j * 1.5, y: topOf(p) + 1 + (pass % 2) * 0.5, z: 0, collected: false });
+      }
+    }
+  }
+
+  return coins;
+}
+
+/**
+ * Picks an enemy type with a single rng draw: the types the difficulty unlocks
+ * beyond goombas and koopas (enemyTypesForDifficulty) take a growing share,
+ * then koopas, then goombas.
+ */
+function pickEnemyType(rng, difficulty) {
+  const specials = SPECIAL_ENEMIES.filter((type) => enemyTypesForDifficulty(difficulty).includes(type));
+  const specialChance = specials.length > 0 ? Math.min(0.4, (difficulty - 2) * 0.06) : 0;
+  const koopaChance = 0.1 + difficulty * 0.05;
+  const roll = rng();
+  if (roll < specialChance) return specials[Math.floor((roll / specialChance) * specials.length)];
+  return roll < specialChance + (1 - specialChance) * koopaChance ? 'koopa' : 'goomba';
+}
+
+/**
+ * Places enemies on path platforms wide enough to patrol, skipping the start
+ * and goal platforms. Harder levels get more koopas and chasers, and the enemy
+ * types their difficulty unlocks: piranhas stand in a pipe on the platform,
+ * paratroopas fly FLY_HEIGHT above it, and a single hammer bro guards the goal
+ * platform, the only one wide enough to throw from at those difficulties.
+ */
+function placeEnemies(rng, path, count, difficulty) {
+  const candidates = shuffle(rng, path.slice(1, -1).filter((p) => p.width >= LEVEL.MIN_PLATFORM_WIDTH + 0.5));
+  const goal = path[path.length - 1];
+  const enemies = [];
+  const chaseChance = Math.max(0, (difficulty - 2) * 0.12);
+
+  for (let i = 0; i < Math.min(count, candidates.length * 2); i++) {
+    let type = pickEnemyType(rng, difficulty);
+    if (type === 'hammerBro' && enemies.some((e) => e.type === 'hammerBro')) type = 'koopa';
+    const p = type === 'hammerBro' ? goal : candidates[i % candidates.length];
+    const margin = Math.min(1, p.width / 4);
+    const config = ENEMY_TYPES[type];
+    enemies.push({
+      x: floorQuarter(range(rng, p.x - p.width / 2 + margin, p.x + p.width / 2 - margin)),
+      y: topOf(p) + (config.movement === 'fly' ? FLY_HEIGHT : config.height / 2),
+      z: 0,
+      type,
+      behavior: rng() < chaseChance ? 'chase' : 'patrol',
+    });
+  }
+
+  return enemies;
+}
+
+/**
+ * Places a single guide NPC on the start platform, past the spawn point so the
+ * player walks into it. Runs after every other rng draw so adding NPCs did not
+ * change the layout of existing seeds.
+ */
+function placeNPCs(rng, start) {
+  const npc = pick(rng, NPC_CAST);
+  return [{ x: start.x + start.width / 2 - 3, y: topOf(start) + NPC.HEIGHT / 2, z: 0, ...npc }];
+}
+
+/**
+ * Places power-ups near the left edge of path platforms (clear of the centered coin
+ * rows), skipping the start and goal platforms. Like placeNPCs, runs after the other
+ * rng draws so existing seeds keep their layout.
+ */
+function placePowerUps(rng, path, count) {
+  const candidates = shuffle(rng, path.slice(1, -1)).slice(0, count);
+  return candidates.map((p) => ({
+    x: p.x - p.width / 2 + 0.5,
+    y: topOf(p) + 1,
+    z: 0,
+    type: pick(rng, Object.keys(POWERUP_TYPES)),
+    collected: false,
+  }));
+}
+
+/**
+ * Hangs a brick, '?', brick row over the start platform, then single '?' blocks over
+ * the middle of wide path platforms, where bumping one always drops the player back
+ * onto the platform. Runs after placePowerUps for the same reason.
+ */
+function placeBlocks(rng, path, count) {
+  const start = path[0];
+  const y = topOf(start) + BLOCK.HOVER + BLOCK.SIZE / 2;
+  const blocks = [
+    { x: 6, y, z: 0, type: 'brick' },
+    { x: 7, y, z: 0, type: 'question', contents: pick(rng, BLOCK_CONTENTS) },
+    { x: 8, y, z: 0, type: 'brick' },
+  ];
+
+  const wide = shuffle(rng, path.slice(1, -1).filter((p) => p.width >= MIN_BLOCK_PLATFORM_WIDTH));
+  for (const p of wide.slice(0, Math.max(0, count - blocks.length))) {
+    blocks.push({ x: p.x, y: topOf(p) + BLOCK.HOVER + BLOCK.SIZE / 2, z: 0, type: 'question', contents: pick(rng, BLOCK_CONTENTS) });
+  }
+  return blocks;
+}
+
+/**
+ * Closes a boss theme level with its arena: a bridge touching the goal platform
+ * with the boss on its middle, then a short platform past it holding the bridge
+ * axe. Both sit level with the goal platform, so the arena never changes
+ * reachability, and it uses no rng draws so the rest of the layout is unchanged.
+ * @returns {{platforms: Object[], boss: Object, goalPosition: Object}}
+ */
+function buildArena(goalPlatform, bridgeIndex) {
+  const y = goalPlatform.y;
+  const bridge = {
+    x: goalPlatform.x + goalPlatform.width / 2 + BOSS.BRIDGE_WIDTH / 2,
+    y,
+    z: 0,
+    width: BOSS.BRIDGE_WIDTH,
+    height: goalPlatform.height,
+    depth: 4,
+    type: 'bridge',
+  };
+  const axePlatform = {
+    x: bridge.x + BOSS.BRIDGE_WIDTH / 2 + BOSS.AXE_PLATFORM_WIDTH / 2,
+    y,
+    z: 0,
+    width: BOSS.AXE_PLATFORM_WIDTH,
+    height: goalPlatform.height,
+    depth: 4,
+    type: 'stone',
+  };
+  return {
+    platforms: [bridge, axePlatform],
+    boss: { x: bridge.x, y: topOf(bridge) + BOSS.HEIGHT / 2, z: 0, bridge: bridgeIndex },
+    goalPosition: { x: axePlatform.x, y: topOf(axePlatform), z: 0 },
+  };
+}
+
+/**
+ * Generates a complete level deterministically from a seed.
+ * Respects the LEVEL limits, the per-difficulty budget used in Gemini prompts and
+ * the player's jump envelope, so generated levels always pass reachability checks.
+ * Levels of a boss theme end in a boss arena, with the bridge axe as their goal.
+ *
+ * @param {Object} options
+ * @param {number|string} options.seed - Seed; identical inputs give identical levels
+ * @param {number} [options.difficulty=1] - Target difficulty (1-10)
+ * @param {number} [options.levelNumber=1] - Level number, selects the theme
+ * @returns {Object} LevelData plus the normalized seed it was generated from
+ */
+export function generateLevel({ seed, difficulty = 1, levelNumber = 1 }) {
+  const normalizedSeed = normalizeSeed(seed);
+  const rng = createRng(normalizedSeed);
+  const d = clamp(Math.round(difficulty), LEVEL.MIN_DIFFICULTY, LEVEL.MAX_DIFFICULTY);
+  const budget = getLevelBudget(d);
+  const theme = getThemeConfig(levelNumber);
+
+  const platforms = buildPath(rng, d, budget.platforms, theme);
+  const goalPlatform = platforms[platforms.length - 1];
+  const coins = placeCoins(rng, platforms, budget.coins);
+  const enemies = placeEnemies(rng, platforms, budget.enemies, d);
+  const npcs = placeNPCs(rng, platforms[0]);
+  const powerUps = placePowerUps(rng, platforms, budget.powerUps);
+  const blocks = placeBlocks(rng, platforms, budget.blocks);
+  const level = {
+    platforms,
+    coins,
+    enemies,
+    npcs,
+    powerUps,
+    blocks,
+    difficulty: d,
+    spawnPoint: { x: 2, y: 2, z: 0 },
+    goalPosition: {
+      x: goalPlatform.x + goalPlatform.width / 2 - 2,
+      y: topOf(goalPlatform),
+      z: 0,
+    },
+    seed: normalizedSeed,
+  };
+  if (!theme.boss) return level;
+
+  const arena = buildArena(goalPlatform, platforms.length);
+  return {
+    ...level,
+    platforms: [...platforms, ...arena.platforms],
+    boss: arena.boss,
+    goalPosition: arena.goalPosition,
+  };
+}
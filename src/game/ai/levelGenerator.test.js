@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Offline levels should use the same enemy roster as model-generated
+ * ones: every type the difficulty unlocks, and none it doesn't.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateLevel } from './levelGenerator.js';
+import { enemyTypesForDifficulty } from './difficultyEngine.js';
+import { validateLevelData } from './levelValidator.js';
+import { LEVEL } from '../../utils/constants.js';
+
+const SEEDS = Array.from({ length: 40 }, (_, i) => i + 1);
+
+test('generated enemies are only of types the difficulty unlocks', () => {
+  for (let difficulty = LEVEL.MIN_DIFFICULTY; difficulty <= LEVEL.MAX_DIFFICULTY; difficulty++) {
+    const allowed = enemyTypesForDifficulty(difficulty);
+    for (const seed of SEEDS) {
+      for (const enemy of generateLevel({ seed, difficulty }).enemies) {
+        assert.ok(allowed.includes(enemy.type), `${enemy.type} at difficulty ${difficulty} (seed ${seed})`);
+      }
+    }
+  }
+});
+
+test('every unlocked enemy type turns up at max difficulty, in levels that still validate', () => {
+  const seen = new Set();
+  for (const seed of SEEDS) {
+    const level = generateLevel({ seed, difficulty: LEVEL.MAX_DIFFICULTY });
+    assert.equal(validateLevelData(level).valid, true, `seed ${seed}`);
+    level.enemies.forEach((enemy) => seen.add(enemy.type));
+  }
+  assert.deepEqual([...seen].sort(), enemyTypesForDifficulty(LEVEL.MAX_DIFFICULTY).sort());
+});
@@ -4,8 +4,19 @@
  * GOOGLE SERVICES: Uses Gemini for structured output driving the 3D level builder.
  */
 
-import { difficultyToDescription } from './difficultyEngine';
-import { LEVEL } from '../../utils/constants';
+import { difficultyToDescription, enemyTypesForDifficulty, getLevelBudget } from './difficultyEngine.js';
+import { getJumpEnvelope } from './reachability.js';
+import { LEVEL, NPC, PLAYER, BLOCK, MOVING_PLATFORM, BOSS } from '../../utils/constants.js';
+
+/** How each enemy type behaves and where to put it, for the enemy constraint */
+const ENEMY_NOTES = {
+  goomba: 'walks',
+  koopa: 'walks',
+  piranha: 'stays in a pipe on the player\'s path',
+  paratroopa: 'flies, ~2 above a platform or gap',
+  spiny: 'unstompable',
+  hammerBro: 'throws hammers, needs a wide platform',
+};
 
 /**
  * Builds a Gemini prompt that requests a valid level in JSON format.
@@ -18,6 +29,21 @@ import { LEVEL } from '../../utils/constants';
  */
 export function buildLevelPrompt(difficulty, levelNumber, playerStats = {}) {
   const diffDescription = difficultyToDescription(difficulty);
+  const budget = getLevelBudget(difficulty);
+  const jump = getJumpEnvelope();
+  const maxGap = Math.min(budget.maxGap, Math.floor(jump.maxDistance * 10) / 10);
+  const headroom = (PLAYER.HEIGHT + jump.maxHeight + 0.5).toFixed(1);
+  const enemyTypes = enemyTypesForDifficulty(difficulty);
+  const enemyNotes = enemyTypes.map((type) => `"${type}" (${ENEMY_NOTES[type]})`).join(', ');
+  const movingPlatforms =
+    budget.movingPlatforms > 0
+      ? `up to ${budget.movingPlatforms} with a "motion": "linear" (to dx/dy and back), "circular" (radius) or "waypoints" (loop, points relative to x/y); speed ${MOVING_PLATFORM.MIN_SPEED}-${MOVING_PLATFORM.MAX_SPEED}, phase 0-1, offsets up to ${MOVING_PLATFORM.MAX_RANGE}; paths clear of other platforms, never the first platform`
+      : 'none at this difficulty (omit "motion")';
+  const boss = isBossLevel(levelNumber);
+  const goal = boss
+    ? `End with a boss arena: a flat bridge (width ${BOSS.BRIDGE_WIDTH}+) touching and level with the previous platform, "boss" on its middle (y = top + ${BOSS.HEIGHT / 2}), then a short platform at the same height with the axe as goalPosition. Nothing else on the bridge`
+    : 'Goal flag at the far right end of the level';
+  const bossField = boss ? ',\n  "boss": {"x": number, "y": number, "z": 0}' : '';
 
   return `You are a Mario-style platformer level designer. Generate a 2.5D side-scrolling level as JSON.
 
@@ -26,43 +52,103 @@ LEVEL NUMBER: ${levelNumber}
 THEME: ${getThemeForLevel(levelNumber)}
 
 CONSTRAINTS:
-- Platforms: ${Math.min(8 + difficulty * 3, LEVEL.MAX_PLATFORMS)} total, minimum width ${LEVEL.MIN_PLATFORM_WIDTH}
+- Platforms: ${budget.platforms} total, minimum width ${LEVEL.MIN_PLATFORM_WIDTH}
 - The first platform must start at x=0 and be wide (at least 15 units) as a safe starting area
-- Maximum gap between platforms: ${Math.max(3, LEVEL.MAX_GAP - (10 - difficulty))} units
-- All platforms must be reachable by jumping (max jump height ~4 units, max jump distance ~6 units)
-- Enemies: ${Math.min(2 + difficulty, LEVEL.MAX_ENEMIES)} total
-- Coins: ${Math.min(5 + difficulty * 2, LEVEL.MAX_COINS)} total, placed on or above platforms
-- Goal flag at the far right end of the level
+- Maximum gap between platforms at equal height: ${maxGap} units (longer gaps only when dropping down)
+- All platforms must be reachable by jumping (max jump height ${jump.maxHeight.toFixed(1)} units measured between platform tops, max jump distance ${maxGap} units)
+- Platform top surface is y + height/2; never place a platform directly above another with less than ${headroom} units of headroom
+- Platform types: "ice" is slippery, "bouncy" launches the player upward, "crumbling" falls shortly after being stepped on and comes back later. Use special types sparingly and never for the starting platform
+- Moving platforms: ${movingPlatforms}
+- Enemies: ${budget.enemies} total, standing on platforms (y = platform top + half their height) unless they fly: ${enemyNotes}
+- Coins: ${budget.coins} total, placed on or above platforms
+- Power-ups: up to ${budget.powerUps}, placed 1 unit above reachable platforms: "mushroom" (grow, absorbs one hit), "fireFlower" (throw fireballs), "star" (brief invincibility). Put them before hard sections
+- Blocks: up to ${budget.blocks} hittable blocks hanging over the middle of platforms (y = platform top + ${BLOCK.HOVER + BLOCK.SIZE / 2}), never near platform edges: "question" blocks release their "contents" when bumped from below, "brick" blocks break when a powered-up player bumps them
+- NPCs: 1-${LEVEL.MAX_NPCS} friendly characters standing on reachable platforms (y = platform top + ${NPC.HEIGHT / 2}), each with a short name and a one-line personality
+- ${goal}
 - All z-coordinates should be 0 (2.5D game)
 - Platform y-coordinates between -1 and 8
-- Level should extend from x=0 to approximately x=${40 + difficulty * 10}
+- Level should extend from x=0 to approximately x=${budget.length}
 
 RESPOND WITH ONLY THIS JSON SCHEMA (no markdown, no explanation):
 {
-  "platforms": [{"x": number, "y": number, "z": 0, "width": number, "height": number, "depth": 4, "type": "grass"|"brick"|"stone"|"ice"}],
+  "platforms": [{"x": number, "y": number, "z": 0, "width": number, "height": number, "depth": 4, "type": "grass"|"brick"|"stone"|"ice"|"bouncy"|"crumbling", "motion"?: {"path": "linear"|"circular"|"waypoints", "speed": number, "phase": number, "dx"?: number, "dy"?: number, "radius"?: number, "points"?: [{"x": number, "y": number}]}}],
   "coins": [{"x": number, "y": number, "z": 0, "collected": false}],
-  "enemies": [{"x": number, "y": number, "z": 0, "type": "goomba"|"koopa", "behavior": "patrol"|"chase"}],
+  "powerUps": [{"x": number, "y": number, "z": 0, "type": "mushroom"|"fireFlower"|"star"}],
+  "blocks": [{"x": number, "y": number, "z": 0, "type": "question"|"brick", "contents": "coin"|"mushroom"|"fireFlower"|"star"}],
+  "enemies": [{"x": number, "y": number, "z": 0, "type": ${enemyTypes.map((type) => `"${type}"`).join('|')}, "behavior": "patrol"|"chase"}],
+  "npcs": [{"x": number, "y": number, "z": 0, "name": string, "personality": string}],
   "difficulty": ${difficulty},
   "spawnPoint": {"x": 2, "y": 2, "z": 0},
-  "goalPosition": {"x": number, "y": number, "z": 0}
+  "goalPosition": {"x": number, "y": number, "z": 0}${bossField}
 }`;
 }
 
+/**
+ * Level themes, cycled by level number.
+ * platformTypes/heightRange are used by the offline procedural generator.
+ * A boss theme ends each world, its levels closing with a boss arena.
+ * @type {Array<{description: string, platformTypes: string[], heightRange: [number, number], boss?: boolean}>}
+ */
+export const LEVEL_THEMES = [
+  {
+    description: 'Grassy plains with green platforms and blue sky',
+    platformTypes: ['grass', 'grass', 'brick'],
+    heightRange: [-1, 4],
+  },
+  {
+    description: 'Underground cave with stone and brick platforms',
+    platformTypes: ['stone', 'brick'],
+    heightRange: [-1, 3],
+  },
+  {
+    description: 'Sky kingdom with floating platforms high above clouds',
+    platformTypes: ['grass', 'stone'],
+    heightRange: [1, 8],
+  },
+  {
+    description: 'Desert canyon with stone platforms and wide gaps',
+    platformTypes: ['stone'],
+    heightRange: [-1, 5],
+  },
+  {
+    description: 'Frost world with ice platforms (slippery!)',
+    platformTypes: ['ice', 'ice', 'stone'],
+    heightRange: [-1, 5],
+  },
+  {
+    description: 'Lava castle with dangerous gaps and aggressive enemies',
+    platformTypes: ['stone', 'brick'],
+    heightRange: [-1, 6],
+    boss: true,
+  },
+];
+
+/**
+ * Returns the theme config for a level number.
+ * @param {number} levelNumber
+ * @returns {{description: string, platformTypes: string[], heightRange: [number, number], boss?: boolean}}
+ */
+export function getThemeConfig(levelNumber) {
+  const index = (Math.max(1, Math.floor(levelNumber)) - 1) % LEVEL_THEMES.length;
+  return LEVEL_THEMES[index];
+}
+
+/**
+ * Whether a level ends its world with a boss fight.
+ * @param {number} levelNumber
+ * @returns {boolean}
+ */
+export function isBossLevel(levelNumber) {
+  return Boolean(getThemeConfig(levelNumber).boss);
+}
+
 /**
  * Returns a theme string based on level number for variety.
  * @param {number} levelNumber
  * @returns {string} Theme description
  */
-function getThemeForLevel(levelNumber) {
-  const themes = [
-    'Grassy plains with green platforms and blue sky',
-    'Underground cave with stone and brick platforms',
-    'Sky kingdom with floating platforms high above clouds',
-    'Desert canyon with stone platforms and wide gaps',
-    'Frost world with ice platforms (slippery!)',
-    'Lava castle with dangerous gaps and aggressive enemies',
-  ];
-  return themes[(levelNumber - 1) % themes.length];
+export function getThemeForLevel(levelNumber) {
+  return getThemeConfig(levelNumber).description;
 }
 
 /**
@@ -70,11 +156,12 @@ function getThemeForLevel(levelNumber) {
  * @param {string} npcName - Name of the NPC
  * @param {string} playerMessage - Sanitized player message
  * @param {number} levelNumber - Current level for context
+ * @param {string} [personality] - Sanitized one-line personality from level data
  * @returns {string} Prompt for Gemini
  */
-export function buildNPCDialogPrompt(npcName, playerMessage, levelNumber) {
+export function buildNPCDialogPrompt(npcName, playerMessage, levelNumber, personality = '') {
   return `You are ${npcName}, a friendly character in a Mario-style platformer game.
-The player is on Level ${levelNumber}. They said: "${playerMessage}"
+${personality ? `Your personality: ${personality}\n` : ''}The player is on Level ${levelNumber}. They said: "${playerMessage}"
 
 Respond in character with a short, helpful, and fun reply (1-2 sentences max).
 You may give hints about the level, encourage the player, or share a fun observation.
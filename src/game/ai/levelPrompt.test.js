@@ -0,0 +1,21 @@
+/**
+ * @fileoverview The level prompt must fit the proxy's length limit, or every
+ * /api/generate-level request is rejected and levels silently come from the
+ * offline generator. The prompt is longest at max difficulty (every enemy type,
+ * moving platforms) and on boss levels, with a five-digit level number.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLevelPrompt, LEVEL_THEMES } from './levelPrompt.js';
+import { API, LEVEL } from '../../utils/constants.js';
+
+test('level prompt fits the proxy limit for every theme at max difficulty', () => {
+  // One level number per theme, all five digits
+  for (let levelNumber = 10000; levelNumber > 10000 - LEVEL_THEMES.length; levelNumber--) {
+    const prompt = buildLevelPrompt(LEVEL.MAX_DIFFICULTY, levelNumber);
+    assert.ok(
+      prompt.length <= API.MAX_LEVEL_PROMPT_LENGTH,
+      `Level ${levelNumber} prompt is ${prompt.length} characters (limit ${API.MAX_LEVEL_PROMPT_LENGTH})`
+    );
+  }
+});
@@ -0,0 +1,374 @@
+/**
+ * @fileoverview Level auto-repair.
+ * Fixes the common mistakes in AI-generated levels (wide gaps, floating entities,
+ * misplaced goal, overlapping platforms) so they can be played instead of being
+ * thrown away, saving another paid API call.
+ */
+
+import {
+  analyzeReachability,
+  canTouchPoint,
+  getJumpEnvelope,
+  maxGapForRise,
+  platformBelow,
+} from './reachability.js';
+import { LEVEL, NPC, ENEMY_TYPES, COIN, GOAL, POWERUP } from '../../utils/constants.js';
+
+/** Fraction of the jump envelope used when sizing stepping platforms */
+const JUMP_SAFETY = 0.8;
+
+/** Size of inserted stepping platforms */
+const STEP_WIDTH = LEVEL.MIN_PLATFORM_WIDTH;
+const STEP_HEIGHT = 0.5;
+const MAX_STEPS_PER_GAP = 10;
+
+/** Each pass bridges one gap, then reachability is re-checked */
+const MAX_BRIDGE_PASSES = 15;
+
+/** Height of snapped coins above the platform surface */
+const COIN_HOVER = 1;
+
+const EPSILON = 1e-3;
+
+function topOf(p) {
+  return p.y + p.height / 2;
+}
+
+function leftOf(p) {
+  return p.x - p.width / 2;
+}
+
+function rightOf(p) {
+  return p.x + p.width / 2;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function boxesOverlap(a, b) {
+  return (
+    rightOf(a) > leftOf(b) + EPSILON &&
+    rightOf(b) > leftOf(a) + EPSILON &&
+    topOf(a) > b.y - b.height / 2 + EPSILON &&
+    topOf(b) > a.y - a.height / 2 + EPSILON
+  );
+}
+
+/** Nearest platform to a point, measured to its top surface */
+function nearestPlatform(platforms, indices, point) {
+  let best = -1;
+  let bestDist = Infinity;
+  for (const i of indices) {
+    const p = platforms[i];
+    const dx = Math.max(leftOf(p) - point.x, 0, point.x - rightOf(p));
+    const dy = point.y - topOf(p);
+    const dist = dx * dx + dy * dy;
+    if (dist < bestDist) {
+      best = i;
+      bestDist = dist;
+    }
+  }
+  return best;
+}
+
+/**
+ * Separates platforms whose boxes intersect.
+ * A platform sitting inside another's x-span is lifted onto it; partial overlaps
+ * are trimmed, or the right-hand platform is pushed clear if trimming would make
+ * it narrower than LEVEL.MIN_PLATFORM_WIDTH.
+ *
+ * @param {Array<Object>} platforms - Sanitized platforms (not mutated)
+ * @returns {{platforms: Array<Object>, repairs: string[]}}
+ */
+export function clampOverlappingPlatforms(platforms) {
+  const result = platforms.map((p) => ({ ...p }));
+  const repairs = [];
+
+  for (let i = 0; i < result.length; i++) {
+    for (let j = i + 1; j < result.length; j++) {
+      if (!boxesOverlap(result[i], result[j])) continue;
+
+      const [left, right] = leftOf(result[i]) <= leftOf(result[j]) ? [i, j] : [j, i];
+      const a = result[left];
+      const b = result[right];
+
+      if (rightOf(b) <= rightOf(a)) {
+        // b is nested inside a's span — rest it on top of a
+        b.y = topOf(a) + b.height / 2;
+        repairs.push(`Lifted platform ${right} onto platform ${left} to remove overlap`);
+      } else if (leftOf(b) - leftOf(a) >= LEVEL.MIN_PLATFORM_WIDTH) {
+        const newWidth = leftOf(b) - leftOf(a);
+        a.x = leftOf(a) + newWidth / 2;
+        a.width = newWidth;
+        repairs.push(`Trimmed platform ${left} to remove overlap with platform ${right}`);
+      } else {
+        b.x += rightOf(a) - leftOf(b);
+        repairs.push(`Moved platform ${right} clear of platform ${left}`);
+      }
+    }
+  }
+
+  return { platforms: result, repairs };
+}
+
+/**
+ * Builds a run of evenly spaced stepping platforms from a toward b.
+ * Uses the fewest steps that keep every hop within the jump envelope.
+ *
+ * @param {Object} a - Reachable platform
+ * @param {Object} b - Platform to connect to
+ * @returns {Array<Object>} Stepping platforms (empty if there is no room for them)
+ */
+export function buildSteppingPlatforms(a, b) {
+  const safeRise = getJumpEnvelope().maxHeight * JUMP_SAFETY;
+  const direction = b.x >= a.x ? 1 : -1;
+  const startEdge = direction === 1 ? rightOf(a) : leftOf(a);
+  const endEdge = direction === 1 ? leftOf(b) : rightOf(b);
+  const gap = (endEdge - startEdge) * direction;
+  const rise = topOf(b) - topOf(a);
+
+  if (gap <= 0) return [];
+
+  for (let n = 1; n <= MAX_STEPS_PER_GAP; n++) {
+    const stepRise = rise / (n + 1);
+    if (stepRise > safeRise) continue;
+
+    const subGap = (gap - n * STEP_WIDTH) / (n + 1);
+    if (subGap < 0) return [];
+    if (subGap > maxGapForRise(stepRise) * JUMP_SAFETY) continue;
+
+    return Array.from({ length: n }, (_, k) => {
+      const near = startEdge + direction * ((k + 1) * subGap + k * STEP_WIDTH);
+      return {
+        x: near + (direction * STEP_WIDTH) / 2,
+        y: topOf(a) + stepRise * (k + 1) - STEP_HEIGHT / 2,
+        z: 0,
+        width: STEP_WIDTH,
+        height: STEP_HEIGHT,
+        depth: 4,
+        type: 'stone',
+      };
+    });
+  }
+
+  return [];
+}
+
+/**
+ * Inserts stepping platforms across the gaps that cut the goal off from spawn,
+ * one gap per pass, until the goal is reachable or nothing more can be bridged.
+ * Each pass bridges the cheapest hop (smallest gap and rise) from a reachable
+ * platform to an unreachable one that lies closer to the goal.
+ *
+ * @param {Object} level - Sanitized level (not mutated)
+ * @returns {{platforms: Array<Object>, repairs: string[]}}
+ */
+export function bridgeGaps(level) {
+  const platforms = [...level.platforms];
+  const goalX = level.goalPosition.x;
+  const repairs = [];
+
+  for (let pass = 0; pass < MAX_BRIDGE_PASSES; pass++) {
+    const report = analyzeReachability({ ...level, platforms });
+    if (report.reachable || report.spawnPlatform < 0) break;
+
+    const reached = new Set(report.reachablePlatforms);
+    const candidates = [];
+    for (const from of reached) {
+      platforms.forEach((b, to) => {
+        const a = platforms[from];
+        if (reached.has(to) || Math.abs(b.x - goalX) >= Math.abs(a.x - goalX)) return;
+        const gap = Math.max(0, leftOf(b) - rightOf(a), leftOf(a) - rightOf(b));
+        candidates.push({ from, to, cost: gap + Math.abs(topOf(b) - topOf(a)) });
+      });
+    }
+    candidates.sort((m, n) => m.cost - n.cost);
+
+    let bridged = false;
+    for (const { from, to } of candidates) {
+      const steps = buildSteppingPlatforms(platforms[from], platforms[to]);
+      if (steps.length === 0 || platforms.length + steps.length > LEVEL.MAX_PLATFORMS) continue;
+
+      platforms.push(...steps);
+      repairs.push(`Inserted ${steps.length} stepping platform(s) between platforms ${from} and ${to}`);
+      bridged = true;
+      break;
+    }
+    if (!bridged) break;
+  }
+
+  return { platforms, repairs };
+}
+
+/**
+ * Moves the spawn point above the leftmost platform when it is not above any.
+ * @param {Object} level - Sanitized level
+ * @returns {{spawnPoint: Object, repairs: string[]}}
+ */
+export function repairSpawn(level) {
+  const { platforms, spawnPoint } = level;
+  if (platformBelow(platforms, spawnPoint) >= 0) return { spawnPoint, repairs: [] };
+
+  const first = platforms.reduce((best, p) => (leftOf(p) < leftOf(best) ? p : best));
+  return {
+    spawnPoint: { x: first.x, y: topOf(first) + 2, z: 0 },
+    repairs: ['Moved spawn point above the first platform'],
+  };
+}
+
+/**
+ * Moves the goal onto the last (rightmost) platform when no platform lets the
+ * player touch it.
+ * @param {Object} level - Sanitized level
+ * @returns {{goalPosition: Object, repairs: string[]}}
+ */
+export function repairGoal(level) {
+  const { platforms, goalPosition } = level;
+  if (platforms.some((p) => canTouchPoint(p, goalPosition, GOAL.REACH_DISTANCE))) {
+    return { goalPosition, repairs: [] };
+  }
+
+  const last = platforms.reduce((best, p) => (rightOf(p) > rightOf(best) ? p : best));
+  return {
+    goalPosition: { x: Math.max(last.x, rightOf(last) - 2), y: topOf(last), z: 0 },
+    repairs: ['Moved goal onto the last platform'],
+  };
+}
+
+/**
+ * Snaps coins and power-ups the player cannot collect onto the nearest reachable
+ * platform, floating enemies onto the nearest platform surface, and NPCs the player
+ * cannot walk up to onto the nearest reachable platform. Enemies and NPCs only
+ * stand on fixed platforms; one left on a moving platform would hang in the air.
+ * Flying enemies are left where they are.
+ *
+ * @param {Object} level - Sanitized level
+ * @param {number[]} reachablePlatforms - Indices reachable from spawn
+ * @param {number} [enemyPlatformCount] - Only the first N platforms may receive
+ *   enemies, keeping them off inserted stepping platforms
+ * @returns {{coins: Array<Object>, powerUps: Array<Object>, enemies: Array<Object>, npcs: Array<Object>, repairs: string[]}}
+ */
+export function snapEntities(level, reachablePlatforms, enemyPlatformCount = level.platforms.length) {
+  const { platforms } = level;
+  const allPlatforms = platforms.map((_, i) => i);
+  const fixedOr = (indices) => {
+    const fixed = indices.filter((k) => !platforms[k].motion);
+    return fixed.length > 0 ? fixed : indices;
+  };
+  const enemyPlatforms = fixedOr(allPlatforms.slice(0, enemyPlatformCount));
+  const coinTargets = reachablePlatforms.length > 0 ? reachablePlatforms : allPlatforms;
+  const npcTargets = fixedOr(coinTargets);
+  const repairs = [];
+
+  const coins = level.coins.map((coin, i) => {
+    const collectable = coinTargets.some((k) => canTouchPoint(platforms[k], coin, COIN.COLLECT_DISTANCE));
+    if (collectable) return coin;
+
+    const k = nearestPlatform(platforms, coinTargets, coin);
+    const p = platforms[k];
+    repairs.push(`Snapped coin ${i} onto platform ${k}`);
+    return {
+      ...coin,
+      x: clamp(coin.x, leftOf(p) + COIN.RADIUS, rightOf(p) - COIN.RADIUS),
+      y: topOf(p) + COIN_HOVER,
+    };
+  });
+
+  const powerUps = (level.powerUps || []).map((powerUp, i) => {
+    const collectable = coinTargets.some((k) => canTouchPoint(platforms[k], powerUp, POWERUP.COLLECT_DISTANCE));
+    if (collectable) return powerUp;
+
+    const k = nearestPlatform(platforms, coinTargets, powerUp);
+    const p = platforms[k];
+    repairs.push(`Snapped power-up ${i} onto platform ${k}`);
+    return {
+      ...powerUp,
+      x: clamp(powerUp.x, leftOf(p) + COIN.RADIUS, rightOf(p) - COIN.RADIUS),
+      y: topOf(p) + COIN_HOVER,
+    };
+  });
+
+  const enemies = level.enemies.map((enemy, i) => {
+    const config = ENEMY_TYPES[enemy.type] || ENEMY_TYPES.goomba;
+    if (config.movement === 'fly') return enemy;
+    const feet = enemy.y - config.height / 2;
+    const standing = platforms.some(
+      (p) => !p.motion && enemy.x >= leftOf(p) && enemy.x <= rightOf(p) && Math.abs(feet - topOf(p)) < 0.05
+    );
+    if (standing) return enemy;
+
+    const k = nearestPlatform(platforms, enemyPlatforms, enemy);
+    const p = platforms[k];
+    const margin = Math.min(config.width / 2, p.width / 2);
+    repairs.push(`Snapped enemy ${i} onto platform ${k}`);
+    return {
+      ...enemy,
+      x: clamp(enemy.x, leftOf(p) + margin, rightOf(p) - margin),
+      y: topOf(p) + config.height / 2,
+    };
+  });
+
+  const npcs = (level.npcs || []).map((npc, i) => {
+    const feet = npc.y - NPC.HEIGHT / 2;
+    const standing = npcTargets.some((k) => {
+      const p = platforms[k];
+      return npc.x >= leftOf(p) && npc.x <= rightOf(p) && Math.abs(feet - topOf(p)) < 0.05;
+    });
+    if (standing) return npc;
+
+    const k = nearestPlatform(platforms, npcTargets, npc);
+    const p = platforms[k];
+    const margin = Math.min(NPC.WIDTH / 2, p.width / 2);
+    repairs.push(`Snapped NPC ${i} onto platform ${k}`);
+    return {
+      ...npc,
+      x: clamp(npc.x, leftOf(p) + margin, rightOf(p) - margin),
+      y: topOf(p) + NPC.HEIGHT / 2,
+    };
+  });
+
+  return { coins, powerUps, enemies, npcs, repairs };
+}
+
+/**
+ * Runs every repair pass over a sanitized level.
+ * Order matters: platforms are separated first, spawn and goal placed next, gaps
+ * bridged against that layout, and entities snapped to the final platforms.
+ *
+ * @param {Object} level - Sanitized level data (not mutated)
+ * @returns {{level: Object, repairs: string[]}} Repaired level and the fixes applied
+ */
+export function repairLevel(level) {
+  const repairs = [];
+  let current = { ...level };
+
+  const overlap = clampOverlappingPlatforms(current.platforms);
+  current = { ...current, platforms: overlap.platforms };
+  repairs.push(...overlap.repairs);
+
+  const spawn = repairSpawn(current);
+  current = { ...current, spawnPoint: spawn.spawnPoint };
+  repairs.push(...spawn.repairs);
+
+  const goal = repairGoal(current);
+  current = { ...current, goalPosition: goal.goalPosition };
+  repairs.push(...goal.repairs);
+
+  const bridges = bridgeGaps(current);
+  current = { ...current, platforms: bridges.platforms };
+  repairs.push(...bridges.repairs);
+
+  const { reachablePlatforms } = analyzeReachability(current);
+  const snapped = snapEntities(current, reachablePlatforms, overlap.platforms.length);
+  current = {
+    ...current,
+    coins: snapped.coins,
+    powerUps: snapped.powerUps,
+    enemies: snapped.enemies,
+    npcs: snapped.npcs,
+  };
+  repairs.push(...snapped.repairs);
+
+  return { level: current, repairs };
+}
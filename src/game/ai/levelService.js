@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Level loading service.
+ * Requests an LLM-generated level from the API proxy, validates and repairs it,
+ * and retries a bounded number of times before falling back to the offline generator.
+ * Kept free of store imports so the pipeline stays testable in isolation.
+ */
+
+import { buildLevelPrompt, isBossLevel } from './levelPrompt.js';
+import { validateLevelData } from './levelValidator.js';
+import { generateLevel } from './levelGenerator.js';
+import { API } from '../../utils/constants.js';
+
+/**
+ * @typedef {Object} LevelLoadResult
+ * @property {Object} levelData - Validated level data ready for the store
+ * @property {string} source - Where the level came from: the proxy's LLM provider
+ *   name (e.g. "mock" or "gemini (gemini-2.0-flash)") or 'procedural'
+ * @property {string[]} errors - Errors collected from failed attempts
+ */
+
+/**
+ * Posts a prompt to the proxy and returns the raw level JSON with the name of
+ * the provider that generated it. Aborts the request after API.LEVEL_TIMEOUT_MS.
+ *
+ * @param {string} prompt - Prompt built by buildLevelPrompt
+ * @returns {Promise<{levelData: Object, provider: string}>} Raw (unvalidated) level data
+ * @throws {Error} On network failure, timeout, or a non-OK response
+ */
+export async function requestLevel(prompt) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), API.LEVEL_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(`${API.BASE_URL}/api/generate-level`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prompt }),
+      signal: controller.signal,
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || !body.levelData) {
+      const message = body.error || `Level request failed with status ${response.status}`;
+      throw new Error(body.details?.length ? `${message}: ${body.details.join('; ')}` : message);
+    }
+    return { levelData: body.levelData, provider: body.provider || 'unknown' };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Loads a playable level for the given difficulty.
+ * Each attempt requests a level and validates it in repair mode, so only levels that
+ * stay unbeatable after repair cost another request; after maxAttempts failures (or
+ * straight away in offline mode) a seeded procedural level is generated instead,
+ * so the game never gets stuck in the loading phase.
+ *
+ * @param {Object} options
+ * @param {number} options.difficulty - Target difficulty (1-10)
+ * @param {number} options.levelNumber - Level number for theming
+ * @param {number|string} options.seed - Seed for the procedural fallback
+ * @param {Object} [options.playerStats] - Stats forwarded to the prompt builder
+ * @param {number} [options.maxAttempts=API.LEVEL_MAX_ATTEMPTS] - Attempt limit
+ * @param {(message: string) => void} [options.onStatus] - Progress callback for the loading screen
+ * @returns {Promise<LevelLoadResult>}
+ */
+export async function loadLevel({
+  difficulty,
+  levelNumber,
+  seed,
+  playerStats = {},
+  maxAttempts = API.LEVEL_MAX_ATTEMPTS,
+  onStatus = () => {},
+}) {
+  const prompt = buildLevelPrompt(difficulty, levelNumber, playerStats);
+  const errors = [];
+  const attempts = API.OFFLINE_LEVELS ? 0 : maxAttempts;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    onStatus(attempt === 1 ? 'Generating level...' : `Retrying (${attempt}/${maxAttempts})...`);
+
+    try {
+      const { levelData: raw, provider } = await requestLevel(prompt);
+      const result = validateLevelData(raw, { repair: true, requireBoss: isBossLevel(levelNumber) });
+      if (result.valid) {
+        return {
+          levelData: { ...result.data, difficulty },
+          source: provider,
+          errors,
+        };
+      }
+      errors.push(...result.errors);
+    } catch (error) {
+      errors.push(error.name === 'AbortError' ? 'Level request timed out' : error.message);
+    }
+
+    if (attempt < attempts) {
+      await new Promise((resolve) => setTimeout(resolve, API.LEVEL_RETRY_DELAY_MS * attempt));
+    }
+  }
+
+  onStatus('Building offline level...');
+  const levelData = generateLevel({ seed, difficulty, levelNumber });
+  if (errors.length > 0) {
+    console.warn(`Level generation failed, using procedural level (seed ${levelData.seed}):`, errors);
+  }
+  return { levelData, source: 'procedural', errors };
+}
@@ -5,124 +5,248 @@
  * TESTING: All functions are pure and easily testable.
  */
 
-import { LEVEL } from '../../utils/constants';
+import { LEVEL, NPC, ENEMY_TYPES, ENEMY_BEHAVIORS, PLATFORM_COLORS, POWERUP_TYPES, BLOCK, BOSS } from '../../utils/constants.js';
+import { sanitizeInput } from '../../utils/sanitize.js';
+import { analyzeReachability, platformBelow } from './reachability.js';
+import { repairLevel } from './levelRepair.js';
+import { sanitizeMotion } from '../platforms/platformMotion.js';
 
 /**
  * @typedef {Object} ValidationResult
  * @property {boolean} valid - Whether the level data is valid
  * @property {string[]} errors - List of validation error messages
  * @property {Object|null} data - Sanitized level data if valid
+ * @property {import('./reachability').ReachabilityReport|null} reachability -
+ *   Platform graph analysis (null when the level was rejected before it ran)
+ * @property {string[]} repairs - Fixes applied in repair mode (empty otherwise)
  */
 
+/** Finite number check — rejects NaN/Infinity that typeof would let through */
+function isNum(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/** Generator seeds are unsigned 32-bit integers (see levelGenerator normalizeSeed) */
+function isSeed(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 0xffffffff;
+}
+
+/** Array items that are plain objects (drops null/strings from malformed JSON) */
+function objectsIn(list) {
+  return Array.isArray(list) ? list.filter((item) => item && typeof item === 'object') : [];
+}
+
 /**
  * Validates and sanitizes level data from Gemini API response.
- * Ensures the level is playable: has spawn, reachable platforms, valid enemies.
+ * Ensures the level is playable: has spawn, valid enemies, and a goal that can be
+ * reached from spawn using the player's real jump physics.
+ *
+ * In repair mode, fixable problems (too many platforms, gaps, floating coins,
+ * power-ups, enemies and NPCs, a misplaced goal, overlaps) are corrected instead of rejected; only
+ * structurally broken data or levels that stay unbeatable after repair fail.
  *
  * @param {Object} rawData - Raw parsed JSON from Gemini
+ * @param {Object} [options]
+ * @param {boolean} [options.repair=false] - Auto-repair instead of rejecting. Repaired
+ *   levels are model output, so any seed they claim is dropped; otherwise a valid
+ *   generator seed is kept, which lets the leaderboard server rebuild the level
+ * @param {boolean} [options.requireReachable=true] - Reject levels whose goal cannot
+ *   be reached; disable to only sanitize a level that was already accepted (saves)
+ * @param {boolean} [options.requireBoss=false] - Reject levels without a boss standing
+ *   on a platform (castle levels, see isBossLevel)
  * @returns {ValidationResult} Validation result with sanitized data or errors
  */
-export function validateLevelData(rawData) {
+export function validateLevelData(rawData, { repair = false, requireReachable = true, requireBoss = false } = {}) {
   const errors = [];
+  const repairs = [];
 
   if (!rawData || typeof rawData !== 'object') {
-    return { valid: false, errors: ['Level data is not a valid object'], data: null };
+    return { valid: false, errors: ['Level data is not a valid object'], data: null, reachability: null, repairs };
   }
 
   // Validate platforms
   if (!Array.isArray(rawData.platforms) || rawData.platforms.length === 0) {
     errors.push('No platforms defined');
   } else if (rawData.platforms.length > LEVEL.MAX_PLATFORMS) {
-    errors.push(`Too many platforms: ${rawData.platforms.length} (max ${LEVEL.MAX_PLATFORMS})`);
+    if (repair) {
+      repairs.push(`Dropped ${rawData.platforms.length - LEVEL.MAX_PLATFORMS} platforms over the limit of ${LEVEL.MAX_PLATFORMS}`);
+    } else {
+      errors.push(`Too many platforms: ${rawData.platforms.length} (max ${LEVEL.MAX_PLATFORMS})`);
+    }
   }
 
   // Validate each platform
-  const validPlatforms = (rawData.platforms || []).filter((p) => {
-    if (typeof p.x !== 'number' || typeof p.y !== 'number') return false;
-    if (typeof p.width !== 'number' || p.width < LEVEL.MIN_PLATFORM_WIDTH) return false;
+  const validPlatforms = objectsIn(rawData.platforms).filter((p) => {
+    if (!isNum(p.x) || !isNum(p.y)) return false;
+    if (!isNum(p.width) || p.width < LEVEL.MIN_PLATFORM_WIDTH) return false;
     if (p.y < -5 || p.y > 15) return false;
     return true;
-  });
+  }).slice(0, LEVEL.MAX_PLATFORMS);
 
   if (validPlatforms.length === 0 && !errors.length) {
     errors.push('No valid platforms after validation');
   }
 
   // Validate spawn point
-  if (!rawData.spawnPoint || typeof rawData.spawnPoint.x !== 'number') {
+  if (!rawData.spawnPoint || !isNum(rawData.spawnPoint.x)) {
     errors.push('Missing or invalid spawn point');
   }
 
   // Validate goal position
-  if (!rawData.goalPosition || typeof rawData.goalPosition.x !== 'number') {
+  if (!rawData.goalPosition || !isNum(rawData.goalPosition.x)) {
     errors.push('Missing or invalid goal position');
   }
 
   // Validate enemies
-  const validEnemies = (rawData.enemies || [])
+  const validEnemies = objectsIn(rawData.enemies)
     .filter((e) => {
-      if (typeof e.x !== 'number' || typeof e.y !== 'number') return false;
-      if (!['goomba', 'koopa'].includes(e.type)) return false;
-      if (!['patrol', 'chase'].includes(e.behavior)) e.behavior = 'patrol';
+      if (!isNum(e.x) || !isNum(e.y)) return false;
+      if (!Object.keys(ENEMY_TYPES).includes(e.type)) return false;
+      if (!ENEMY_BEHAVIORS.includes(e.behavior)) e.behavior = 'patrol';
       return true;
     })
     .slice(0, LEVEL.MAX_ENEMIES);
 
   // Validate coins
-  const validCoins = (rawData.coins || [])
-    .filter((c) => typeof c.x === 'number' && typeof c.y === 'number')
-    .map((c) => ({ ...c, z: 0, collected: false }))
+  const validCoins = objectsIn(rawData.coins)
+    .filter((c) => isNum(c.x) && isNum(c.y))
+    .map((c) => ({ x: c.x, y: c.y, z: 0, collected: false }))
     .slice(0, LEVEL.MAX_COINS);
 
-  // Check platform reachability (simplified — ensure no gap > MAX_GAP)
-  const sortedPlatforms = [...validPlatforms].sort((a, b) => a.x - b.x);
-  for (let i = 1; i < sortedPlatforms.length; i++) {
-    const prevEnd = sortedPlatforms[i - 1].x + sortedPlatforms[i - 1].width / 2;
-    const currStart = sortedPlatforms[i].x - sortedPlatforms[i].width / 2;
-    const gap = currStart - prevEnd;
-    const heightDiff = Math.abs(sortedPlatforms[i].y - sortedPlatforms[i - 1].y);
+  // Validate power-ups (optional)
+  const validPowerUps = objectsIn(rawData.powerUps)
+    .filter((u) => isNum(u.x) && isNum(u.y) && Object.keys(POWERUP_TYPES).includes(u.type))
+    .map((u) => ({ x: u.x, y: u.y, z: 0, type: u.type, collected: false }))
+    .slice(0, LEVEL.MAX_POWERUPS);
+
+  // Validate NPCs (optional). Names and personalities end up in dialog prompts, so sanitize them
+  const validNPCs = objectsIn(rawData.npcs)
+    .filter((n) => isNum(n.x) && isNum(n.y) && typeof n.name === 'string')
+    .map((n) => ({
+      x: n.x,
+      y: n.y,
+      z: 0,
+      name: sanitizeInput(n.name, NPC.MAX_NAME_LENGTH),
+      personality: sanitizeInput(n.personality, NPC.MAX_PERSONALITY_LENGTH),
+    }))
+    .filter((n) => n.name)
+    .slice(0, LEVEL.MAX_NPCS);
+
+  // Moving platforms (optional motion) — crumbling platforms can't also move,
+  // and motion past LEVEL.MAX_MOVING_PLATFORMS is dropped
+  let movingCount = 0;
+  const platforms = validPlatforms.map((p) => {
+    const platform = {
+      x: p.x,
+      y: p.y,
+      z: 0,
+      width: Math.max(p.width, LEVEL.MIN_PLATFORM_WIDTH),
+      height: isNum(p.height) && p.height > 0 ? p.height : 1,
+      depth: isNum(p.depth) && p.depth > 0 ? p.depth : 4,
+      type: Object.keys(PLATFORM_COLORS).includes(p.type) ? p.type : 'grass',
+    };
+    const motion = platform.type === 'crumbling' ? null : sanitizeMotion(p.motion);
+    if (!motion || movingCount >= LEVEL.MAX_MOVING_PLATFORMS) return platform;
+    movingCount++;
+    return { ...platform, motion };
+  });
+
+  // Validate blocks (optional). Each is hung BLOCK.HOVER above the platform under it,
+  // so it can be walked under and bumped with a jump; blocks over a gap are dropped
+  const blocks = [];
+  for (const b of objectsIn(rawData.blocks)) {
+    if (blocks.length >= LEVEL.MAX_BLOCKS) break;
+    if (!isNum(b.x) || !isNum(b.y) || !BLOCK.TYPES.includes(b.type)) continue;
+    const below = platformBelow(platforms, { x: b.x, y: b.y - BLOCK.SIZE / 2 });
+    if (below < 0) continue;
+    const p = platforms[below];
+    const y = p.y + p.height / 2 + BLOCK.HOVER + BLOCK.SIZE / 2;
+    if (blocks.some((o) => Math.abs(o.x - b.x) < BLOCK.SIZE && Math.abs(o.y - y) < BLOCK.SIZE)) continue;
+    blocks.push(
+      b.type === 'question'
+        ? { x: b.x, y, z: 0, type: b.type, contents: BLOCK.CONTENTS.includes(b.contents) ? b.contents : 'coin' }
+        : { x: b.x, y, z: 0, type: b.type }
+    );
+  }
+
+  const spawnPoint = {
+    x: rawData.spawnPoint?.x || 2,
+    y: isNum(rawData.spawnPoint?.y) ? rawData.spawnPoint.y : 2,
+    z: 0,
+  };
+  const goalPosition = {
+    x: rawData.goalPosition?.x || 80,
+    y: isNum(rawData.goalPosition?.y) ? rawData.goalPosition.y : 0,
+    z: 0,
+  };
+
+  if (errors.length > 0) {
+    return { valid: false, errors, data: null, reachability: null, repairs };
+  }
+
+  let level = {
+    platforms,
+    coins: validCoins,
+    powerUps: validPowerUps,
+    blocks,
+    enemies: validEnemies.map((e) => ({
+      x: e.x,
+      y: e.y,
+      z: 0,
+      type: e.type,
+      behavior: e.behavior,
+    })),
+    npcs: validNPCs,
+    difficulty: Math.min(10, Math.max(1, isNum(rawData.difficulty) ? rawData.difficulty : 1)),
+    spawnPoint,
+    goalPosition,
+    ...(!repair && isSeed(rawData.seed) ? { seed: rawData.seed } : {}),
+  };
 
-    if (gap > LEVEL.MAX_GAP && heightDiff < 4) {
-      errors.push(`Unreachable gap of ${gap.toFixed(1)} between platforms ${i - 1} and ${i}`);
+  if (repair) {
+    const repaired = repairLevel(level);
+    level = repaired.level;
+    repairs.push(...repaired.repairs);
+  }
+
+  // Boss (castle levels): it stands on the platform below it, which becomes its bridge.
+  // Only that platform may be a bridge, and bridges never move
+  const bossBridge = isNum(rawData.boss?.x) && isNum(rawData.boss?.y) ? platformBelow(level.platforms, rawData.boss) : -1;
+  if (isNum(rawData.boss?.x) && bossBridge < 0) {
+    errors.push('Boss is not above any platform');
+  } else if (requireBoss && bossBridge < 0) {
+    errors.push('Missing boss on a boss level');
+  }
+  level.platforms = level.platforms.map((p, i) => {
+    if (i === bossBridge) {
+      const { motion: _motion, ...bridge } = p;
+      return { ...bridge, type: 'bridge' };
+    }
+    return p.type === 'bridge' ? { ...p, type: 'stone' } : p;
+  });
+  if (bossBridge >= 0) {
+    const bridge = level.platforms[bossBridge];
+    level.boss = { x: rawData.boss.x, y: bridge.y + bridge.height / 2 + BOSS.HEIGHT / 2, z: 0, bridge: bossBridge };
+  }
+
+  // Check the goal is reachable by simulating real jump arcs between platforms
+  const reachability = analyzeReachability(level);
+  if (requireReachable && reachability.spawnPlatform < 0) {
+    errors.push('Spawn point is not above any platform');
+  } else if (requireReachable && !reachability.reachable) {
+    errors.push('Goal is not reachable from the spawn point');
+    const reached = new Set(reachability.reachablePlatforms);
+    for (const edge of reachability.impossibleEdges) {
+      if (reached.has(edge.from) && !reached.has(edge.to)) {
+        errors.push(`Impossible jump from platform ${edge.from} to ${edge.to}: ${edge.reason}`);
+      }
     }
   }
 
   if (errors.length > 0) {
-    return { valid: false, errors, data: null };
+    return { valid: false, errors, data: null, reachability, repairs };
   }
 
   // Return sanitized data
-  return {
-    valid: true,
-    errors: [],
-    data: {
-      platforms: validPlatforms.map((p) => ({
-        x: p.x,
-        y: p.y,
-        z: 0,
-        width: Math.max(p.width, LEVEL.MIN_PLATFORM_WIDTH),
-        height: p.height || 1,
-        depth: p.depth || 4,
-        type: ['grass', 'brick', 'stone', 'ice', 'lava'].includes(p.type) ? p.type : 'grass',
-      })),
-      coins: validCoins,
-      enemies: validEnemies.map((e) => ({
-        x: e.x,
-        y: e.y,
-        z: 0,
-        type: e.type,
-        behavior: e.behavior,
-      })),
-      difficulty: Math.min(10, Math.max(1, rawData.difficulty || 1)),
-      spawnPoint: {
-        x: rawData.spawnPoint?.x || 2,
-        y: rawData.spawnPoint?.y || 2,
-        z: 0,
-      },
-      goalPosition: {
-        x: rawData.goalPosition?.x || 80,
-        y: rawData.goalPosition?.y || 0,
-        z: 0,
-      },
-    },
-  };
+  return { valid: true, errors: [], data: level, reachability, repairs };
 }
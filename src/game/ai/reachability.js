@@ -0,0 +1,418 @@
+/**
+ * @fileoverview Physics-accurate reachability analysis for level data.
+ * Replays the player controller's jump arcs (same gravity, damping, acceleration
+ * and timestep as Player.jsx + Level.jsx) against the level's platform boxes,
+ * builds a platform graph and checks that the goal can be reached from spawn.
+ * Moving platforms are checked at positions sampled along their path: a hop
+ * counts when it works from and to some point of the paths.
+ * Blocks are solid too: a jump that bumps one from below falls from there, and
+ * one in the way sideways stops the jump.
+ */
+
+import { PHYSICS, PLAYER, GOAL, BLOCK } from '../../utils/constants.js';
+import { motionSamples } from '../platforms/platformMotion.js';
+
+const DT = PHYSICS.TIME_STEP;
+const GRAVITY = PHYSICS.GRAVITY * PHYSICS.PLAYER_GRAVITY_SCALE;
+const DAMPING = 1 / (1 + DT * PHYSICS.PLAYER_LINEAR_DAMPING);
+const HALF_WIDTH = PLAYER.WIDTH / 2;
+const HALF_HEIGHT = PLAYER.HEIGHT / 2;
+const EPSILON = 1e-3;
+
+/** How much of the player's box must overlap a platform to count as a landing */
+const LANDING_OVERLAP = 0.2;
+
+/** Spacing between sampled take-off points, and how far back from the edge to sample */
+const TAKEOFF_STEP = 0.25;
+const MAX_TAKEOFF_SAMPLES = 12;
+
+/** Held horizontal input (fraction of MOVE_SPEED) tried for each jump */
+const SPEED_FACTORS = [1, 0.5, 0.25];
+
+/** Simulation cap (4 seconds of flight) */
+const MAX_STEPS = 240;
+
+/**
+ * Steady running speed on the ground for a held target velocity.
+ * Fixed point of: controller lerp (GROUND_ACCEL) followed by physics damping.
+ */
+function groundSpeed(target) {
+  const a = PHYSICS.GROUND_ACCEL;
+  return (target * a * DAMPING) / (1 - DAMPING * (1 - a));
+}
+
+/**
+ * Integrates a flight at the fixed physics timestep.
+ * Mirrors the per-frame order: controller sets vx, then Rapier applies gravity,
+ * damping and integrates position.
+ *
+ * @param {number} vx - Horizontal speed at the start
+ * @param {number} vy - Vertical speed at the start
+ * @param {number} target - Held horizontal target velocity
+ * @param {number} steps
+ * @returns {Array<{x: number, y: number, vx: number, vy: number}>} Center offsets
+ *   from the starting point, and the velocity reaching each
+ */
+function integrate(vx, vy, target, steps) {
+  let x = 0;
+  let y = 0;
+  const points = [];
+
+  for (let i = 0; i < steps; i++) {
+    vx += (target - vx) * PHYSICS.AIR_ACCEL;
+    vy += GRAVITY * DT;
+    vx *= DAMPING;
+    vy *= DAMPING;
+    x += vx * DT;
+    y += vy * DT;
+    points.push({ x, y, vx, vy });
+  }
+
+  return points;
+}
+
+/**
+ * Integrates one flight arc from running speed.
+ * @param {number} initialVy - JUMP_FORCE for a jump, 0 for walking off an edge
+ * @param {number} speedFactor - Held horizontal input as a fraction of MOVE_SPEED
+ * @returns {Array<{x: number, y: number, vx: number, vy: number}>} Center offsets from the take-off point
+ */
+function simulateArc(initialVy, speedFactor) {
+  const target = PHYSICS.MOVE_SPEED * speedFactor;
+  return integrate(groundSpeed(target), initialVy, target, MAX_STEPS);
+}
+
+/** Precomputed arcs — every jump and walk-off the controller can produce */
+const ARCS = [PHYSICS.JUMP_FORCE, 0].flatMap((initialVy) =>
+  SPEED_FACTORS.map((speedFactor) => ({
+    isJump: initialVy > 0,
+    target: PHYSICS.MOVE_SPEED * speedFactor,
+    points: simulateArc(initialVy, speedFactor),
+  }))
+);
+
+/**
+ * Returns the largest horizontal gap the player can clear for a given rise.
+ * @param {number} rise - Target top minus source top (negative = drop)
+ * @returns {number} Max edge-to-edge gap in world units (0 if the rise is too high)
+ */
+export function maxGapForRise(rise) {
+  let best = -Infinity;
+  for (const arc of ARCS) {
+    // Jumps take off with the center above the edge; walk-offs leave half a body past it
+    const startOffset = arc.isJump ? 0 : HALF_WIDTH;
+    for (const p of arc.points) {
+      if (p.y >= rise) best = Math.max(best, p.x + startOffset);
+    }
+  }
+  return best === -Infinity ? 0 : Math.max(0, best + HALF_WIDTH - LANDING_OVERLAP);
+}
+
+/**
+ * Summarizes what a single jump can do with the current physics constants.
+ * @returns {{maxHeight: number, maxDistance: number}} Apex height and flat gap (world units)
+ */
+export function getJumpEnvelope() {
+  const jump = ARCS.find((arc) => arc.isJump);
+  const maxHeight = Math.max(...jump.points.map((p) => p.y));
+  return { maxHeight, maxDistance: maxGapForRise(0) };
+}
+
+const ENVELOPE = getJumpEnvelope();
+
+function topOf(p) {
+  return p.y + p.height / 2;
+}
+
+function leftOf(p) {
+  return p.x - p.width / 2;
+}
+
+function rightOf(p) {
+  return p.x + p.width / 2;
+}
+
+/**
+ * Where a platform can be: its sampled path positions when it moves (as plain
+ * boxes without motion), or just itself.
+ */
+function placementsOf(p) {
+  if (!p.motion) return [p];
+  return motionSamples(p.motion).map((o) => ({ ...p, x: p.x + o.x, y: p.y + o.y, motion: null }));
+}
+
+/**
+ * @param {Array<{x: number, y: number}>} blocks - Level blocks
+ * @returns {Array<Object>} Their colliders as platform-shaped boxes
+ */
+function blockBoxes(blocks) {
+  return blocks.map((b) => ({ x: b.x, y: b.y, width: BLOCK.SIZE, height: BLOCK.SIZE }));
+}
+
+/** Edge-to-edge horizontal distance (0 when the platforms overlap in x) */
+function horizontalGap(a, b) {
+  return Math.max(0, leftOf(b) - rightOf(a), leftOf(a) - rightOf(b));
+}
+
+/** Whether the player's box centered at (cx, cy) intersects a platform box */
+function intersects(cx, cy, p) {
+  return (
+    cx + HALF_WIDTH > leftOf(p) + EPSILON &&
+    cx - HALF_WIDTH < rightOf(p) - EPSILON &&
+    cy + HALF_HEIGHT > p.y - p.height / 2 + EPSILON &&
+    cy - HALF_HEIGHT < topOf(p) - EPSILON
+  );
+}
+
+/**
+ * Flies one arc from a take-off point and reports where it ends. Bumping a
+ * block from below stops the rise and the player falls from there.
+ * @returns {{landed: boolean, blockedBy: string|null}} blockedBy names a third
+ *   platform or a block that interrupted the flight
+ */
+function flyArc(platforms, obstacles, blocks, from, to, startX, arc, direction) {
+  const target = platforms[to];
+  const targetTop = topOf(target);
+  let originX = startX;
+  let originY = topOf(platforms[from]) + HALF_HEIGHT;
+  let points = arc.points;
+  let prev = { x: 0, y: 0 };
+  let prevFeet = originY - HALF_HEIGHT;
+
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const cx = originX + p.x * direction;
+    const cy = originY + p.y;
+    const feet = cy - HALF_HEIGHT;
+    const overlap = Math.min(cx + HALF_WIDTH, rightOf(target)) - Math.max(cx - HALF_WIDTH, leftOf(target));
+
+    if (prevFeet >= targetTop - EPSILON && feet <= targetTop && overlap >= LANDING_OVERLAP) {
+      return { landed: true, blockedBy: null };
+    }
+
+    for (const k of obstacles) {
+      if (intersects(cx, cy, platforms[k])) {
+        return { landed: false, blockedBy: k === from || k === to ? null : `platform ${k}` };
+      }
+    }
+
+    const block = blocks.findIndex((b) => intersects(cx, cy, b));
+    if (block >= 0) {
+      const bottom = blocks[block].y - blocks[block].height / 2;
+      const headBefore = originY + prev.y + HALF_HEIGHT;
+      if (p.vy <= 0 || headBefore > bottom + EPSILON) return { landed: false, blockedBy: `block ${block}` };
+      // Head bump: carry on from just below the block with the rise stopped
+      originX += prev.x * direction;
+      originY += prev.y;
+      points = integrate(p.vx, 0, arc.target, MAX_STEPS - i);
+      prev = { x: 0, y: 0 };
+      i = -1;
+      continue;
+    }
+
+    // Below the target surface and still falling — this arc can no longer land on it
+    if (feet < targetTop && feet < prevFeet) break;
+    if (cy < PLAYER.RESPAWN_HEIGHT) break;
+    prevFeet = feet;
+    prev = p;
+  }
+
+  return { landed: false, blockedBy: null };
+}
+
+/**
+ * analyzeJump for two platforms at fixed positions. Other moving platforms are
+ * not treated as obstacles, since they move out of the way.
+ */
+function analyzeFixedJump(platforms, blocks, from, to) {
+  const a = platforms[from];
+  const b = platforms[to];
+  const rise = topOf(b) - topOf(a);
+
+  if (rise > ENVELOPE.maxHeight) {
+    return { possible: false, reason: `too high (rise ${rise.toFixed(1)}, max ${ENVELOPE.maxHeight.toFixed(1)})` };
+  }
+
+  const gap = horizontalGap(a, b);
+  const maxGap = maxGapForRise(rise);
+  if (gap > maxGap) {
+    return { possible: false, reason: `too far (gap ${gap.toFixed(1)}, max ${maxGap.toFixed(1)} at rise ${rise.toFixed(1)})` };
+  }
+
+  // Only platforms near the flight path can interfere
+  const minX = Math.min(leftOf(a), leftOf(b)) - maxGap - PLAYER.WIDTH;
+  const maxX = Math.max(rightOf(a), rightOf(b)) + maxGap + PLAYER.WIDTH;
+  const obstacles = platforms
+    .map((_, k) => k)
+    .filter((k) => k === from || k === to || !platforms[k].motion)
+    .filter((k) => rightOf(platforms[k]) >= minX && leftOf(platforms[k]) <= maxX);
+  const nearbyBlocks = blocks.filter((b) => rightOf(b) >= minX && leftOf(b) <= maxX);
+
+  // Jump toward the target; when the platforms overlap in x, try both ways
+  let directions = [1, -1];
+  if (leftOf(b) >= rightOf(a)) directions = [1];
+  else if (rightOf(b) <= leftOf(a)) directions = [-1];
+
+  let blocker = null;
+  for (const direction of directions) {
+    const edge = direction === 1 ? rightOf(a) : leftOf(a);
+    for (const arc of ARCS) {
+      const starts = arc.isJump
+        ? Array.from(
+            { length: Math.min(MAX_TAKEOFF_SAMPLES, Math.floor(a.width / TAKEOFF_STEP) + 1) },
+            (_, i) => edge - direction * i * TAKEOFF_STEP
+          )
+        : [edge + direction * HALF_WIDTH];
+
+      for (const startX of starts) {
+        const result = flyArc(platforms, obstacles, nearbyBlocks, from, to, startX, arc, direction);
+        if (result.landed) return { possible: true, reason: '' };
+        if (result.blockedBy) blocker = result.blockedBy;
+      }
+    }
+  }
+
+  return {
+    possible: false,
+    reason: blocker ? `blocked by ${blocker}` : 'no jump arc lands on it',
+  };
+}
+
+/**
+ * Decides whether the player can get from one platform onto another.
+ * Cheap envelope checks first, then full arc simulation against nearby platforms.
+ * Moving platforms are tried at every sampled position along their paths.
+ *
+ * @param {Array<Object>} platforms - Sanitized platforms
+ * @param {number} from - Source platform index
+ * @param {number} to - Target platform index
+ * @param {Array<{x: number, y: number}>} [blocks] - Sanitized blocks, solid in the way of a jump
+ * @returns {{possible: boolean, reason: string}}
+ */
+export function analyzeJump(platforms, from, to, blocks = []) {
+  const a = platforms[from];
+  const b = platforms[to];
+  const boxes = blockBoxes(blocks);
+  if (!a.motion && !b.motion) return analyzeFixedJump(platforms, boxes, from, to);
+
+  let failure = null;
+  for (const placedA of placementsOf(a)) {
+    for (const placedB of placementsOf(b)) {
+      const placed = [...platforms];
+      placed[from] = placedA;
+      placed[to] = placedB;
+      const result = analyzeFixedJump(placed, boxes, from, to);
+      if (result.possible) return result;
+      failure ??= result;
+    }
+  }
+  return failure;
+}
+
+/**
+ * Finds the platform the player lands on when dropped at a point,
+ * i.e. the highest platform under it. Moving platforms are skipped — they may
+ * not be there when the player drops.
+ * @param {Array<Object>} platforms - Sanitized platforms
+ * @param {{x: number, y: number}} point
+ * @returns {number} Platform index, or -1 if there is none
+ */
+export function platformBelow(platforms, point) {
+  let best = -1;
+  platforms.forEach((p, i) => {
+    if (p.motion) return;
+    const underneath =
+      point.x + HALF_WIDTH > leftOf(p) + LANDING_OVERLAP &&
+      point.x - HALF_WIDTH < rightOf(p) - LANDING_OVERLAP &&
+      topOf(p) <= point.y + EPSILON;
+    if (underneath && (best === -1 || topOf(p) > topOf(platforms[best]))) best = i;
+  });
+  return best;
+}
+
+/**
+ * Whether a player standing on (or jumping from) a platform can get within
+ * `radius` of a point — used for the goal flag and coin pickups. A moving
+ * platform counts if the point is in reach from anywhere along its path.
+ * @param {Object} platform - Sanitized platform
+ * @param {{x: number, y: number}} point
+ * @param {number} radius - Pickup/trigger distance measured from the player center
+ * @returns {boolean}
+ */
+export function canTouchPoint(platform, point, radius) {
+  if (platform.motion) return placementsOf(platform).some((placed) => canTouchPoint(placed, point, radius));
+  const minY = topOf(platform) + HALF_HEIGHT;
+  const maxY = minY + ENVELOPE.maxHeight;
+  const dx = Math.max(leftOf(platform) - point.x, 0, point.x - rightOf(platform));
+  const dy = Math.max(minY - point.y, 0, point.y - maxY);
+  return Math.sqrt(dx * dx + dy * dy) < radius;
+}
+
+/**
+ * @typedef {Object} ReachabilityReport
+ * @property {boolean} reachable - Whether the goal can be reached from spawn
+ * @property {number} spawnPlatform - Platform the player spawns onto (-1 if none)
+ * @property {number[]} goalPlatforms - Platforms from which the goal can be touched
+ * @property {number[]} reachablePlatforms - Platforms reachable from spawn
+ * @property {Array<{from: number, to: number, reason: string}>} impossibleEdges -
+ *   Neighbouring platforms (in x order) the player cannot move between
+ */
+
+/**
+ * Builds the platform graph and checks that the goal is reachable from spawn.
+ * Expects sanitized platforms (numeric x/y/width/height).
+ *
+ * @param {Object} level
+ * @param {Array<Object>} level.platforms
+ * @param {{x: number, y: number}} level.spawnPoint
+ * @param {{x: number, y: number}} level.goalPosition
+ * @param {Array<{x: number, y: number}>} [level.blocks]
+ * @returns {ReachabilityReport}
+ */
+export function analyzeReachability({ platforms, spawnPoint, goalPosition, blocks = [] }) {
+  const memo = new Map();
+  const canJump = (from, to) => {
+    const key = `${from}:${to}`;
+    if (!memo.has(key)) memo.set(key, analyzeJump(platforms, from, to, blocks));
+    return memo.get(key);
+  };
+
+  const spawnPlatform = platformBelow(platforms, spawnPoint);
+  const goalPlatforms = platforms
+    .map((p, i) => (canTouchPoint(p, goalPosition, GOAL.REACH_DISTANCE) ? i : -1))
+    .filter((i) => i >= 0);
+
+  // Breadth-first search over the platform graph
+  const reached = new Set();
+  if (spawnPlatform >= 0) {
+    const queue = [spawnPlatform];
+    reached.add(spawnPlatform);
+    while (queue.length > 0) {
+      const from = queue.shift();
+      for (let to = 0; to < platforms.length; to++) {
+        if (!reached.has(to) && canJump(from, to).possible) {
+          reached.add(to);
+          queue.push(to);
+        }
+      }
+    }
+  }
+
+  // Report every impossible hop between x-ordered neighbours
+  const order = platforms.map((_, i) => i).sort((i, j) => platforms[i].x - platforms[j].x);
+  const impossibleEdges = [];
+  for (let n = 1; n < order.length; n++) {
+    const from = order[n - 1];
+    const to = order[n];
+    const result = canJump(from, to);
+    if (!result.possible) impossibleEdges.push({ from, to, reason: result.reason });
+  }
+
+  return {
+    reachable: goalPlatforms.some((i) => reached.has(i)),
+    spawnPlatform,
+    goalPlatforms,
+    reachablePlatforms: [...reached].sort((i, j) => i - j),
+    impossibleEdges,
+  };
+}
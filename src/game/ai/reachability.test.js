@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Blocks are solid in the game, so the reachability solver must not
+ * pass a jump that only works by flying through one.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeJump, analyzeReachability } from './reachability.js';
+import { BLOCK } from '../../utils/constants.js';
+
+/** Platform one unit thick whose top is at `top` */
+const platform = (x, top, width) => ({ x, y: top - 0.5, width, height: 1, depth: 2, type: 'grass' });
+
+/** Block hung where the validator puts one over a platform whose top is 0 */
+const blockAt = (x) => ({ x, y: BLOCK.HOVER + BLOCK.SIZE / 2, z: 0, type: 'brick' });
+
+/** A step up that needs most of a full jump, taken from the right end of a platform */
+const STEP_UP = [platform(0, 0, 4), platform(4, 0.4, 2)];
+
+test('a jump up a step is possible with nothing overhead', () => {
+  assert.equal(analyzeJump(STEP_UP, 0, 1).possible, true);
+  assert.equal(analyzeJump(STEP_UP, 0, 1, [blockAt(-1)]).possible, true, 'a block away from the jump is harmless');
+});
+
+test('blocks over the take-off stop a jump up a step', () => {
+  const result = analyzeJump(STEP_UP, 0, 1, [blockAt(1), blockAt(2)]);
+  assert.equal(result.possible, false);
+});
+
+test('a block in the way sideways stops a jump up a step', () => {
+  const result = analyzeJump(STEP_UP, 0, 1, [blockAt(3)]);
+  assert.deepEqual(result, { possible: false, reason: 'blocked by block 0' });
+});
+
+test('the goal behind blocked jumps is unreachable', () => {
+  const level = {
+    platforms: STEP_UP,
+    spawnPoint: { x: 0, y: 2 },
+    goalPosition: { x: 4.5, y: 1 },
+    blocks: [blockAt(1), blockAt(2), blockAt(3)],
+  };
+  assert.equal(analyzeReachability({ ...level, blocks: [] }).reachable, true);
+  assert.equal(analyzeReachability(level).reachable, false);
+});
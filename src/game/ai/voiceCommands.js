@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Voice command interpreter.
+ * Maps sanitized speech transcripts to game actions; anything that is not a
+ * fixed command phrase is treated as dialog for the nearest NPC.
+ */
+
+/** @typedef {'pause' | 'resume' | 'restart' | 'nextLevel' | 'jump' | 'talk' | 'dialog'} VoiceCommandType */
+
+/**
+ * @typedef {Object} VoiceCommand
+ * @property {VoiceCommandType} type
+ * @property {string} text - Original transcript (the message for 'dialog' commands)
+ */
+
+/** Spoken phrases for each fixed command, already normalized */
+export const VOICE_COMMANDS = {
+  pause: ['pause', 'pause game', 'stop'],
+  resume: ['resume', 'resume game', 'continue', 'unpause', 'play'],
+  restart: ['restart', 'restart game', 'start over', 'try again'],
+  nextLevel: ['next level', 'next', 'go to next level'],
+  jump: ['jump', 'hop'],
+  talk: ['talk', 'speak', 'chat'],
+};
+
+/** Filler words people add around commands ("Mario, jump please") */
+const FILLER_WORDS = new Set(['mario', 'please', 'now', 'ok', 'okay', 'hey']);
+
+/**
+ * Lower-cases a transcript and strips punctuation and filler words.
+ * @param {string} transcript
+ * @returns {string}
+ */
+export function normalizeTranscript(transcript) {
+  return String(transcript ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s']/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word && !FILLER_WORDS.has(word))
+    .join(' ');
+}
+
+/**
+ * Interprets a transcript as a fixed command, or as dialog when no phrase matches.
+ * Only whole-phrase matches count, so "can I jump over that?" goes to the NPC.
+ *
+ * @param {string} transcript - Sanitized transcript from useVoiceInput
+ * @returns {VoiceCommand|null} Null for empty transcripts
+ */
+export function parseVoiceCommand(transcript) {
+  const text = String(transcript ?? '').trim();
+  const normalized = normalizeTranscript(text);
+  if (!normalized) return null;
+
+  for (const [type, phrases] of Object.entries(VOICE_COMMANDS)) {
+    if (phrases.includes(normalized)) return { type, text };
+  }
+  return { type: 'dialog', text };
+}
+
+/**
+ * Finds the NPC closest to a position.
+ * @param {Array<{x:number, y:number}>} npcs - Level NPCs
+ * @param {[number, number, number]} position - Player position
+ * @returns {number|null} Index of the nearest NPC, or null when there are none
+ */
+export function findNearestNPC(npcs, position) {
+  let nearest = null;
+  let nearestDist = Infinity;
+  (npcs || []).forEach((npc, i) => {
+    const dist = Math.hypot(position[0] - npc.x, position[1] - npc.y);
+    if (dist < nearestDist) {
+      nearest = i;
+      nearestDist = dist;
+    }
+  });
+  return nearest;
+}
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Hittable blocks — '?' blocks release a coin or a power-up when
+ * bumped from below and turn into empty blocks; bricks shatter when a powered-up
+ * player bumps them. The block layout is level data (levelData.blocks); what has
+ * happened to each block this attempt is store state, so a restart restores them.
+ */
+
+import { BLOCK, PLAYER } from '../../utils/constants.js';
+
+/**
+ * @typedef {Object} Block
+ * @property {number} x
+ * @property {number} y
+ * @property {number} z
+ * @property {'question' | 'brick'} type
+ * @property {string} [contents] - Question blocks only: 'coin' or a POWERUP_TYPES key
+ */
+
+/**
+ * @typedef {Object} BlockState
+ * @property {'ready' | 'used' | 'broken'} status
+ * @property {{x: number, y: number, z: number, type: string, collected: boolean}|null} item -
+ *   Power-up released by a question block, collected like level power-ups
+ */
+
+/** How far the player's head may sink into a block and still count as bumping it */
+const HEAD_TOLERANCE = 0.15;
+
+/** Released power-ups sit this far above the platform they land on */
+const ITEM_HOVER = 0.5;
+
+/**
+ * @param {Block[]} [blocks]
+ * @returns {BlockState[]} Every block untouched
+ */
+export function createBlockStates(blocks = []) {
+  return blocks.map(() => ({ status: 'ready', item: null }));
+}
+
+/**
+ * Whether a contact between the player and a block was the player's head
+ * hitting the block's underside (rather than landing on it or a side hit).
+ * @param {{x: number, y: number}} position - Player center
+ * @param {Block} block
+ * @returns {boolean}
+ */
+export function isHeadHit(position, block) {
+  const head = position.y + PLAYER.HEIGHT / 2;
+  const underside = block.y - BLOCK.SIZE / 2;
+  return Math.abs(position.x - block.x) < (PLAYER.WIDTH + BLOCK.SIZE) / 2 && head <= underside + HEAD_TOLERANCE;
+}
+
+/**
+ * Applies a bump from below.
+ * @param {Block} block
+ * @param {BlockState} blockState
+ * @param {import('../powerups/powerUps.js').PlayerForm} form - Player form; small players can't break bricks
+ * @returns {{blockState: BlockState, coins: number}} The same blockState when nothing happens
+ */
+export function bumpBlock(block, blockState, form) {
+  if (blockState.status !== 'ready') return { blockState, coins: 0 };
+
+  if (block.type === 'brick') {
+    if (form === 'small') return { blockState, coins: 0 };
+    return { blockState: { status: 'broken', item: null }, coins: 0 };
+  }
+
+  if (block.contents === 'coin') return { blockState: { status: 'used', item: null }, coins: 1 };
+
+  // Blocks hang BLOCK.HOVER above their platform, so the item lands on that platform
+  const platformTop = block.y - BLOCK.SIZE / 2 - BLOCK.HOVER;
+  const item = { x: block.x + BLOCK.ITEM_OFFSET, y: platformTop + ITEM_HOVER, z: 0, type: block.contents, collected: false };
+  return { blockState: { status: 'used', item }, coins: 0 };
+}
+
+/**
+ * @param {Block[]} [blocks]
+ * @returns {{coins: number, powerUps: number}} What the level's question blocks hold
+ */
+export function blockRewards(blocks = []) {
+  const questions = blocks.filter((b) => b.type === 'question');
+  const coins = questions.filter((b) => b.contents === 'coin').length;
+  return { coins, powerUps: questions.length - coins };
+}
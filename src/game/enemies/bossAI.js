@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Castle boss behavior. The boss paces its bridge, winds up each
+ * attack with a visible telegraph, attacks, then slumps to get its breath back —
+ * the only time it is low enough to stomp. Each stomp costs it a hit point and
+ * moves it into a harder attack phase. Cutting the bridge with the axe drops it
+ * off the level. Level data only says where the fight is; the fight itself is
+ * scripted here.
+ */
+
+import { BOSS, PHYSICS, PLAYER } from '../../utils/constants.js';
+
+/**
+ * @typedef {Object} BossPlacement - Level data for a castle boss
+ * @property {number} x
+ * @property {number} y - Center, standing on the bridge
+ * @property {number} z
+ * @property {number} bridge - Index into levelData.platforms of the bridge it guards
+ */
+
+/**
+ * @typedef {Object} Flame
+ * @property {number} x
+ * @property {number} y
+ * @property {number} vx
+ * @property {number} age - Seconds in flight
+ */
+
+/**
+ * @typedef {Object} Arena
+ * @property {number} left - Bridge ends
+ * @property {number} right
+ * @property {number|null} floor - Bridge top, null once the bridge has fallen
+ */
+
+/**
+ * @typedef {Object} BossState
+ * @property {'idle' | 'telegraph' | 'attack' | 'recover' | 'stunned' | 'falling'} mode
+ * @property {'flame' | 'jump' | 'charge' | null} attack - Attack being telegraphed or made
+ * @property {number} timer - Seconds in the current mode
+ * @property {number} attacks - Attacks made so far; picks the next one from the phase's list
+ * @property {number} x
+ * @property {number} y - Center
+ * @property {number} vx
+ * @property {number} vy
+ * @property {number} homeX - Center of the pacing range
+ * @property {1 | -1} pace - Pacing direction
+ * @property {1 | -1} facing
+ * @property {Flame[]} flames
+ */
+
+/** Attacks per phase, in order; a phase starts each time the boss is stomped */
+const ATTACK_PHASES = [
+  ['flame', 'charge'],
+  ['jump', 'flame', 'charge'],
+  ['charge', 'jump', 'flame', 'flame'],
+];
+
+/**
+ * @param {BossPlacement} placement
+ * @returns {BossState} A boss pacing where the level put it
+ */
+export function createBossState(placement) {
+  return {
+    mode: 'idle',
+    attack: null,
+    timer: 0,
+    attacks: 0,
+    x: placement.x,
+    y: placement.y,
+    vx: 0,
+    vy: 0,
+    homeX: placement.x,
+    pace: -1,
+    facing: -1,
+    flames: [],
+  };
+}
+
+/**
+ * @param {number} health - Hit points left (1 to BOSS.MAX_HEALTH)
+ * @returns {number} Attack phase, 0 at full health
+ */
+export function bossPhase(health) {
+  return Math.min(ATTACK_PHASES.length - 1, Math.max(0, BOSS.MAX_HEALTH - health));
+}
+
+/**
+ * @param {{x: number, y: number, width: number, height: number}} bridge - The boss's platform
+ * @param {boolean} collapsed - Whether the axe has been cut
+ * @returns {Arena}
+ */
+export function arenaOf(bridge, collapsed) {
+  return {
+    left: bridge.x - bridge.width / 2,
+    right: bridge.x + bridge.width / 2,
+    floor: collapsed ? null : bridge.y + bridge.height / 2,
+  };
+}
+
+/**
+ * @param {BossState} state
+ * @returns {number} Current height: slumped while recovering or stunned
+ */
+export function bossHeight(state) {
+  return state.mode === 'recover' || state.mode === 'stunned' ? BOSS.SLUMP_HEIGHT : BOSS.HEIGHT;
+}
+
+/**
+ * @param {BossState} state
+ * @returns {boolean} Whether a stomp lands — only while slumped after an attack
+ */
+export function canStompBoss(state) {
+  return state.mode === 'recover';
+}
+
+/**
+ * @param {BossState} state
+ * @returns {boolean} Whether touching the boss hurts the player
+ */
+export function bossHurts(state) {
+  return state.mode !== 'stunned' && state.mode !== 'falling';
+}
+
+/**
+ * A stomp: the boss stays slumped a little longer and can't be stomped again
+ * until it is back on its feet.
+ * @param {BossState} state
+ * @returns {BossState}
+ */
+export function stunBoss(state) {
+  return { ...state, mode: 'stunned', attack: null, timer: 0, vx: 0 };
+}
+
+/**
+ * Advances a flame one step. Flames roll along the bridge and can be jumped.
+ * @param {Flame} flame
+ * @param {number} dt - Seconds
+ * @returns {Flame|null} The moved flame, or null once it has burnt out
+ */
+export function stepFlame(flame, dt) {
+  const age = flame.age + dt;
+  if (age > BOSS.FLAME_LIFETIME) return null;
+  return { ...flame, x: flame.x + flame.vx * dt, age };
+}
+
+/**
+ * @param {Flame} flame
+ * @param {number} x - Player center
+ * @param {number} y
+ * @returns {boolean} Whether the flame touches the player
+ */
+export function flameHits(flame, x, y) {
+  const r = BOSS.FLAME_SIZE / 2;
+  return Math.abs(flame.x - x) < PLAYER.WIDTH / 2 + r && Math.abs(flame.y - y) < PLAYER.HEIGHT / 2 + r;
+}
+
+/** Seconds between attacks in a phase — the boss gets more aggressive as it is hurt */
+function idleTime(phase) {
+  return BOSS.IDLE_TIME * (1 - phase * 0.25);
+}
+
+/** Starts the telegraphed attack: a flame, a leap at the player or a charge */
+function launchAttack(state, phase, playerX, arena) {
+  const hurry = 1 + phase * 0.25;
+  if (state.attack === 'flame') {
+    const flame = {
+      x: state.x + state.facing * (BOSS.WIDTH / 2),
+      y: (arena.floor ?? state.y) + BOSS.FLAME_SIZE / 2,
+      vx: state.facing * BOSS.FLAME_SPEED * hurry,
+      age: 0,
+    };
+    return { ...state, mode: 'recover', timer: 0, vx: 0, flames: [...state.flames, flame] };
+  }
+  if (state.attack === 'jump') {
+    const airtime = (2 * BOSS.JUMP_SPEED) / -PHYSICS.GRAVITY;
+    const vx = Math.max(-BOSS.CHARGE_SPEED, Math.min(BOSS.CHARGE_SPEED, (playerX - state.x) / airtime));
+    return { ...state, mode: 'attack', timer: 0, vx, vy: BOSS.JUMP_SPEED };
+  }
+  return { ...state, mode: 'attack', timer: 0, vx: state.facing * BOSS.CHARGE_SPEED * hurry };
+}
+
+/**
+ * Advances the boss one step through its attack cycle:
+ * idle (pacing) → telegraph → attack → recover (slumped) → idle.
+ *
+ * @param {BossState} state
+ * @param {Object} world
+ * @param {number} world.health - Hit points left
+ * @param {Arena} world.arena
+ * @param {number} world.playerX
+ * @param {number} dt - Seconds
+ * @returns {BossState}
+ */
+export function stepBoss(state, { health, arena, playerX }, dt) {
+  const phase = bossPhase(health);
+  let s = {
+    ...state,
+    timer: state.timer + dt,
+    flames: state.flames.map((flame) => stepFlame(flame, dt)).filter(Boolean),
+  };
+  if (arena.floor === null && s.mode !== 'falling') s = { ...s, mode: 'falling', attack: null, timer: 0, vx: 0 };
+
+  if (s.mode === 'idle') {
+    s.facing = playerX < s.x ? -1 : 1;
+    if (Math.abs(s.x - s.homeX) >= BOSS.PACE_RANGE) s.pace = s.x < s.homeX ? 1 : -1;
+    s.vx = s.pace * BOSS.WALK_SPEED;
+    if (s.timer >= idleTime(phase) && Math.abs(playerX - s.x) < BOSS.WAKE_DISTANCE) {
+      const attacks = ATTACK_PHASES[phase];
+      s = { ...s, mode: 'telegraph', attack: attacks[s.attacks % attacks.length], timer: 0, vx: 0 };
+    }
+  } else if (s.mode === 'telegraph') {
+    if (s.timer >= BOSS.TELEGRAPH_TIME) s = launchAttack({ ...s, attacks: s.attacks + 1 }, phase, playerX, arena);
+  } else if (s.mode === 'attack' && s.attack === 'charge') {
+    if (s.timer >= BOSS.CHARGE_TIME) s = { ...s, mode: 'recover', timer: 0, vx: 0 };
+  } else if ((s.mode === 'recover' && s.timer >= BOSS.RECOVER_TIME) || (s.mode === 'stunned' && s.timer >= BOSS.STUN_TIME)) {
+    s = { ...s, mode: 'idle', attack: null, timer: 0 };
+  }
+
+  // Movement: the bridge ends stop it; gravity pulls it down after a leap or off a cut bridge
+  const halfWidth = BOSS.WIDTH / 2;
+  let x = s.x + s.vx * dt;
+  if (arena.floor !== null) {
+    const clamped = Math.min(arena.right - halfWidth, Math.max(arena.left + halfWidth, x));
+    if (clamped !== x && s.mode === 'attack' && s.attack === 'charge') s = { ...s, mode: 'recover', timer: 0 };
+    x = clamped;
+  }
+
+  const halfHeight = bossHeight(s) / 2;
+  let vy = s.vy;
+  let y = s.y;
+  const feet = s.y - bossHeight(state) / 2;
+  if (arena.floor === null || vy > 0 || feet > arena.floor) {
+    vy = Math.max(vy + PHYSICS.GRAVITY * dt, PHYSICS.MAX_FALL_SPEED);
+    y += vy * dt;
+    if (arena.floor !== null && y - halfHeight <= arena.floor) {
+      y = arena.floor + halfHeight;
+      vy = 0;
+      if (s.mode === 'attack' && s.attack === 'jump') s = { ...s, mode: 'recover', timer: 0, vx: 0 };
+    }
+  } else {
+    y = arena.floor + halfHeight;
+  }
+  if (s.mode === 'recover' || s.mode === 'stunned') x = s.x;
+
+  return { ...s, x, y, vy };
+}
@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Enemy AI — the patrol/chase state machine and terrain-aware
+ * walking. Walkers turn round at platform edges and walls, chasers follow a
+ * route along connected platforms to the one under the player, and an enemy
+ * whose ground disappears falls until it lands or leaves the level.
+ * Only fixed platforms count as terrain: moving platforms are skipped, and so
+ * are crumbling platforms while they are down.
+ * TESTING: All functions are pure and easily unit-testable.
+ */
+
+import { ENEMY, PHYSICS, PLAYER } from '../../utils/constants.js';
+
+/**
+ * @typedef {Object} EnemyState
+ * @property {'patrol' | 'chase'} mode
+ * @property {number} startX - Center of the patrol range
+ * @property {number} x
+ * @property {number} y - Center
+ * @property {number} vx - Horizontal speed this step, for facing the model
+ * @property {number} vy - 0 while standing
+ * @property {1 | -1} direction - Patrol direction
+ */
+
+/**
+ * @typedef {Object} WalkEdge - Way off one side of a platform
+ * @property {number} to - Index of the platform it leads to
+ * @property {1 | -1} direction - Side of the platform it leaves from
+ * @property {boolean} drop - Walking off the side and falling, rather than walking across
+ */
+
+/**
+ * @typedef {Object} Box
+ * @property {number} index - Into levelData.platforms
+ * @property {number} left
+ * @property {number} right
+ * @property {number} top
+ * @property {number} bottom
+ */
+
+/** Tolerance for "standing on" and "level with" */
+const EPSILON = 0.05;
+
+/** How far past an edge a walker lands when it walks off */
+const EDGE_PROBE = 0.5;
+
+/**
+ * @param {Array<{x: number, y: number, width: number, height: number, motion?: Object}>} platforms
+ * @param {number[]} [fallen] - Indices of crumbling platforms that are down
+ * @returns {Box[]} Platforms an enemy can walk on
+ */
+function terrainOf(platforms, fallen = []) {
+  const boxes = [];
+  platforms.forEach((p, index) => {
+    if (p.motion || fallen.includes(index)) return;
+    boxes.push({
+      index,
+      left: p.x - p.width / 2,
+      right: p.x + p.width / 2,
+      top: p.y + p.height / 2,
+      bottom: p.y - p.height / 2,
+    });
+  });
+  return boxes;
+}
+
+/**
+ * @param {Box[]} boxes
+ * @param {number} x
+ * @param {number} y
+ * @returns {Box|null} Highest platform whose top is at or below the point
+ */
+function boxBelow(boxes, x, y) {
+  let best = null;
+  for (const box of boxes) {
+    if (x < box.left || x > box.right || box.top > y + EPSILON) continue;
+    if (!best || box.top > best.top) best = box;
+  }
+  return best;
+}
+
+/**
+ * @param {Box[]} boxes
+ * @param {number} left
+ * @param {number} right
+ * @param {number} feet
+ * @returns {Box|null} Platform whose top the span stands on
+ */
+function supportOf(boxes, left, right, feet) {
+  return boxes.find((box) => right > box.left && left < box.right && Math.abs(box.top - feet) < EPSILON) ?? null;
+}
+
+/**
+ * @param {Box[]} boxes
+ * @param {number} left
+ * @param {number} right
+ * @param {number} feet
+ * @param {number} head
+ * @returns {boolean} Whether a platform's side blocks the span
+ */
+function blocked(boxes, left, right, feet, head) {
+  return boxes.some((box) => right > box.left && left < box.right && box.top > feet + EPSILON && box.bottom < head);
+}
+
+/**
+ * Starts a chaser or patroller where the level placed it.
+ * @param {{x: number, y: number}} data - Level enemy entry
+ * @returns {EnemyState}
+ */
+export function createEnemyState(data) {
+  return { mode: 'patrol', startX: data.x, x: data.x, y: data.y, vx: 0, vy: 0, direction: 1 };
+}
+
+/**
+ * Patrol/chase transitions. Only 'chase' enemies ever chase; the gap between
+ * ENEMY.CHASE_START and ENEMY.CHASE_STOP stops them flipping at the boundary.
+ * @param {'patrol' | 'chase'} mode
+ * @param {string} behavior - Level enemy behavior
+ * @param {number} distance - To the player
+ * @returns {'patrol' | 'chase'}
+ */
+export function nextMode(mode, behavior, distance) {
+  if (behavior !== 'chase') return 'patrol';
+  if (distance < ENEMY.CHASE_START) return 'chase';
+  if (distance >= ENEMY.CHASE_STOP) return 'patrol';
+  return mode;
+}
+
+/**
+ * Which platforms a walker can get to from each platform's sides: across to a
+ * platform level with and touching it, or by dropping onto the highest platform
+ * below the edge. Enemies can't jump, so there is no way back up.
+ *
+ * @param {Array<{x: number, y: number, width: number, height: number, motion?: Object}>} platforms
+ * @returns {WalkEdge[][]} Ways off each platform, by platform index (empty for moving platforms)
+ */
+export function buildWalkGraph(platforms) {
+  const boxes = terrainOf(platforms);
+  const graph = platforms.map(() => []);
+
+  for (const box of boxes) {
+    for (const direction of [-1, 1]) {
+      const edge = direction > 0 ? box.right : box.left;
+      const across = boxes.find(
+        (other) =>
+          other !== box &&
+          Math.abs(other.top - box.top) < EPSILON &&
+          other.left <= edge + EPSILON &&
+          other.right >= edge - EPSILON &&
+          (direction > 0 ? other.right > box.right : other.left < box.left)
+      );
+      if (across) {
+        graph[box.index].push({ to: across.index, direction, drop: false });
+        continue;
+      }
+      const below = boxBelow(
+        boxes.filter((other) => other.top < box.top - EPSILON),
+        edge + direction * EDGE_PROBE,
+        box.top
+      );
+      if (below) graph[box.index].push({ to: below.index, direction, drop: true });
+    }
+  }
+  return graph;
+}
+
+/**
+ * Breadth-first search for the fewest platforms between two.
+ * @param {WalkEdge[][]} graph - From buildWalkGraph
+ * @param {number} from - Platform the enemy stands on
+ * @param {number} to - Platform under the player
+ * @param {number[]} [fallen] - Crumbling platforms that are down and can't be crossed
+ * @returns {WalkEdge|null} First way off `from`, or null when already there or there is no way
+ */
+export function findRoute(graph, from, to, fallen = []) {
+  if (from === to || !graph[from]) return null;
+  /** First edge taken out of `from` to reach each platform */
+  const firstEdge = new Map([[from, null]]);
+  const queue = [from];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const edge of graph[current]) {
+      if (firstEdge.has(edge.to) || fallen.includes(edge.to)) continue;
+      const first = firstEdge.get(current) ?? edge;
+      if (edge.to === to) return first;
+      firstEdge.set(edge.to, first);
+      queue.push(edge.to);
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {Array<{x: number, y: number, width: number, height: number, motion?: Object}>} platforms
+ * @param {number[]} fallen
+ * @param {[number, number, number]} position - Player center
+ * @returns {number|null} Index of the platform the player stands on or is above
+ */
+export function platformUnderPlayer(platforms, fallen, position) {
+  const box = boxBelow(terrainOf(platforms, fallen), position[0], position[1] - PLAYER.HEIGHT / 2);
+  return box ? box.index : null;
+}
+
+/**
+ * Advances a flying enemy one step along x. Flyers ignore terrain: they patrol
+ * their range or head straight for the player, and Enemy.jsx sets their height.
+ * @param {EnemyState} state
+ * @param {{speed: number, patrolRange: number}} config - ENEMY_TYPES entry
+ * @param {number} playerX
+ * @param {number} dt - Seconds
+ * @returns {EnemyState}
+ */
+export function stepFlyer(state, config, playerX, dt) {
+  let direction = state.direction;
+  let vx;
+  if (state.mode === 'chase') {
+    vx = Math.sign(playerX - state.x) * config.speed * ENEMY.CHASE_SPEED_FACTOR;
+  } else {
+    if (state.x > state.startX + config.patrolRange) direction = -1;
+    if (state.x < state.startX - config.patrolRange) direction = 1;
+    vx = direction * config.speed;
+  }
+  return { ...state, x: state.x + vx * dt, vx, direction };
+}
+
+/**
+ * Advances a walking enemy one step. A patroller walks its patrol range and
+ * turns round at the ends, at platform edges and at walls. A chaser heads for
+ * the player along the route from findRoute, walks off an edge only where the
+ * route drops, and otherwise waits at the edge or wall in its way. Without
+ * ground underfoot, either one falls and keeps its horizontal speed.
+ *
+ * @param {EnemyState} state
+ * @param {{speed: number, patrolRange: number, width: number, height: number}} config - ENEMY_TYPES entry
+ * @param {Object} world
+ * @param {Array<{x: number, y: number, width: number, height: number, motion?: Object}>} world.platforms
+ * @param {number[]} world.fallen - Crumbling platforms that are down
+ * @param {WalkEdge[][]} world.graph - From buildWalkGraph
+ * @param {[number, number, number]} world.player - Player center
+ * @param {number} dt - Seconds
+ * @returns {EnemyState|null} The moved enemy, or null once it has fallen off the level
+ */
+export function stepEnemy(state, config, { platforms, fallen, graph, player }, dt) {
+  const boxes = terrainOf(platforms, fallen);
+  const halfWidth = config.width / 2;
+  const halfHeight = config.height / 2;
+  const feet = state.y - halfHeight;
+  const ground = state.vy === 0 ? supportOf(boxes, state.x - halfWidth, state.x + halfWidth, feet) : null;
+
+  let direction = state.direction;
+  let vx;
+  if (!ground) {
+    vx = state.vx;
+  } else if (state.mode === 'chase') {
+    const target = platformUnderPlayer(platforms, fallen, player);
+    const route = target === null ? null : findRoute(graph, ground.index, target, fallen);
+    const heading = route ? route.direction : Math.sign(player[0] - state.x);
+    vx = heading * config.speed * ENEMY.CHASE_SPEED_FACTOR;
+    const front = state.x + vx * dt + heading * halfWidth;
+    const edgeAhead = !supportOf(boxes, front, front, feet);
+    if (edgeAhead && !route?.drop) vx = 0;
+  } else {
+    if (state.x > state.startX + config.patrolRange) direction = -1;
+    if (state.x < state.startX - config.patrolRange) direction = 1;
+    const front = state.x + direction * (config.speed * dt + halfWidth);
+    if (!supportOf(boxes, front, front, feet)) direction = -direction;
+    vx = direction * config.speed;
+  }
+
+  let x = state.x + vx * dt;
+  if (blocked(boxes, x - halfWidth, x + halfWidth, feet, state.y + halfHeight)) {
+    x = state.x;
+    if (ground && state.mode === 'patrol') direction = -direction;
+    vx = 0;
+  }
+
+  let y = state.y;
+  let vy = 0;
+  if (!ground || !supportOf(boxes, x - halfWidth, x + halfWidth, feet)) {
+    vy = Math.max(state.vy + PHYSICS.GRAVITY * dt, PHYSICS.MAX_FALL_SPEED);
+    y = state.y + vy * dt;
+    const landing = boxes.find(
+      (box) => x + halfWidth > box.left && x - halfWidth < box.right && box.top <= feet + EPSILON && box.top > y - halfHeight
+    );
+    if (landing) {
+      y = landing.top + halfHeight;
+      vy = 0;
+    }
+  }
+
+  if (y < PLAYER.RESPAWN_HEIGHT) return null;
+  return { ...state, x, y, vx, vy, direction };
+}
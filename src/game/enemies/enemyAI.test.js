@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Walking enemies must stay on the level's terrain: patrollers turn
+ * round at edges and walls, anything whose ground disappears falls, and chasers
+ * find their way to the player across connected platforms.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildWalkGraph, createEnemyState, findRoute, stepEnemy } from './enemyAI.js';
+import { ENEMY_TYPES, PHYSICS } from '../../utils/constants.js';
+
+const GOOMBA = ENEMY_TYPES.goomba;
+/** A goomba that would walk on forever if nothing turned it round */
+const ROAMER = { ...GOOMBA, patrolRange: 100 };
+const HALF_HEIGHT = GOOMBA.height / 2;
+
+/** Platform one unit thick whose top is at `top` */
+const platform = (x, top, width, height = 1) => ({ x, y: top - height / 2, width, height, depth: 2, type: 'grass' });
+
+/** An enemy standing on a platform top */
+const standing = (x, top, mode = 'patrol') => ({ ...createEnemyState({ x, y: top + HALF_HEIGHT }), mode });
+
+/**
+ * Steps an enemy for a number of seconds.
+ * @returns {Array<Object|null>} Every state it passed through, ending with null if it left the level
+ */
+function simulate(state, config, world, seconds) {
+  const states = [];
+  let current = state;
+  for (let i = 0; i < Math.round(seconds / PHYSICS.TIME_STEP) && current; i++) {
+    current = stepEnemy(current, config, world, PHYSICS.TIME_STEP);
+    states.push(current);
+  }
+  return states;
+}
+
+const worldOf = (platforms, { fallen = [], player = [100, 100, 0] } = {}) => ({
+  platforms,
+  fallen,
+  graph: buildWalkGraph(platforms),
+  player,
+});
+
+test('a patroller turns round at a platform edge instead of walking off', () => {
+  const world = worldOf([platform(0, 0, 4)]);
+  const states = simulate(standing(1, 0), ROAMER, world, 3);
+
+  assert.ok(states.every((s) => s && s.y === HALF_HEIGHT), 'stays on the platform top');
+  assert.ok(states.every((s) => s.x + GOOMBA.width / 2 <= 2), 'never steps past the right edge');
+  assert.ok(states.some((s) => s.direction === -1), 'turns round');
+});
+
+test('a patroller turns round at a wall', () => {
+  const wall = platform(3, 3, 1, 3);
+  const world = worldOf([platform(0, 0, 20), wall]);
+  const states = simulate(standing(1, 0), ROAMER, world, 3);
+
+  assert.ok(states.every((s) => s.x + GOOMBA.width / 2 <= wall.x - wall.width / 2), 'never walks into the wall');
+  assert.ok(states.some((s) => s.direction === -1), 'turns round');
+});
+
+test('an enemy falls when its ground disappears and lands on the platform below', () => {
+  const platforms = [platform(0, 0, 10), platform(0, 3, 2)];
+  const world = worldOf(platforms, { fallen: [1] });
+  const states = simulate(standing(0, 3), GOOMBA, world, 2);
+
+  assert.ok(states[0].vy < 0, 'starts falling straight away');
+  const last = states[states.length - 1];
+  assert.equal(last.y, HALF_HEIGHT);
+  assert.equal(last.vy, 0);
+});
+
+test('an enemy with nothing below falls off the level', () => {
+  const world = worldOf([platform(0, 3, 2)], { fallen: [0] });
+  const states = simulate(standing(0, 3), GOOMBA, world, 5);
+  assert.equal(states[states.length - 1], null);
+});
+
+test('a chaser follows the route across connected platforms to the player', () => {
+  // Two touching platforms level with each other, then a drop onto a lower one
+  const platforms = [platform(0, 0, 4), platform(4, 0, 4), platform(9, -1, 6)];
+  const player = [10, -1 + 0.75, 0];
+  const world = worldOf(platforms, { player });
+
+  assert.deepEqual(findRoute(world.graph, 0, 2), { to: 1, direction: 1, drop: false });
+  assert.deepEqual(findRoute(world.graph, 1, 2), { to: 2, direction: 1, drop: true });
+
+  const states = simulate(standing(0, 0, 'chase'), GOOMBA, world, 6);
+  const last = states[states.length - 1];
+  assert.equal(last.y, -1 + HALF_HEIGHT, 'ends up on the player platform');
+  assert.ok(Math.abs(last.x - player[0]) < 0.5, 'reaches the player');
+});
+
+test('a chaser waits at an edge with no way down to the player', () => {
+  // The player is on a higher platform: enemies can't jump
+  const platforms = [platform(0, 0, 4), platform(6, 2, 4)];
+  const world = worldOf(platforms, { player: [6, 2.75, 0] });
+  const states = simulate(standing(0, 0, 'chase'), GOOMBA, world, 3);
+
+  assert.ok(states.every((s) => s && s.y === HALF_HEIGHT), 'never walks off');
+  assert.equal(states[states.length - 1].vx, 0);
+});
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Movement and attacks of the enemy types that do more than walk:
+ * piranha plants popping out of pipes, paratroopas flying a sine path and hammer
+ * throwers lobbing hammers. Enemy.jsx owns the per-enemy state and calls these
+ * once per physics step.
+ */
+
+import { ENEMY, PHYSICS, PLAYER } from '../../utils/constants.js';
+
+/**
+ * @typedef {Object} PiranhaState
+ * @property {'hidden' | 'rising' | 'out' | 'sinking'} phase
+ * @property {number} timer - Seconds spent in the current phase
+ */
+
+/**
+ * @typedef {Object} Hammer
+ * @property {number} x
+ * @property {number} y
+ * @property {number} vx
+ * @property {number} vy
+ * @property {number} age - Seconds in flight
+ */
+
+/** Seconds each piranha phase lasts */
+const PIRANHA_PHASES = {
+  hidden: { duration: ENEMY.PIRANHA_HIDDEN, next: 'rising' },
+  rising: { duration: ENEMY.PIRANHA_RISE, next: 'out' },
+  out: { duration: ENEMY.PIRANHA_OUT, next: 'sinking' },
+  sinking: { duration: ENEMY.PIRANHA_RISE, next: 'hidden' },
+};
+
+/** Hammer flight time used to aim the throw at the player */
+const HAMMER_FLIGHT = (2 * ENEMY.HAMMER_SPEED_Y) / -PHYSICS.GRAVITY;
+
+/**
+ * @returns {PiranhaState} A piranha hidden in its pipe
+ */
+export function createPiranhaState() {
+  return { phase: 'hidden', timer: 0 };
+}
+
+/**
+ * Advances a piranha's pop-up cycle. Like the original, a piranha stays in its
+ * pipe while the player stands right next to it.
+ * @param {PiranhaState} state
+ * @param {number} dt - Seconds
+ * @param {boolean} playerNear - Player within ENEMY.PIRANHA_SHY_DISTANCE of the pipe
+ * @returns {PiranhaState}
+ */
+export function stepPiranha(state, dt, playerNear) {
+  const timer = state.timer + dt;
+  const { duration, next } = PIRANHA_PHASES[state.phase];
+  if (timer < duration) return { phase: state.phase, timer };
+  if (state.phase === 'hidden' && playerNear) return { phase: 'hidden', timer: duration };
+  return { phase: next, timer: 0 };
+}
+
+/**
+ * @param {PiranhaState} state
+ * @returns {number} How far the piranha is out of its pipe, 0 (hidden) to 1 (fully out)
+ */
+export function piranhaExposure(state) {
+  const t = Math.min(1, state.timer / ENEMY.PIRANHA_RISE);
+  if (state.phase === 'rising') return t;
+  if (state.phase === 'sinking') return 1 - t;
+  return state.phase === 'out' ? 1 : 0;
+}
+
+/**
+ * @param {number} baseY - Flight center
+ * @param {number} time - Seconds since the paratroopa started flying
+ * @returns {number} Height on the sine path
+ */
+export function flightY(baseY, time) {
+  return baseY + Math.sin(time * ENEMY.FLY_FREQUENCY) * ENEMY.FLY_AMPLITUDE;
+}
+
+/**
+ * Lobs a hammer up and toward the player, aimed to come down near them.
+ * @param {number} x - Thrower's hand
+ * @param {number} y
+ * @param {number} targetX - Player x
+ * @returns {Hammer}
+ */
+export function createHammer(x, y, targetX) {
+  const reach = ENEMY.HAMMER_MAX_VX;
+  const vx = Math.min(reach, Math.max(-reach, (targetX - x) / HAMMER_FLIGHT));
+  return { x, y, vx, vy: ENEMY.HAMMER_SPEED_Y, age: 0 };
+}
+
+/**
+ * Advances a hammer one step. Hammers fly through platforms, like the original.
+ * @param {Hammer} hammer
+ * @param {number} dt - Seconds
+ * @returns {Hammer|null} The moved hammer, or null once it is gone
+ */
+export function stepHammer(hammer, dt) {
+  const age = hammer.age + dt;
+  if (age > ENEMY.HAMMER_LIFETIME) return null;
+  const vy = Math.max(hammer.vy + PHYSICS.GRAVITY * dt, PHYSICS.MAX_FALL_SPEED);
+  const y = hammer.y + vy * dt;
+  if (y < PLAYER.RESPAWN_HEIGHT) return null;
+  return { x: hammer.x + hammer.vx * dt, y, vx: hammer.vx, vy, age };
+}
+
+/**
+ * @param {Hammer} hammer
+ * @param {number} x - Player center
+ * @param {number} y
+ * @returns {boolean} Whether the hammer touches the player
+ */
+export function hammerHits(hammer, x, y) {
+  const r = ENEMY.HAMMER_SIZE / 2;
+  return Math.abs(hammer.x - x) < PLAYER.WIDTH / 2 + r && Math.abs(hammer.y - y) < PLAYER.HEIGHT / 2 + r;
+}
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Player–enemy contact classification. Enemy sensors report when
+ * the player's collider starts overlapping them, but sensors don't produce
+ * contact manifolds, so the contact normal is worked out from the two boxes:
+ * rewound by one physics step, the axis the player was still clear on is the
+ * side they came in through. A stomp is a contact from above while the player
+ * moves down relative to the enemy; anything else is a side hit.
+ */
+
+import { PHYSICS, PLAYER } from '../../utils/constants.js';
+
+/**
+ * @typedef {Object} Vec2
+ * @property {number} x
+ * @property {number} y
+ */
+
+/**
+ * @param {Vec2} offset - Player center minus enemy center
+ * @param {Vec2} relativeVelocity - Player velocity minus enemy velocity
+ * @param {{width: number, height: number}} size - Enemy box
+ * @returns {Vec2} Unit normal of the face the player touched, pointing from the enemy to the player
+ */
+export function contactNormal(offset, relativeVelocity, size) {
+  const x = offset.x - relativeVelocity.x * PHYSICS.TIME_STEP;
+  const y = offset.y - relativeVelocity.y * PHYSICS.TIME_STEP;
+  const gapX = Math.abs(x) - (PLAYER.WIDTH + size.width) / 2;
+  const gapY = Math.abs(y) - (PLAYER.HEIGHT + size.height) / 2;
+  if (gapY >= gapX) return { x: 0, y: y >= 0 ? 1 : -1 };
+  return { x: x >= 0 ? 1 : -1, y: 0 };
+}
+
+/**
+ * @param {Vec2} offset - Player center minus enemy center
+ * @param {Vec2} relativeVelocity - Player velocity minus enemy velocity
+ * @param {{width: number, height: number}} size - Enemy box
+ * @returns {'stomp' | 'side'}
+ */
+export function classifyContact(offset, relativeVelocity, size) {
+  const normal = contactNormal(offset, relativeVelocity, size);
+  return normal.y > 0 && relativeVelocity.y < 0 ? 'stomp' : 'side';
+}
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Koopa shells — a stomped koopa leaves a shell, touching the shell
+ * kicks it, and a sliding shell knocks out every enemy in its path for rising
+ * combo scores, bouncing off walls until it falls off the level. Shells slide
+ * against the level's platform boxes like fireballs, rather than as Rapier bodies.
+ */
+
+import { ENEMY_TYPES, PHYSICS, PLAYER, SHELL } from '../../utils/constants.js';
+
+/**
+ * @typedef {Object} Shell
+ * @property {number} x
+ * @property {number} y - Center
+ * @property {number} vx - 0 while the shell lies still
+ * @property {number} vy
+ */
+
+/** Tolerance for "was standing on the platform top last step" */
+const EPSILON = 1e-3;
+
+/**
+ * @param {number} x - Koopa center
+ * @param {number} feet - Bottom of the koopa, where the shell rests
+ * @returns {Shell} A still shell
+ */
+export function createShell(x, feet) {
+  return { x, y: feet + SHELL.HEIGHT / 2, vx: 0, vy: 0 };
+}
+
+/**
+ * Sends a shell sliding away from the player who touched it.
+ * @param {Shell} shell
+ * @param {number} playerX
+ * @returns {Shell}
+ */
+export function kickShell(shell, playerX) {
+  const direction = playerX <= shell.x ? 1 : -1;
+  return { ...shell, vx: direction * SHELL.SPEED };
+}
+
+/**
+ * Advances a shell one step: it falls onto platform tops and reverses off the
+ * sides of platforms it runs into.
+ *
+ * @param {Shell} shell
+ * @param {Array<{x: number, y: number, width: number, height: number}>} platforms
+ * @param {number} dt - Seconds
+ * @returns {Shell|null} The moved shell, or null once it has fallen off the level
+ */
+export function stepShell(shell, platforms, dt) {
+  const halfWidth = SHELL.WIDTH / 2;
+  const halfHeight = SHELL.HEIGHT / 2;
+  let vx = shell.vx;
+  let vy = Math.max(shell.vy + PHYSICS.GRAVITY * dt, PHYSICS.MAX_FALL_SPEED);
+  let x = shell.x + vx * dt;
+  let y = shell.y + vy * dt;
+
+  for (const p of platforms) {
+    const top = p.y + p.height / 2;
+    const overlaps =
+      x + halfWidth > p.x - p.width / 2 &&
+      x - halfWidth < p.x + p.width / 2 &&
+      y - halfHeight < top &&
+      y + halfHeight > p.y - p.height / 2;
+    if (!overlaps) continue;
+
+    if (shell.y - halfHeight >= top - EPSILON) {
+      y = top + halfHeight;
+      vy = 0;
+    } else {
+      x = shell.x;
+      vx = -vx;
+    }
+  }
+
+  if (y < PLAYER.RESPAWN_HEIGHT) return null;
+  return { x, y, vx, vy };
+}
+
+/**
+ * @param {Shell} shell
+ * @param {number} x - Other enemy's center
+ * @param {number} y
+ * @param {{width: number, height: number}} size - Other enemy's box
+ * @returns {boolean} Whether the shell touches it
+ */
+export function shellHits(shell, x, y, size) {
+  return Math.abs(shell.x - x) < (SHELL.WIDTH + size.width) / 2 && Math.abs(shell.y - y) < (SHELL.HEIGHT + size.height) / 2;
+}
+
+/**
+ * @param {number} kills - Enemies this slide has knocked out, including this one
+ * @returns {number} Points for the latest knock-out
+ */
+export function comboScore(kills) {
+  const scores = SHELL.COMBO_SCORES;
+  return scores[Math.min(kills, scores.length) - 1];
+}
+
+/**
+ * Most points a level's enemies can be worth. Every enemy is either stomped (or
+ * burnt) for its scoreValue or knocked out by a shell for a combo score, and a
+ * stomped koopa's shell can itself be knocked out later. The best case pairs the
+ * biggest combo scores with the cheapest enemies.
+ *
+ * @param {string[]} types - ENEMY_TYPES keys of the level's enemies
+ * @returns {number}
+ */
+export function maxEnemyScore(types) {
+  if (!types.some((type) => ENEMY_TYPES[type].shell)) {
+    return types.reduce((sum, type) => sum + ENEMY_TYPES[type].scoreValue, 0);
+  }
+  const values = types.flatMap((type) => {
+    const config = ENEMY_TYPES[type];
+    return config.shell ? [config.scoreValue, 0] : [config.scoreValue];
+  });
+  values.sort((a, b) => a - b);
+  return values.reduce((sum, value, i) => sum + Math.max(value, comboScore(values.length - i)), 0);
+}
@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Castle boss — a kinematic body with a sensor collider, driven by
+ * the scripted fight in enemies/bossAI.js. It glows while winding up an attack
+ * and slumps after one; a stomp while it is slumped costs it a hit point
+ * (store damageBoss). Fireballs fizzle on it. Cutting the bridge axe drops it
+ * off the level, which beats it outright. Once its health is gone it plays a
+ * short defeat before the level completes. The fight advances once per physics
+ * step while the level is being played, like the enemies.
+ */
+import { useRef } from 'react';
+import { RigidBody, CuboidCollider, useBeforePhysicsStep } from '@react-three/rapier';
+import useGameStore from '../../stores/gameStore';
+import { fireballHits } from '../powerups/powerUps';
+import {
+  arenaOf,
+  bossHeight,
+  bossHurts,
+  canStompBoss,
+  createBossState,
+  flameHits,
+  stepBoss,
+  stunBoss,
+} from '../enemies/bossAI';
+import { classifyContact } from '../enemies/enemyContact';
+import { BOSS, ENEMY, PHYSICS, PLAYER } from '../../utils/constants';
+
+/** Flame meshes kept ready; a boss never has more in flight */
+const MAX_FLAMES = 4;
+
+/** Spikes along the boss's shell [x, y] */
+const SPIKES = [
+  [-0.45, 0.55],
+  [-0.15, 0.7],
+  [0.15, 0.55],
+];
+
+/** Spiked shell, horned head and a snout facing +x; flipped to face the player */
+function BossModel({ materialRef }) {
+  return (
+    <>
+      <mesh castShadow>
+        <boxGeometry args={[BOSS.WIDTH, BOSS.HEIGHT, 1]} />
+        <meshStandardMaterial ref={materialRef} color={BOSS.COLOR} emissive={BOSS.TELEGRAPH_COLOR} emissiveIntensity={0} />
+      </mesh>
+      <mesh position={[-BOSS.WIDTH * 0.25, 0, 0]} castShadow>
+        <boxGeometry args={[BOSS.WIDTH * 0.6, BOSS.HEIGHT * 0.7, 1.2]} />
+        <meshStandardMaterial color={BOSS.SHELL_COLOR} />
+      </mesh>
+      {SPIKES.map(([x, y]) => (
+        <mesh key={x} position={[x - BOSS.WIDTH * 0.25, y - 0.3, 0]} rotation={[0, 0, Math.PI / 2]} castShadow>
+          <coneGeometry args={[0.12, 0.3, 6]} />
+          <meshStandardMaterial color="#FAFAFA" />
+        </mesh>
+      ))}
+      {[-1, 1].map((side) => (
+        <mesh key={side} position={[BOSS.WIDTH * 0.3, BOSS.HEIGHT / 2 + 0.12, side * 0.3]} castShadow>
+          <coneGeometry args={[0.08, 0.25, 6]} />
+          <meshStandardMaterial color="#FFF8E1" />
+        </mesh>
+      ))}
+      <mesh position={[BOSS.WIDTH / 2 + 0.1, BOSS.HEIGHT * 0.25, 0]} castShadow>
+        <boxGeometry args={[0.3, 0.35, 0.6]} />
+        <meshStandardMaterial color="#FFCC80" />
+      </mesh>
+      <mesh position={[BOSS.WIDTH / 2, BOSS.HEIGHT * 0.38, 0.3]}>
+        <boxGeometry args={[0.12, 0.12, 0.02]} />
+        <meshStandardMaterial color="#D50000" emissive="#D50000" emissiveIntensity={0.5} />
+      </mesh>
+    </>
+  );
+}
+
+/**
+ * The boss fight of a castle level. Only mounted when levelData.boss is set;
+ * the level remounts per attempt, so a retry starts a fresh fight.
+ * @param {{placement: import('../enemies/bossAI').BossPlacement}} props
+ */
+function BossUnit({ placement }) {
+  const rigidBodyRef = useRef(null);
+  const colliderRef = useRef(null);
+  const meshRef = useRef(null);
+  const materialRef = useRef(null);
+  const flamesRef = useRef(null);
+  /** Player's rigid body while it overlaps the boss's sensor */
+  const playerBody = useRef(null);
+  const lastHitTime = useRef(-Infinity);
+  const stateRef = useRef({
+    /** @type {import('../enemies/bossAI').BossState} */
+    boss: createBossState(placement),
+    /** Velocity over the last physics step, for telling stomps from side hits */
+    vx: 0,
+    vy: 0,
+    time: 0,
+    /** Seconds since the boss was beaten, for the victory sequence */
+    defeatedFor: 0,
+    /** Collider height currently set, so it is only resized on a change */
+    height: BOSS.HEIGHT,
+  });
+
+  /** Hurts the player, at most once per ENEMY.CONTACT_COOLDOWN while they stay inside */
+  const hurtPlayer = () => {
+    const st = stateRef.current;
+    if (st.time - lastHitTime.current < ENEMY.CONTACT_COOLDOWN) return;
+    lastHitTime.current = st.time;
+    useGameStore.getState().takeDamage();
+  };
+
+  /**
+   * Resolves the player overlapping the boss's sensor: a stomp while it is
+   * slumped hurts it and bounces the player off; touching it otherwise hurts
+   * the player unless it is stunned.
+   */
+  const resolveContact = () => {
+    const body = playerBody.current;
+    const st = stateRef.current;
+    if (!body || useGameStore.getState().bossHealth <= 0) return;
+
+    const position = body.translation();
+    const velocity = body.linvel();
+    const contact = classifyContact(
+      { x: position.x - st.boss.x, y: position.y - st.boss.y },
+      { x: velocity.x - st.vx, y: velocity.y - st.vy },
+      { width: BOSS.WIDTH, height: bossHeight(st.boss) }
+    );
+
+    const { damageBoss, requestStompBounce } = useGameStore.getState();
+    if (contact === 'stomp' && canStompBoss(st.boss)) {
+      damageBoss();
+      requestStompBounce();
+      st.boss = stunBoss(st.boss);
+    } else if (contact === 'stomp' && !bossHurts(st.boss)) {
+      requestStompBounce();
+    } else if (bossHurts(st.boss)) {
+      hurtPlayer();
+    }
+  };
+
+  const onIntersectionEnter = (event) => {
+    if (event.other.rigidBodyObject?.name !== 'player') return;
+    playerBody.current = event.other.rigidBody ?? null;
+    resolveContact();
+  };
+
+  const onIntersectionExit = (event) => {
+    if (event.other.rigidBodyObject?.name === 'player') playerBody.current = null;
+  };
+
+  /** Defeat: the boss topples and sinks, then the level completes */
+  const playVictory = (dt) => {
+    const st = stateRef.current;
+    st.defeatedFor += dt;
+    if (meshRef.current) {
+      const t = Math.min(1, st.defeatedFor / BOSS.VICTORY_DELAY);
+      meshRef.current.rotation.z = (t * Math.PI) / 2;
+      meshRef.current.scale.setScalar(Math.max(0.01, 1 - t));
+    }
+    if (flamesRef.current) flamesRef.current.visible = false;
+    if (st.defeatedFor >= BOSS.VICTORY_DELAY) useGameStore.getState().completeLevel();
+  };
+
+  useBeforePhysicsStep(() => {
+    if (!rigidBodyRef.current) return;
+
+    const { phase, activeDialog, bossHealth, bridgeCollapsed, levelData, player } = useGameStore.getState();
+    if (phase !== 'playing' || activeDialog) return;
+
+    const dt = PHYSICS.TIME_STEP;
+    const st = stateRef.current;
+    st.time += dt;
+
+    if (bossHealth <= 0) {
+      playVictory(dt);
+      return;
+    }
+
+    const prev = st.boss;
+    const arena = arenaOf(levelData.platforms[placement.bridge], bridgeCollapsed);
+    st.boss = stepBoss(prev, { health: bossHealth, arena, playerX: player.position[0] }, dt);
+    const boss = st.boss;
+    st.vx = (boss.x - prev.x) / dt;
+    st.vy = (boss.y - prev.y) / dt;
+
+    if (boss.y < PLAYER.RESPAWN_HEIGHT) {
+      // Fell with the bridge
+      useGameStore.getState().damageBoss(BOSS.MAX_HEALTH);
+      return;
+    }
+
+    rigidBodyRef.current.setNextKinematicTranslation({ x: boss.x, y: boss.y, z: 0 });
+    const height = bossHeight(boss);
+    if (height !== st.height) {
+      st.height = height;
+      colliderRef.current?.setHalfExtents({ x: BOSS.WIDTH / 2, y: height / 2, z: 0.5 });
+    }
+
+    // --- Model: face the player, squash while slumped, glow while telegraphing ---
+    if (meshRef.current) {
+      meshRef.current.scale.set(boss.facing, height / BOSS.HEIGHT, 1);
+    }
+    if (materialRef.current) {
+      const windUp = boss.mode === 'telegraph' ? boss.timer / BOSS.TELEGRAPH_TIME : 0;
+      materialRef.current.emissiveIntensity = windUp * (1 + Math.sin(st.time * 30) * 0.3);
+    }
+
+    // --- Flames: hurt on contact and burn out ---
+    const hit = boss.flames.find((flame) => flameHits(flame, player.position[0], player.position[1]));
+    if (hit) {
+      st.boss = { ...boss, flames: boss.flames.filter((flame) => flame !== hit) };
+      useGameStore.getState().takeDamage();
+    }
+    flamesRef.current?.children.forEach((mesh, i) => {
+      const flame = st.boss.flames[i];
+      mesh.visible = Boolean(flame);
+      if (!flame) return;
+      mesh.position.set(flame.x, flame.y + Math.sin(flame.age * 20) * 0.05, 0);
+      mesh.rotation.z = flame.age * 10;
+    });
+
+    // --- Fireballs fizzle ---
+    const { fireballs, removeFireball } = useGameStore.getState();
+    const size = { width: BOSS.WIDTH, height };
+    const fizzled = fireballs.find((ball) => fireballHits(ball, boss.x, boss.y, size));
+    if (fizzled) removeFireball(fizzled.id);
+
+    // --- Player still inside the sensor: a hit after the cooldown, or the boss slumped under them ---
+    resolveContact();
+  });
+
+  return (
+    <>
+      <RigidBody
+        ref={rigidBodyRef}
+        type="kinematicPosition"
+        position={[placement.x, placement.y, 0]}
+        colliders={false}
+        name="boss"
+        onIntersectionEnter={onIntersectionEnter}
+        onIntersectionExit={onIntersectionExit}
+      >
+        <CuboidCollider ref={colliderRef} args={[BOSS.WIDTH / 2, BOSS.HEIGHT / 2, 0.5]} sensor />
+        <group ref={meshRef} scale={[-1, 1, 1]}>
+          <BossModel materialRef={materialRef} />
+        </group>
+      </RigidBody>
+      <group ref={flamesRef}>
+        {Array.from({ length: MAX_FLAMES }, (_, i) => (
+          <mesh key={i} visible={false}>
+            <octahedronGeometry args={[BOSS.FLAME_SIZE / 2]} />
+            <meshStandardMaterial color="#FF9100" emissive="#FF3D00" emissiveIntensity={1} />
+          </mesh>
+        ))}
+      </group>
+    </>
+  );
+}
+
+/**
+ * Renders the level's boss, if it has one.
+ */
+export default function Boss() {
+  const placement = useGameStore((s) => s.levelData.boss);
+  if (!placement) return null;
+  return <BossUnit placement={placement} />;
+}
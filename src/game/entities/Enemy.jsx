@@ -1,161 +1,547 @@
 /**
  * @fileoverview Enemy entities — STABLE version using kinematicPosition bodies.
  * Enemies use kinematic bodies (not dynamic) so they don't fall through platforms,
- * jitter, or interact chaotically with physics. Movement is purely animated.
- * Collision with player detected via distance check with debounce.
+ * jitter, or interact chaotically with physics. Movement is purely animated,
+ * advanced once per physics step while the level is being played, so it doesn't
+ * depend on the frame rate and a replay meets enemies where the recording did.
+ * Player contact comes from each enemy's sensor collider; enemies/enemyContact.js
+ * tells a stomp from a side hit. Kills and score go through store actions.
+ * Enemies are defeated by a stomp (unless their ENEMY_TYPES entry isn't stompable),
+ * by touching a player with star power, or by a fireball unless they are fireproof.
+ * Piranhas, paratroopas and hammer throwers get their special moves from
+ * enemies/enemyBehaviors.js; each type has its own model.
+ * A stomped koopa becomes a shell (enemies/shellSystem.js). Enemies share a
+ * registry of live positions, so a sliding shell can knock out the others.
+ * Walking and chasing follow the level's terrain; the state machine lives in
+ * enemies/enemyAI.js.
  */
-import { useRef } from 'react';
-import { useFrame } from '@react-three/fiber';
-import { RigidBody, CuboidCollider } from '@react-three/rapier';
+import { useMemo, useRef } from 'react';
+import { RigidBody, CuboidCollider, useBeforePhysicsStep } from '@react-three/rapier';
 import useGameStore from '../../stores/gameStore';
-import { ENEMY_TYPES } from '../../utils/constants';
+import { fireballHits } from '../powerups/powerUps';
+import {
+  createHammer,
+  createPiranhaState,
+  flightY,
+  hammerHits,
+  piranhaExposure,
+  stepHammer,
+  stepPiranha,
+} from '../enemies/enemyBehaviors';
+import { buildWalkGraph, createEnemyState, nextMode, stepEnemy, stepFlyer } from '../enemies/enemyAI';
+import { classifyContact } from '../enemies/enemyContact';
+import { comboScore, createShell, kickShell, shellHits, stepShell } from '../enemies/shellSystem';
+import { ENEMY, ENEMY_TYPES, PHYSICS, SHELL } from '../../utils/constants';
+
+const SHELL_SIZE = { width: SHELL.WIDTH, height: SHELL.HEIGHT };
+
+/** Eyes and pupils shared by the walking enemies */
+function Eyes({ height }) {
+  return (
+    <>
+      <mesh position={[0.15, height * 0.2, 0.41]}>
+        <boxGeometry args={[0.15, 0.15, 0.02]} />
+        <meshStandardMaterial color="white" />
+      </mesh>
+      <mesh position={[-0.15, height * 0.2, 0.41]}>
+        <boxGeometry args={[0.15, 0.15, 0.02]} />
+        <meshStandardMaterial color="white" />
+      </mesh>
+      <mesh position={[0.18, height * 0.18, 0.43]}>
+        <boxGeometry args={[0.07, 0.07, 0.02]} />
+        <meshStandardMaterial color="black" />
+      </mesh>
+      <mesh position={[-0.12, height * 0.18, 0.43]}>
+        <boxGeometry args={[0.07, 0.07, 0.02]} />
+        <meshStandardMaterial color="black" />
+      </mesh>
+    </>
+  );
+}
+
+/** Box body with eyes — goombas, and the base for the other walkers */
+function WalkerModel({ config }) {
+  return (
+    <>
+      <mesh castShadow>
+        <boxGeometry args={[config.width, config.height, 0.8]} />
+        <meshStandardMaterial color={config.color} />
+      </mesh>
+      <Eyes height={config.height} />
+    </>
+  );
+}
+
+/** Walker with a shell around its feet */
+function KoopaModel({ config }) {
+  return (
+    <>
+      <WalkerModel config={config} />
+      <mesh position={[0, -config.height * 0.3, 0]} castShadow>
+        <boxGeometry args={[config.width * 1.1, config.height * 0.3, 0.85]} />
+        <meshStandardMaterial color="#1B5E20" />
+      </mesh>
+    </>
+  );
+}
+
+/** Koopa with a pair of wings */
+function ParatroopaModel({ config }) {
+  return (
+    <>
+      <KoopaModel config={config} />
+      {[-1, 1].map((side) => (
+        <mesh key={side} position={[-config.width * 0.3, config.height * 0.3, side * 0.5]} rotation={[side * 0.4, 0, 0.3]}>
+          <boxGeometry args={[0.5, 0.1, 0.35]} />
+          <meshStandardMaterial color="#FFFFFF" />
+        </mesh>
+      ))}
+    </>
+  );
+}
+
+/** Spike positions across a spiny's back [x, z] */
+const SPIKES = [
+  [-0.25, 0],
+  [0, 0],
+  [0.25, 0],
+];
+
+/** Red walker with white spikes on top */
+function SpinyModel({ config }) {
+  return (
+    <>
+      <WalkerModel config={config} />
+      {SPIKES.map(([x, z]) => (
+        <mesh key={x} position={[x, config.height / 2 + 0.12, z]} castShadow>
+          <coneGeometry args={[0.12, 0.25, 6]} />
+          <meshStandardMaterial color="#FAFAFA" />
+        </mesh>
+      ))}
+    </>
+  );
+}
+
+/** Tall koopa in a helmet, hammer raised */
+function HammerBroModel({ config }) {
+  return (
+    <>
+      <KoopaModel config={config} />
+      <mesh position={[0, config.height / 2 + 0.05, 0]} castShadow>
+        <sphereGeometry args={[0.38, 12, 8, 0, Math.PI * 2, 0, Math.PI / 2]} />
+        <meshStandardMaterial color="#212121" />
+      </mesh>
+      <mesh position={[config.width / 2 + 0.1, config.height / 2, 0]}>
+        <boxGeometry args={[0.08, 0.4, 0.08]} />
+        <meshStandardMaterial color="#8D6E63" />
+      </mesh>
+    </>
+  );
+}
+
+/** Snapping head on a stem; the pipe is drawn separately and doesn't move */
+function PiranhaModel({ config }) {
+  return (
+    <>
+      <mesh position={[0, -config.height * 0.25, 0]}>
+        <cylinderGeometry args={[0.08, 0.08, config.height / 2, 8]} />
+        <meshStandardMaterial color={config.color} />
+      </mesh>
+      <mesh position={[0, config.height * 0.2, 0]} castShadow>
+        <sphereGeometry args={[config.width / 2, 16, 12]} />
+        <meshStandardMaterial color="#D32F2F" />
+      </mesh>
+      {/* Lips */}
+      <mesh position={[0, config.height * 0.2, 0]}>
+        <torusGeometry args={[config.width / 2, 0.06, 6, 16]} />
+        <meshStandardMaterial color="#FFFFFF" />
+      </mesh>
+    </>
+  );
+}
+
+const MODELS = {
+  goomba: WalkerModel,
+  koopa: KoopaModel,
+  piranha: PiranhaModel,
+  paratroopa: ParatroopaModel,
+  spiny: SpinyModel,
+  hammerBro: HammerBroModel,
+};
+
+/**
+ * Green pipe a piranha lives in, standing on the platform under it. Scenery only:
+ * it has no collider and the player walks through it, because a solid pipe would
+ * be a wall the reachability solver doesn't know about (ENEMY.PIPE_HEIGHT).
+ */
+function Pipe({ x, bottom }) {
+  return (
+    <group position={[x, bottom + ENEMY.PIPE_HEIGHT / 2, 0]}>
+      <mesh castShadow receiveShadow>
+        <cylinderGeometry args={[ENEMY.PIPE_WIDTH / 2, ENEMY.PIPE_WIDTH / 2, ENEMY.PIPE_HEIGHT, 16]} />
+        <meshStandardMaterial color="#2E7D32" />
+      </mesh>
+      <mesh position={[0, ENEMY.PIPE_HEIGHT / 2 - 0.1, 0]}>
+        <cylinderGeometry args={[ENEMY.PIPE_WIDTH / 2 + 0.1, ENEMY.PIPE_WIDTH / 2 + 0.1, 0.2, 16]} />
+        <meshStandardMaterial color="#388E3C" />
+      </mesh>
+    </group>
+  );
+}
+
+/**
+ * @typedef {Object} RegistryEntry - What a sliding shell needs to know about another enemy
+ * @property {boolean} hittable - Alive and not hidden in a pipe
+ * @property {number} x
+ * @property {number} y
+ * @property {{width: number, height: number}} size
+ * @property {(points: number) => void} knockOut
+ */
 
 /**
  * Single enemy component with stable FSM behavior.
  * Uses kinematicPosition — no physics simulation, just animated position.
+ * @param {{data: Object, index: number, registry: {current: RegistryEntry[]},
+ *   graph: import('../enemies/enemyAI').WalkEdge[][]}} props
  */
-function EnemyUnit({ data, index }) {
+function EnemyUnit({ data, index, registry, graph }) {
   const rigidBodyRef = useRef(null);
+  const colliderRef = useRef(null);
   const meshRef = useRef(null);
+  const shellMeshRef = useRef(null);
+  const hammersRef = useRef(null);
   const aliveRef = useRef(true);
-  const lastDamageTime = useRef(0);
+  /** Player's rigid body while it overlaps this enemy's sensor */
+  const playerBody = useRef(null);
+  const lastHitTime = useRef(-Infinity);
   const stateRef = useRef({
-    startX: data.x,
     currentX: data.x,
-    direction: 1,
-    state: data.behavior === 'chase' ? 'patrol' : 'patrol',
+    currentY: data.y,
+    /** Velocity over the last physics step, for telling stomps from side hits */
+    vx: 0,
+    vy: 0,
+    /** @type {import('../enemies/enemyAI').EnemyState} Walkers and flyers */
+    ai: createEnemyState(data),
+    time: 0,
+    piranha: createPiranhaState(),
+    throwTimer: ENEMY.HAMMER_INTERVAL,
+    /** @type {import('../enemies/enemyBehaviors').Hammer[]} */
+    hammers: [],
+    /** @type {import('../enemies/shellSystem').Shell|null} Set once a koopa is stomped */
+    shell: null,
+    /** Time the shell was last stomped, kicked or stopped — touches are ignored right after */
+    shellChangedAt: 0,
+    /** Enemies knocked out by the current slide */
+    combo: 0,
   });
 
   const config = ENEMY_TYPES[data.type] || ENEMY_TYPES.goomba;
+  const Model = MODELS[data.type] || WalkerModel;
+  /** @type {{current: RegistryEntry}} */
+  const entryRef = useRef({ hittable: true, x: data.x, y: data.y, size: config, knockOut: () => {} });
+
+  /** Removes the enemy (and its hammers) from play and scores it */
+  const defeat = (points = config.scoreValue) => {
+    aliveRef.current = false;
+    entryRef.current.hittable = false;
+    useGameStore.getState().defeatEnemy(index, points);
+  };
+
+  /** Stomped koopa: swap the koopa for a still shell resting where it stood */
+  const becomeShell = () => {
+    const st = stateRef.current;
+    st.shell = createShell(st.currentX, st.currentY - config.height / 2);
+    st.shellChangedAt = st.time;
+    if (meshRef.current) meshRef.current.visible = false;
+    if (shellMeshRef.current) shellMeshRef.current.visible = true;
+    colliderRef.current?.setHalfExtents({ x: SHELL.WIDTH / 2, y: SHELL.HEIGHT / 2, z: 0.4 });
+    entryRef.current.size = SHELL_SIZE;
+    useGameStore.getState().addScore(config.scoreValue);
+  };
+
+  /** Moves a shell; a sliding shell knocks out the other enemies it runs into */
+  const updateShell = (dt) => {
+    const st = stateRef.current;
+    const shell = stepShell(st.shell, useGameStore.getState().levelData.platforms, dt);
+    if (!shell) {
+      defeat(0);
+      return;
+    }
+    st.shell = shell;
+    st.currentX = shell.x;
+    st.currentY = shell.y;
+    st.vx = shell.vx;
+    st.vy = shell.vy;
+    rigidBodyRef.current.setNextKinematicTranslation({ x: shell.x, y: shell.y, z: 0 });
+
+    if (shell.vx === 0) return;
+    registry.current.forEach((other, i) => {
+      if (i === index || !other?.hittable || !shellHits(shell, other.x, other.y, other.size)) return;
+      st.combo++;
+      other.knockOut(comboScore(st.combo));
+    });
+  };
+
+  /** Hurts the player, at most once per ENEMY.CONTACT_COOLDOWN while they stay inside */
+  const hurtPlayer = () => {
+    const st = stateRef.current;
+    if (st.time - lastHitTime.current < ENEMY.CONTACT_COOLDOWN) return;
+    lastHitTime.current = st.time;
+    useGameStore.getState().takeDamage();
+  };
+
+  /**
+   * Resolves the player touching a shell: they kick a still shell, stop a
+   * sliding one by stomping it, and are hurt by running into one.
+   */
+  const resolveShellContact = (contact, playerX) => {
+    const st = stateRef.current;
+    const { player, requestStompBounce } = useGameStore.getState();
+    if (st.time - st.shellChangedAt < SHELL.KICK_GRACE) return;
+    if (contact === 'stomp') requestStompBounce();
+    if (player.hasStar) {
+      defeat();
+    } else if (st.shell.vx === 0) {
+      st.shell = kickShell(st.shell, playerX);
+      st.shellChangedAt = st.time;
+      st.combo = 0;
+    } else if (contact === 'stomp') {
+      st.shell = { ...st.shell, vx: 0 };
+      st.shellChangedAt = st.time;
+    } else {
+      hurtPlayer();
+    }
+  };
+
+  /**
+   * Resolves the player overlapping this enemy's sensor. Star power defeats the
+   * enemy on touch; a stomp defeats it (a koopa leaves a shell) and bounces the
+   * player off; any other contact hurts the player.
+   */
+  const resolveContact = () => {
+    const body = playerBody.current;
+    const st = stateRef.current;
+    if (!body || !aliveRef.current || !entryRef.current.hittable) return;
+
+    const position = body.translation();
+    const velocity = body.linvel();
+    const contact = classifyContact(
+      { x: position.x - st.currentX, y: position.y - st.currentY },
+      { x: velocity.x - st.vx, y: velocity.y - st.vy },
+      entryRef.current.size
+    );
+    if (st.shell) {
+      resolveShellContact(contact, position.x);
+      return;
+    }
 
-  useFrame((_, delta) => {
+    const { player, requestStompBounce } = useGameStore.getState();
+    if (player.hasStar) {
+      defeat();
+    } else if (contact === 'stomp' && config.stompable) {
+      requestStompBounce();
+      if (config.shell) becomeShell();
+      else defeat();
+    } else {
+      hurtPlayer();
+    }
+  };
+
+  const onIntersectionEnter = (event) => {
+    if (event.other.rigidBodyObject?.name !== 'player') return;
+    playerBody.current = event.other.rigidBody ?? null;
+    resolveContact();
+  };
+
+  const onIntersectionExit = (event) => {
+    if (event.other.rigidBodyObject?.name === 'player') playerBody.current = null;
+  };
+
+  useBeforePhysicsStep(() => {
     if (!rigidBodyRef.current || !aliveRef.current) return;
 
-    const phase = useGameStore.getState().phase;
-    if (phase !== 'playing') return;
+    const { phase, activeDialog } = useGameStore.getState();
+    if (phase !== 'playing' || activeDialog) return;
 
     const playerPos = useGameStore.getState().player.position;
     const st = stateRef.current;
 
     const dx = playerPos[0] - st.currentX;
-    const dy = playerPos[1] - data.y;
+    const dy = playerPos[1] - st.currentY;
     const dist = Math.sqrt(dx * dx + dy * dy);
 
-    // --- State transitions ---
-    if (data.behavior === 'chase' && dist < 8) {
-      st.state = 'chase';
-    } else if (data.behavior === 'chase' && dist >= 12) {
-      st.state = 'patrol';
+    // Keep this enemy's registry entry current for other enemies' shells
+    const entry = entryRef.current;
+    entry.x = st.currentX;
+    entry.y = st.currentY;
+    entry.knockOut = defeat;
+    registry.current[index] = entry;
+
+    const dt = PHYSICS.TIME_STEP;
+    st.time += dt;
+
+    if (st.shell) {
+      // Fireballs knock shells out too
+      const { fireballs, removeFireball } = useGameStore.getState();
+      const burnt = fireballs.find((ball) => fireballHits(ball, st.currentX, st.currentY, SHELL_SIZE));
+      if (burnt) {
+        removeFireball(burnt.id);
+        defeat(0);
+        return;
+      }
+      updateShell(dt);
+      resolveContact();
+      return;
     }
 
     // --- Movement (purely animated, no physics) ---
-    let moveSpeed = 0;
-    if (st.state === 'patrol') {
-      moveSpeed = st.direction * config.speed;
-      if (st.currentX > st.startX + config.patrolRange) st.direction = -1;
-      if (st.currentX < st.startX - config.patrolRange) st.direction = 1;
-    } else if (st.state === 'chase') {
-      moveSpeed = Math.sign(dx) * config.speed * 1.3;
+    const prevX = st.currentX;
+    const prevY = st.currentY;
+    let exposure = 1;
+    if (config.movement === 'pipe') {
+      st.piranha = stepPiranha(st.piranha, dt, Math.abs(dx) < ENEMY.PIRANHA_SHY_DISTANCE);
+      exposure = piranhaExposure(st.piranha);
+      st.currentY = data.y + ENEMY.PIPE_HEIGHT - (1 - exposure) * config.height;
+    } else if (config.movement === 'fly') {
+      st.ai = stepFlyer({ ...st.ai, mode: nextMode(st.ai.mode, data.behavior, dist) }, config, playerPos[0], dt);
+      st.currentX = st.ai.x;
+      st.currentY = flightY(data.y, st.time);
+    } else {
+      const { levelData, fallenPlatforms } = useGameStore.getState();
+      const world = { platforms: levelData.platforms, fallen: fallenPlatforms, graph, player: playerPos };
+      const moved = stepEnemy({ ...st.ai, mode: nextMode(st.ai.mode, data.behavior, dist) }, config, world, dt);
+      if (!moved) {
+        // Walked or dropped off the level
+        defeat(0);
+        return;
+      }
+      st.ai = moved;
+      st.currentX = moved.x;
+      st.currentY = moved.y;
     }
 
-    // Clamp delta to prevent huge jumps on frame stutters
-    const clampedDelta = Math.min(delta, 0.05);
-    st.currentX += moveSpeed * clampedDelta;
-
     // Set kinematic position (stable, no physics jitter)
     rigidBodyRef.current.setNextKinematicTranslation({
       x: st.currentX,
-      y: data.y,
+      y: st.currentY,
       z: 0,
     });
+    st.vx = (st.currentX - prevX) / dt;
+    st.vy = (st.currentY - prevY) / dt;
 
     // Flip mesh direction
-    if (meshRef.current) {
-      meshRef.current.scale.x = moveSpeed >= 0 ? 1 : -1;
+    if (meshRef.current && config.movement !== 'pipe') {
+      meshRef.current.scale.x = st.ai.vx >= 0 ? 1 : -1;
     }
 
-    // --- Player collision (distance-based with debounce) ---
-    if (dist < 1.2) {
-      const now = Date.now();
-      // If player is falling onto enemy from above → stomp
-      if (playerPos[1] > data.y + config.height * 0.3 && 
-          useGameStore.getState().player.velocity?.[1] < 0) {
-        // Kill enemy
-        aliveRef.current = false;
-        rigidBodyRef.current.setNextKinematicTranslation({ x: st.currentX, y: -100, z: 0 });
-        // Update score through store action
-        useGameStore.setState((state) => ({
-          player: { ...state.player, score: state.player.score + config.scoreValue }
-        }));
-      } else if (now - lastDamageTime.current > 1500) {
-        // Player takes damage (with debounce)
-        lastDamageTime.current = now;
+    // --- Hammers: thrown at a nearby player, hurt on contact ---
+    if (config.throwsHammers) {
+      st.throwTimer -= dt;
+      if (st.throwTimer <= 0 && Math.abs(dx) < ENEMY.HAMMER_RANGE) {
+        st.throwTimer = ENEMY.HAMMER_INTERVAL;
+        if (st.hammers.length < ENEMY.MAX_HAMMERS) {
+          st.hammers.push(createHammer(st.currentX, st.currentY + config.height / 2, playerPos[0]));
+        }
+      }
+      st.hammers = st.hammers.map((hammer) => stepHammer(hammer, dt)).filter(Boolean);
+      const hit = st.hammers.find((hammer) => hammerHits(hammer, playerPos[0], playerPos[1]));
+      if (hit) {
+        st.hammers = st.hammers.filter((hammer) => hammer !== hit);
         useGameStore.getState().takeDamage();
       }
+      hammersRef.current?.children.forEach((mesh, i) => {
+        const hammer = st.hammers[i];
+        mesh.visible = Boolean(hammer);
+        if (!hammer) return;
+        mesh.position.set(hammer.x, hammer.y, 0);
+        mesh.rotation.z = -hammer.age * 12 * Math.sign(hammer.vx || 1);
+      });
     }
-  });
 
-  if (!aliveRef.current) return null;
+    // A piranha deep in its pipe can't be hit and doesn't bite
+    entry.hittable = exposure >= ENEMY.PIRANHA_HARMFUL_EXPOSURE;
+    if (!entry.hittable) return;
+
+    // --- Fireballs ---
+    if (!config.fireproof) {
+      const { fireballs, removeFireball } = useGameStore.getState();
+      const hit = fireballs.find((ball) => fireballHits(ball, st.currentX, st.currentY, config));
+      if (hit) {
+        removeFireball(hit.id);
+        defeat();
+        return;
+      }
+    }
+
+    // --- Player still inside the sensor: a piranha that rose or a hit after the cooldown ---
+    resolveContact();
+  });
 
   return (
-    <RigidBody
-      ref={rigidBodyRef}
-      type="kinematicPosition"
-      position={[data.x, data.y, 0]}
-      colliders={false}
-      name={`enemy-${index}`}
-    >
-      <CuboidCollider
-        args={[config.width / 2, config.height / 2, 0.4]}
-        sensor
-      />
-      <group ref={meshRef}>
-        {/* Enemy body */}
-        <mesh castShadow>
-          <boxGeometry args={[config.width, config.height, 0.8]} />
-          <meshStandardMaterial color={config.color} />
-        </mesh>
-        {/* Eyes */}
-        <mesh position={[0.15, config.height * 0.2, 0.41]}>
-          <boxGeometry args={[0.15, 0.15, 0.02]} />
-          <meshStandardMaterial color="white" />
-        </mesh>
-        <mesh position={[-0.15, config.height * 0.2, 0.41]}>
-          <boxGeometry args={[0.15, 0.15, 0.02]} />
-          <meshStandardMaterial color="white" />
-        </mesh>
-        {/* Pupils */}
-        <mesh position={[0.18, config.height * 0.18, 0.43]}>
-          <boxGeometry args={[0.07, 0.07, 0.02]} />
-          <meshStandardMaterial color="black" />
-        </mesh>
-        <mesh position={[-0.12, config.height * 0.18, 0.43]}>
-          <boxGeometry args={[0.07, 0.07, 0.02]} />
-          <meshStandardMaterial color="black" />
-        </mesh>
-        {/* Shell/feet for Koopa */}
-        {data.type === 'koopa' && (
-          <mesh position={[0, -config.height * 0.3, 0]} castShadow>
-            <boxGeometry args={[config.width * 1.1, config.height * 0.3, 0.85]} />
-            <meshStandardMaterial color="#1B5E20" />
+    <>
+      <RigidBody
+        ref={rigidBodyRef}
+        type="kinematicPosition"
+        position={[data.x, config.movement === 'pipe' ? data.y + ENEMY.PIPE_HEIGHT - config.height : data.y, 0]}
+        colliders={false}
+        name={`enemy-${index}`}
+        onIntersectionEnter={onIntersectionEnter}
+        onIntersectionExit={onIntersectionExit}
+      >
+        <CuboidCollider
+          ref={colliderRef}
+          args={[config.width / 2, config.height / 2, 0.4]}
+          sensor
+        />
+        <group ref={meshRef}>
+          <Model config={config} />
+        </group>
+        {config.shell && (
+          <mesh ref={shellMeshRef} position={[0, -SHELL.HEIGHT / 2, 0]} visible={false} castShadow>
+            <sphereGeometry args={[SHELL.WIDTH / 2, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2]} />
+            <meshStandardMaterial color={SHELL.COLOR} />
           </mesh>
         )}
-      </group>
-    </RigidBody>
+      </RigidBody>
+      {config.throwsHammers && (
+        <group ref={hammersRef}>
+          {Array.from({ length: ENEMY.MAX_HAMMERS }, (_, i) => (
+            <mesh key={i} visible={false} castShadow>
+              <boxGeometry args={[ENEMY.HAMMER_SIZE, ENEMY.HAMMER_SIZE * 0.5, ENEMY.HAMMER_SIZE * 0.5]} />
+              <meshStandardMaterial color="#757575" />
+            </mesh>
+          ))}
+        </group>
+      )}
+    </>
   );
 }
 
 /**
- * Renders all enemies from level data.
+ * Renders the enemies still in play, sharing one registry between them.
+ * Piranha pipes are non-solid scenery and stay after their piranha is defeated.
  */
 export default function Enemies() {
   const enemies = useGameStore((s) => s.levelData.enemies);
+  const platforms = useGameStore((s) => s.levelData.platforms);
+  const defeatedEnemies = useGameStore((s) => s.defeatedEnemies);
+  /** @type {{current: RegistryEntry[]}} Filled in by each EnemyUnit as it moves */
+  const registry = useRef([]);
+  const graph = useMemo(() => buildWalkGraph(platforms), [platforms]);
 
   return (
     <>
-      {enemies.map((enemy, i) => (
-        <EnemyUnit key={`enemy-${i}`} data={enemy} index={i} />
-      ))}
+      {enemies.map((enemy, i) =>
+        defeatedEnemies.includes(i) ? null : (
+          <EnemyUnit key={`enemy-${i}`} data={enemy} index={i} registry={registry} graph={graph} />
+        )
+      )}
+      {enemies.map((enemy, i) =>
+        ENEMY_TYPES[enemy.type]?.movement === 'pipe' ? (
+          // A piranha's level position is where it stands fully out of the pipe's mouth
+          <Pipe key={`pipe-${i}`} x={enemy.x} bottom={enemy.y - ENEMY_TYPES[enemy.type].height / 2} />
+        ) : null
+      )}
     </>
   );
 }
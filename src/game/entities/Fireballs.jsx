@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Fireballs thrown with the fire flower.
+ * Rendering only — flight is stepped by the store (stepFireballs) from Player's
+ * physics step, and enemies check for hits in Enemy.jsx.
+ */
+import { POWERUP } from '../../utils/constants';
+import useGameStore from '../../stores/gameStore';
+
+/**
+ * Renders every fireball in flight as a glowing sphere.
+ */
+export default function Fireballs() {
+  const fireballs = useGameStore((s) => s.fireballs);
+
+  return (
+    <>
+      {fireballs.map((ball) => (
+        <mesh key={ball.id} position={[ball.x, ball.y, 0]}>
+          <sphereGeometry args={[POWERUP.FIREBALL_RADIUS, 12, 12]} />
+          <meshStandardMaterial color="#FF6F00" emissive="#FF3D00" emissiveIntensity={0.8} />
+        </mesh>
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Ghost runner — a translucent copy of the player following the
+ * level's best run (or a shared ghost being raced).
+ * Purely visual: no rigid body, so it never collides with anything. It is kept
+ * in step with the player by reading how many physics steps the current
+ * attempt's recording holds.
+ */
+import { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import useGameStore from '../../stores/gameStore';
+import { ghostPositionAt } from '../replay/ghostSystem';
+import { GHOST, PLAYER } from '../../utils/constants';
+
+/** Drawn slightly behind the player so the two never z-fight when overlapping */
+const GHOST_Z = -0.3;
+
+/**
+ * Translucent player-shaped ghost, hidden during replays or when ghosts are turned off.
+ */
+export default function Ghost() {
+  const groupRef = useRef(null);
+  const ghost = useGameStore((s) => s.ghost);
+  const isVisible = useGameStore((s) => s.ghostsEnabled && s.replay === null);
+
+  useFrame(() => {
+    const group = groupRef.current;
+    if (!group || !ghost) return;
+
+    const { recording } = useGameStore.getState();
+    const position = recording ? ghostPositionAt(ghost, recording.frames.length) : null;
+    group.visible = position !== null;
+    if (position) group.position.set(position.x, position.y, GHOST_Z);
+  });
+
+  if (!ghost || !isVisible) return null;
+
+  return (
+    <group ref={groupRef} visible={false}>
+      {/* Body */}
+      <mesh>
+        <boxGeometry args={[PLAYER.WIDTH, PLAYER.HEIGHT, PLAYER.DEPTH]} />
+        <meshStandardMaterial color="#B3E5FC" transparent opacity={GHOST.OPACITY} depthWrite={false} />
+      </mesh>
+      {/* Hat */}
+      <mesh position={[0, PLAYER.HEIGHT * 0.85, 0]}>
+        <boxGeometry args={[PLAYER.WIDTH * 1.1, PLAYER.HEIGHT * 0.15, PLAYER.DEPTH * 0.7]} />
+        <meshStandardMaterial color="#81D4FA" transparent opacity={GHOST.OPACITY} depthWrite={false} />
+      </mesh>
+    </group>
+  );
+}
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Friendly NPC entities the player can talk to.
+ * NPCs have no colliders — the player walks through them. Proximity is checked
+ * each frame and the nearest NPC in range is published to the store, where the
+ * dialog UI picks it up.
+ */
+import { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import useGameStore from '../../stores/gameStore';
+import { NPC } from '../../utils/constants';
+
+/**
+ * Single NPC — a Toad-style figure with a bobbing speech marker while in range.
+ */
+function NPCUnit({ data, isNearby }) {
+  const markerRef = useRef(null);
+
+  useFrame(({ clock }) => {
+    if (markerRef.current) {
+      markerRef.current.position.y = NPC.HEIGHT * 0.9 + Math.sin(clock.getElapsedTime() * 4) * 0.1;
+    }
+  });
+
+  return (
+    <group position={[data.x, data.y, 0]}>
+      {/* Body */}
+      <mesh position={[0, -NPC.HEIGHT * 0.2, 0]} castShadow>
+        <boxGeometry args={[NPC.WIDTH * 0.8, NPC.HEIGHT * 0.6, NPC.WIDTH * 0.8]} />
+        <meshStandardMaterial color="#FFFFFF" />
+      </mesh>
+      {/* Vest */}
+      <mesh position={[0, -NPC.HEIGHT * 0.1, 0]} castShadow>
+        <boxGeometry args={[NPC.WIDTH * 0.85, NPC.HEIGHT * 0.25, NPC.WIDTH * 0.85]} />
+        <meshStandardMaterial color="#1E88E5" />
+      </mesh>
+      {/* Mushroom cap */}
+      <mesh position={[0, NPC.HEIGHT * 0.3, 0]} castShadow>
+        <sphereGeometry args={[NPC.WIDTH * 0.7, 12, 8, 0, Math.PI * 2, 0, Math.PI / 2]} />
+        <meshStandardMaterial color="#E53935" />
+      </mesh>
+      {/* Eyes */}
+      <mesh position={[0.12, NPC.HEIGHT * 0.2, NPC.WIDTH * 0.41]}>
+        <boxGeometry args={[0.08, 0.15, 0.02]} />
+        <meshStandardMaterial color="black" />
+      </mesh>
+      <mesh position={[-0.12, NPC.HEIGHT * 0.2, NPC.WIDTH * 0.41]}>
+        <boxGeometry args={[0.08, 0.15, 0.02]} />
+        <meshStandardMaterial color="black" />
+      </mesh>
+      {/* Speech marker shown while the player can talk */}
+      {isNearby && (
+        <mesh ref={markerRef} position={[0, NPC.HEIGHT * 0.9, 0]}>
+          <boxGeometry args={[0.15, 0.4, 0.05]} />
+          <meshStandardMaterial color="#FFD700" emissive="#FFA000" emissiveIntensity={0.5} />
+        </mesh>
+      )}
+    </group>
+  );
+}
+
+/**
+ * Renders all NPCs from level data and tracks which one is within talking distance.
+ */
+export default function NPCs() {
+  const npcs = useGameStore((s) => s.levelData.npcs);
+  const nearbyNPC = useGameStore((s) => s.nearbyNPC);
+  const setNearbyNPC = useGameStore((s) => s.setNearbyNPC);
+
+  useFrame(() => {
+    if (!npcs?.length) return;
+
+    const { phase, player } = useGameStore.getState();
+    let nearest = null;
+    let nearestDist = NPC.TALK_DISTANCE;
+
+    if (phase === 'playing') {
+      npcs.forEach((npc, i) => {
+        const dx = player.position[0] - npc.x;
+        const dy = player.position[1] - npc.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist < nearestDist) {
+          nearest = i;
+          nearestDist = dist;
+        }
+      });
+    }
+
+    // Only write on change to avoid a store update every frame
+    if (nearest !== nearbyNPC) setNearbyNPC(nearest);
+  });
+
+  if (!npcs?.length) return null;
+
+  return (
+    <>
+      {npcs.map((npc, i) => (
+        <NPCUnit key={`npc-${i}`} data={npc} isNearby={i === nearbyNPC} />
+      ))}
+    </>
+  );
+}
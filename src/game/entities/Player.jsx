@@ -3,13 +3,60 @@
  * Uses Rapier contact events for ground detection instead of velocity heuristics.
  * Uses enabledTranslations to lock Z-axis at the physics level (no jitter).
  * Applies impulses for jumps instead of overriding velocity every frame.
+ * Movement runs once per fixed physics step, not per rendered frame, so input
+ * can be recorded and replayed deterministically.
+ * Power-ups change the mesh only: big forms scale it up, fire recolors it and star
+ * power cycles its glow. Growing is cosmetic — the collider stays the small size,
+ * so hit detection, ceiling clearance and block bumping are the same in every form.
+ * Levels are laid out for that size (BLOCK.HOVER, the prompt's headroom rule and the
+ * reachability solver), and a taller collider could not walk under blocks.
+ * Platform surfaces: ground acceleration follows the platform last landed on (ice
+ * carries momentum), bouncy platforms launch the player and lava hurts and throws
+ * them clear. Standing on a moving platform adds its horizontal velocity to the
+ * player's target speed, so the player rides along.
  */
 import { useRef, useEffect, useCallback } from 'react';
 import { useFrame } from '@react-three/fiber';
-import { RigidBody, CuboidCollider, useRapier } from '@react-three/rapier';
-import { useKeyboard } from '../../hooks/useKeyboard';
+import { RigidBody, CuboidCollider, useBeforePhysicsStep } from '@react-three/rapier';
+import { useInputActions } from '../../hooks/useInputActions';
+import { ACTIONS } from '../input/inputActions';
 import useGameStore from '../../stores/gameStore';
-import { PHYSICS, PLAYER } from '../../utils/constants';
+import { decodeInput, encodeInput, frameAt, recordFrame } from '../replay/replaySystem';
+import { isHeadHit } from '../blocks/blockSystem';
+import { ENEMY, PHYSICS, PLATFORM, PLATFORM_SURFACES, PLAYER, POWERUP } from '../../utils/constants';
+
+/** Minimum physics steps between fall-death hits (1 second) */
+const FALL_DAMAGE_COOLDOWN_STEPS = Math.round(1 / PHYSICS.TIME_STEP);
+
+/** Physics steps of invincibility after a hit, and of star power */
+const INVINCIBILITY_STEPS = Math.round(PLAYER.INVINCIBILITY_DURATION / 1000 / PHYSICS.TIME_STEP);
+const STAR_STEPS = Math.round(POWERUP.STAR_DURATION / 1000 / PHYSICS.TIME_STEP);
+
+/** Outfit colors per form: fire swaps to a white cap and shirt with red overalls */
+const OUTFITS = {
+  small: { cap: '#E52521', overalls: '#1565C0' },
+  big: { cap: '#E52521', overalls: '#1565C0' },
+  fire: { cap: '#FAFAFA', overalls: '#E52521' },
+};
+
+/** Star power glow: hue cycles per second */
+const STAR_HUE_SPEED = 3;
+
+/**
+ * Samples live input actions, plus any pending voice jump.
+ * @param {Set<string>} actions - Currently held actions
+ * @returns {import('../replay/replaySystem').InputState}
+ */
+function readLiveInput(actions) {
+  const { jumpRequested, consumeJump } = useGameStore.getState();
+  if (jumpRequested) consumeJump();
+  return {
+    left: actions.has(ACTIONS.MOVE_LEFT),
+    right: actions.has(ACTIONS.MOVE_RIGHT),
+    jump: actions.has(ACTIONS.JUMP) || jumpRequested,
+    fire: actions.has(ACTIONS.FIRE),
+  };
+}
 
 /**
  * Player character with stable physics-based movement.
@@ -18,24 +65,44 @@ import { PHYSICS, PLAYER } from '../../utils/constants';
 export default function Player() {
   const rigidBodyRef = useRef(null);
   const meshRef = useRef(null);
-  const keysPressed = useKeyboard();
-  const invincibleTimerRef = useRef(null);
+  const readActions = useInputActions();
   const groundContactCount = useRef(0);
   const jumpCooldown = useRef(false);
-  const posUpdateCounter = useRef(0);
-  const lastDamageTime = useRef(0);
+  const fireHeld = useRef(false);
+  /** 1 when facing right, -1 when facing left — fireballs fly this way */
+  const facing = useRef(1);
+  /** Type of the platform last landed on */
+  const surface = useRef('grass');
+  /** Rigid body of the platform last landed on, while still touching it */
+  const groundBody = useRef(null);
+  /** Upward speed a bouncy platform gave since the last step (0 for none) */
+  const bounce = useRef(0);
+  const touchedLava = useRef(false);
+  const starGlow = useRef(false);
+  const lastDamageStep = useRef(-Infinity);
+  const prevPhase = useRef(null);
+  /** Physics steps since the level (re)started — the index into recordings */
+  const step = useRef(0);
+  /** Physics steps played since the player became invincible or got star power */
+  const invincibleSteps = useRef(0);
+  const starSteps = useRef(0);
 
   const phase = useGameStore((s) => s.phase);
   const isInvincible = useGameStore((s) => s.player.isInvincible);
+  const form = useGameStore((s) => s.player.form);
+  const hasStar = useGameStore((s) => s.player.hasStar);
   const setPlayerPosition = useGameStore((s) => s.setPlayerPosition);
+  const setPlayerVelocity = useGameStore((s) => s.setPlayerVelocity);
   const setPlayerGrounded = useGameStore((s) => s.setPlayerGrounded);
-  const clearInvincibility = useGameStore((s) => s.clearInvincibility);
   const takeDamage = useGameStore((s) => s.takeDamage);
   const spawnPoint = useGameStore((s) => s.levelData.spawnPoint);
 
-  // Reset player position on game start
+  // Reset player position on game start (but not when resuming from pause;
+  // restarting from pause clears pausedAt, so that still resets)
   useEffect(() => {
-    if (rigidBodyRef.current && phase === 'playing') {
+    const resumed = prevPhase.current === 'paused' && useGameStore.getState().pausedAt !== 0;
+    prevPhase.current = phase;
+    if (rigidBodyRef.current && phase === 'playing' && !resumed) {
       const rb = rigidBodyRef.current;
       rb.setTranslation(
         { x: spawnPoint.x, y: spawnPoint.y + 1, z: 0 },
@@ -44,33 +111,52 @@ export default function Player() {
       rb.setLinvel({ x: 0, y: 0, z: 0 }, true);
       rb.setAngvel({ x: 0, y: 0, z: 0 }, true);
       groundContactCount.current = 0;
+      jumpCooldown.current = false;
+      fireHeld.current = false;
+      facing.current = 1;
+      surface.current = 'grass';
+      groundBody.current = null;
+      bounce.current = 0;
+      touchedLava.current = false;
+      lastDamageStep.current = -Infinity;
+      step.current = 0;
+      invincibleSteps.current = 0;
+      starSteps.current = 0;
+      useGameStore.getState().startRecording();
     }
   }, [phase, spawnPoint]);
 
-  // Handle invincibility timer
-  useEffect(() => {
-    if (isInvincible) {
-      invincibleTimerRef.current = setTimeout(() => {
-        clearInvincibility();
-      }, PLAYER.INVINCIBILITY_DURATION);
-    }
-    return () => {
-      if (invincibleTimerRef.current) {
-        clearTimeout(invincibleTimerRef.current);
-      }
-    };
-  }, [isInvincible, clearInvincibility]);
-
   /**
-   * Collision enter handler — tracks ground contacts.
+   * Collision enter handler — tracks ground contacts and the surface underfoot,
+   * and bumps blocks hit from below.
    */
   const onCollisionEnter = useCallback((event) => {
+    const otherName = event.other.rigidBodyObject?.name ?? '';
+    let platformType = null;
+    if (otherName.startsWith('platform-')) {
+      const index = Number(otherName.slice('platform-'.length));
+      platformType = useGameStore.getState().levelData.platforms[index]?.type ?? null;
+      // Lava burns from any side
+      if (PLATFORM_SURFACES[platformType]?.damages) touchedLava.current = true;
+    }
+    if (otherName.startsWith('block-')) {
+      const index = Number(otherName.slice('block-'.length));
+      const { levelData, hitBlock } = useGameStore.getState();
+      const block = levelData.blocks?.[index];
+      if (block && isHeadHit(event.target.rigidBody.translation(), block)) hitBlock(index);
+    }
+
     // Check if the contact normal points upward (we landed on something)
     const manifold = event.manifold;
     if (manifold) {
       const normal = manifold.normal();
       // Normal pointing up means we're standing on something
       if (normal.y < -0.5) {
+        if (platformType) {
+          surface.current = platformType;
+          groundBody.current = event.other.rigidBody ?? null;
+          bounce.current = PLATFORM_SURFACES[platformType]?.bounceSpeed ?? 0;
+        }
         groundContactCount.current++;
         setPlayerGrounded(true);
         jumpCooldown.current = false;
@@ -86,61 +172,108 @@ export default function Player() {
   /**
    * Collision exit handler — decrements ground contacts.
    */
-  const onCollisionExit = useCallback(() => {
+  const onCollisionExit = useCallback((event) => {
+    if (event.other.rigidBody === groundBody.current) groundBody.current = null;
     groundContactCount.current = Math.max(0, groundContactCount.current - 1);
     if (groundContactCount.current === 0) {
       setPlayerGrounded(false);
     }
   }, [setPlayerGrounded]);
 
-  useFrame((_, delta) => {
-    if (!rigidBodyRef.current || phase !== 'playing') return;
+  useBeforePhysicsStep(() => {
+    // Physics is paused during NPC dialog and the pause menu, so no steps run then
+    const state = useGameStore.getState();
+    if (!rigidBodyRef.current || state.phase !== 'playing' || state.activeDialog) return;
 
     const rb = rigidBodyRef.current;
     const translation = rb.translation();
     const linvel = rb.linvel();
-    const keys = keysPressed.current;
+
+    // --- Input: recorded during play, read back from the recording during a replay ---
+    let input;
+    if (state.replay) {
+      input = decodeInput(frameAt(state.replay, step.current));
+    } else {
+      input = readLiveInput(readActions());
+      if (state.recording) recordFrame(state.recording, encodeInput(input), translation);
+    }
+    step.current++;
+
+    // --- Invincibility and star power wear off after that much play, not wall-clock time ---
+    invincibleSteps.current = state.player.isInvincible ? invincibleSteps.current + 1 : 0;
+    if (invincibleSteps.current >= INVINCIBILITY_STEPS) state.clearInvincibility();
+    starSteps.current = state.player.hasStar ? starSteps.current + 1 : 0;
+    if (starSteps.current >= STAR_STEPS) state.clearStar();
 
     const isOnGround = groundContactCount.current > 0 || Math.abs(linvel.y) < 0.3;
 
     // --- Horizontal Movement ---
     let targetVelX = 0;
-    if (keys.has('arrowright') || keys.has('d')) targetVelX = PHYSICS.MOVE_SPEED;
-    if (keys.has('arrowleft') || keys.has('a')) targetVelX = -PHYSICS.MOVE_SPEED;
+    if (input.right) targetVelX = PHYSICS.MOVE_SPEED;
+    if (input.left) targetVelX = -PHYSICS.MOVE_SPEED;
+
+    // Ride moving platforms: target speed is relative to the platform underfoot
+    if (isOnGround && groundBody.current) targetVelX += groundBody.current.linvel().x;
 
     // Smooth acceleration toward target velocity (no fighting physics)
     const currentVelX = linvel.x;
-    const accel = isOnGround ? 0.25 : 0.12;
+    const groundAccel = (PLATFORM_SURFACES[surface.current] ?? PLATFORM_SURFACES.grass).groundAccel;
+    const accel = isOnGround ? groundAccel : PHYSICS.AIR_ACCEL;
     const newVelX = currentVelX + (targetVelX - currentVelX) * accel;
 
     rb.setLinvel({ x: newVelX, y: linvel.y, z: 0 }, true);
 
     // --- Jump ---
-    const wantsJump = keys.has(' ') || keys.has('arrowup') || keys.has('w');
-    if (wantsJump && isOnGround && !jumpCooldown.current) {
+    if (input.jump && isOnGround && !jumpCooldown.current) {
       rb.setLinvel({ x: newVelX, y: PHYSICS.JUMP_FORCE, z: 0 }, true);
       jumpCooldown.current = true;
       groundContactCount.current = 0;
       setPlayerGrounded(false);
     }
 
+    // --- Surfaces: bouncy platforms launch, lava hurts and throws the player clear ---
+    // A stomped enemy bounces the player off it too
+    if (touchedLava.current) takeDamage({ hazard: true });
+    let launch = touchedLava.current ? PLATFORM.LAVA_KNOCKBACK : bounce.current;
+    if (state.stompBounce) {
+      state.consumeStompBounce();
+      launch = Math.max(launch, ENEMY.STOMP_BOUNCE);
+    }
+    touchedLava.current = false;
+    bounce.current = 0;
+    if (launch) {
+      rb.setLinvel({ x: newVelX, y: launch, z: 0 }, true);
+      jumpCooldown.current = true;
+      groundContactCount.current = 0;
+      setPlayerGrounded(false);
+    }
+
+    // --- Fireball (fire form only), one per press ---
+    if (input.right) facing.current = 1;
+    if (input.left) facing.current = -1;
+    state.stepFireballs(PHYSICS.TIME_STEP);
+    if (input.fire && !fireHeld.current) {
+      const offset = PLAYER.WIDTH / 2 + POWERUP.FIREBALL_RADIUS;
+      state.shootFireball({ x: translation.x + facing.current * offset, y: translation.y }, facing.current, step.current);
+    }
+    fireHeld.current = input.fire;
+
     // --- Enforce Z = 0 (belt and suspenders with enabledTranslations) ---
     if (Math.abs(translation.z) > 0.01) {
       rb.setTranslation({ x: translation.x, y: translation.y, z: 0 }, true);
     }
 
-    // --- Update store position (throttled to every 3rd frame) ---
-    posUpdateCounter.current++;
-    if (posUpdateCounter.current % 3 === 0) {
+    // --- Update store position and velocity (throttled to every 3rd step) ---
+    if (step.current % 3 === 0) {
       setPlayerPosition([translation.x, translation.y, translation.z]);
+      setPlayerVelocity([linvel.x, linvel.y, 0]);
     }
 
     // --- Fall death ---
     if (translation.y < PLAYER.RESPAWN_HEIGHT) {
-      const now = Date.now();
-      if (now - lastDamageTime.current > 1000) {
-        lastDamageTime.current = now;
-        takeDamage();
+      if (step.current - lastDamageStep.current > FALL_DAMAGE_COOLDOWN_STEPS) {
+        lastDamageStep.current = step.current;
+        takeDamage({ hazard: true });
         useGameStore.getState().incrementDeaths();
         if (useGameStore.getState().player.health > 0) {
           rb.setTranslation(
@@ -154,15 +287,27 @@ export default function Player() {
     }
   });
 
-  // Blink effect during invincibility
+  // Blink effect during invincibility, rainbow glow during star power
   useFrame(({ clock }) => {
-    if (meshRef.current) {
-      meshRef.current.visible = isInvincible
-        ? Math.sin(clock.getElapsedTime() * 20) > 0
-        : true;
+    if (!meshRef.current) return;
+    meshRef.current.visible = isInvincible
+      ? Math.sin(clock.getElapsedTime() * 20) > 0
+      : true;
+
+    if (hasStar || starGlow.current) {
+      const hue = (clock.getElapsedTime() * STAR_HUE_SPEED) % 1;
+      meshRef.current.traverse((child) => {
+        if (!child.material) return;
+        if (hasStar) child.material.emissive.setHSL(hue, 1, 0.35);
+        else child.material.emissive.setRGB(0, 0, 0);
+      });
+      starGlow.current = hasStar;
     }
   });
 
+  const outfit = OUTFITS[form] ?? OUTFITS.small;
+  const scale = form === 'small' ? 1 : POWERUP.BIG_SCALE;
+
   return (
     <RigidBody
       ref={rigidBodyRef}
@@ -171,10 +316,10 @@ export default function Player() {
       colliders={false}
       lockRotations
       enabledTranslations={[true, true, false]}
-      linearDamping={1}
+      linearDamping={PHYSICS.PLAYER_LINEAR_DAMPING}
       angularDamping={10}
       mass={1}
-      gravityScale={1.8}
+      gravityScale={PHYSICS.PLAYER_GRAVITY_SCALE}
       ccd
       name="player"
       onCollisionEnter={onCollisionEnter}
@@ -185,11 +330,12 @@ export default function Player() {
         friction={0.7}
         restitution={0}
       />
-      <group ref={meshRef}>
+      {/* Scaled from the feet so a big player still stands on the collider's base; the collider above doesn't grow */}
+      <group ref={meshRef} scale={scale} position={[0, (PLAYER.HEIGHT / 2) * (scale - 1), 0]}>
         {/* Body */}
         <mesh position={[0, 0, 0]} castShadow>
           <boxGeometry args={[PLAYER.WIDTH, PLAYER.HEIGHT, PLAYER.DEPTH]} />
-          <meshStandardMaterial color="#E52521" />
+          <meshStandardMaterial color={outfit.cap} />
         </mesh>
         {/* Head */}
         <mesh position={[0, PLAYER.HEIGHT * 0.55, 0]} castShadow>
@@ -199,12 +345,12 @@ export default function Player() {
         {/* Hat */}
         <mesh position={[0, PLAYER.HEIGHT * 0.85, 0]} castShadow>
           <boxGeometry args={[PLAYER.WIDTH * 1.1, PLAYER.HEIGHT * 0.15, PLAYER.DEPTH * 0.7]} />
-          <meshStandardMaterial color="#E52521" />
+          <meshStandardMaterial color={outfit.cap} />
         </mesh>
         {/* Hat brim */}
         <mesh position={[PLAYER.WIDTH * 0.2, PLAYER.HEIGHT * 0.75, 0]} castShadow>
           <boxGeometry args={[PLAYER.WIDTH * 0.6, PLAYER.HEIGHT * 0.08, PLAYER.DEPTH * 0.8]} />
-          <meshStandardMaterial color="#E52521" />
+          <meshStandardMaterial color={outfit.cap} />
         </mesh>
         {/* Eyes */}
         <mesh position={[PLAYER.WIDTH * 0.15, PLAYER.HEIGHT * 0.55, PLAYER.DEPTH * 0.45]}>
@@ -232,7 +378,7 @@ export default function Player() {
         {/* Overalls */}
         <mesh position={[0, -PLAYER.HEIGHT * 0.2, 0]} castShadow>
           <boxGeometry args={[PLAYER.WIDTH * 0.85, PLAYER.HEIGHT * 0.4, PLAYER.DEPTH * 0.85]} />
-          <meshStandardMaterial color="#1565C0" />
+          <meshStandardMaterial color={outfit.overalls} />
         </mesh>
       </group>
     </RigidBody>
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Persists control bindings in localStorage.
+ * Stored bindings are sanitized on load, so a hand-edited or outdated entry falls
+ * back to defaults action by action instead of leaving controls unusable.
+ */
+
+import { DEFAULT_BINDINGS, sanitizeBindings } from './inputActions.js';
+import { CONTROLS } from '../../utils/constants.js';
+
+/** localStorage, or null when unavailable (private mode, Node) */
+function defaultStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {Storage|null} [storage]
+ * @returns {import('./inputActions.js').Bindings} Saved bindings, or the defaults
+ */
+export function readBindings(storage = defaultStorage()) {
+  if (!storage) return DEFAULT_BINDINGS;
+  try {
+    const text = storage.getItem(CONTROLS.STORAGE_KEY);
+    const saved = text ? JSON.parse(text) : null;
+    return saved?.version === CONTROLS.VERSION ? sanitizeBindings(saved.bindings) : DEFAULT_BINDINGS;
+  } catch (error) {
+    console.warn('Could not read control bindings:', error.message);
+    return DEFAULT_BINDINGS;
+  }
+}
+
+/**
+ * @param {import('./inputActions.js').Bindings} bindings
+ * @param {Storage|null} [storage]
+ */
+export function writeBindings(bindings, storage = defaultStorage()) {
+  if (!storage) return;
+  try {
+    storage.setItem(CONTROLS.STORAGE_KEY, JSON.stringify({ version: CONTROLS.VERSION, bindings }));
+  } catch (error) {
+    // Storage full or disabled — the bindings still apply for this session
+    console.warn('Could not save control bindings:', error.message);
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * @fileoverview Input actions — what the player wants to do, independent of the device.
+ * Keyboard keys, gamepad buttons/sticks and on-screen touch controls all map to the
+ * same named actions, so the player controller and menus never check key names.
+ * Gameplay actions are remappable through a Bindings object; menu navigation on
+ * gamepads (D-pad/stick, A, B) is fixed so a bad mapping can't lock the player out.
+ */
+
+import { GAMEPAD, TOUCH, VOICE } from '../../utils/constants.js';
+
+/** Named input actions */
+export const ACTIONS = {
+  MOVE_LEFT: 'moveLeft',
+  MOVE_RIGHT: 'moveRight',
+  JUMP: 'jump',
+  FIRE: 'fire',
+  PAUSE: 'pause',
+  TALK: 'talk',
+  // Menu navigation (gamepad; keyboard menus use Tab / Enter natively)
+  MENU_UP: 'menuUp',
+  MENU_DOWN: 'menuDown',
+  CONFIRM: 'confirm',
+  BACK: 'back',
+};
+
+/** Actions the player can rebind, in display order */
+export const REBINDABLE_ACTIONS = [
+  ACTIONS.MOVE_LEFT,
+  ACTIONS.MOVE_RIGHT,
+  ACTIONS.JUMP,
+  ACTIONS.FIRE,
+  ACTIONS.TALK,
+  ACTIONS.PAUSE,
+];
+
+/** Display names for rebindable actions */
+export const ACTION_LABELS = {
+  [ACTIONS.MOVE_LEFT]: 'Move left',
+  [ACTIONS.MOVE_RIGHT]: 'Move right',
+  [ACTIONS.JUMP]: 'Jump',
+  [ACTIONS.FIRE]: 'Fireball',
+  [ACTIONS.TALK]: 'Talk',
+  [ACTIONS.PAUSE]: 'Pause',
+};
+
+/** Standard-mapping gamepad button indices */
+export const GAMEPAD_BUTTONS = {
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  START: 9,
+  DPAD_UP: 12,
+  DPAD_DOWN: 13,
+  DPAD_LEFT: 14,
+  DPAD_RIGHT: 15,
+};
+
+/** Standard-mapping button names, by index */
+const BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+
+/** Highest standard-mapping button index */
+export const MAX_GAMEPAD_BUTTON = BUTTON_NAMES.length - 1;
+
+/**
+ * @typedef {Object} Bindings
+ * @property {Object<string, string[]>} keyboard - Lowercased KeyboardEvent.key values per action
+ * @property {Object<string, number[]>} gamepad - Standard-mapping button indices per action
+ */
+
+/** @type {Bindings} */
+export const DEFAULT_BINDINGS = {
+  keyboard: {
+    [ACTIONS.MOVE_LEFT]: ['arrowleft', 'a'],
+    [ACTIONS.MOVE_RIGHT]: ['arrowright', 'd'],
+    [ACTIONS.JUMP]: [' ', 'arrowup', 'w'],
+    [ACTIONS.FIRE]: ['f', 'shift'],
+    [ACTIONS.TALK]: ['e'],
+    [ACTIONS.PAUSE]: ['escape', 'p'],
+  },
+  gamepad: {
+    [ACTIONS.MOVE_LEFT]: [GAMEPAD_BUTTONS.DPAD_LEFT],
+    [ACTIONS.MOVE_RIGHT]: [GAMEPAD_BUTTONS.DPAD_RIGHT],
+    [ACTIONS.JUMP]: [GAMEPAD_BUTTONS.A],
+    [ACTIONS.FIRE]: [GAMEPAD_BUTTONS.X],
+    [ACTIONS.TALK]: [GAMEPAD_BUTTONS.Y],
+    [ACTIONS.PAUSE]: [GAMEPAD_BUTTONS.START],
+  },
+};
+
+/** Keys kept for menus and voice input, never bindable */
+const RESERVED_KEYS = ['tab', 'enter', VOICE.PUSH_TO_TALK_KEY];
+
+/** Fixed gamepad menu buttons; B backs out of menus, so no default binding uses it */
+const MENU_BUTTONS = [
+  [GAMEPAD_BUTTONS.A, ACTIONS.CONFIRM],
+  [GAMEPAD_BUTTONS.B, ACTIONS.BACK],
+  [GAMEPAD_BUTTONS.DPAD_UP, ACTIONS.MENU_UP],
+  [GAMEPAD_BUTTONS.DPAD_DOWN, ACTIONS.MENU_DOWN],
+];
+
+/** Readable names for keys whose KeyboardEvent.key isn't one */
+const KEY_NAMES = {
+  ' ': 'Space',
+  arrowleft: '←',
+  arrowright: '→',
+  arrowup: '↑',
+  arrowdown: '↓',
+  escape: 'Esc',
+};
+
+/**
+ * @param {string} key - Lowercased KeyboardEvent.key
+ * @returns {string} Name shown in the controls legend
+ */
+export function formatKey(key) {
+  return KEY_NAMES[key] ?? (key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1));
+}
+
+/**
+ * @param {number} index - Standard-mapping button index
+ * @returns {string} Name shown in the controls legend
+ */
+export function formatButton(index) {
+  return BUTTON_NAMES[index] ?? `Button ${index}`;
+}
+
+/**
+ * @param {string} key - KeyboardEvent.key
+ * @returns {boolean} Whether the key can't be bound to an action
+ */
+export function isReservedKey(key) {
+  return RESERVED_KEYS.includes(key.toLowerCase());
+}
+
+/**
+ * @param {string} key - KeyboardEvent.key
+ * @param {Bindings} bindings
+ * @returns {string|null} The action bound to the key
+ */
+export function actionForKey(key, bindings) {
+  const lower = key.toLowerCase();
+  const entry = Object.entries(bindings.keyboard).find(([, keys]) => keys.includes(lower));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * @param {Set<string>} keys - Lowercased keys currently held
+ * @param {Bindings} bindings
+ * @returns {Set<string>} Held actions
+ */
+export function keyboardActions(keys, bindings) {
+  const actions = new Set();
+  for (const [action, bound] of Object.entries(bindings.keyboard)) {
+    if (bound.some((key) => keys.has(key))) actions.add(action);
+  }
+  return actions;
+}
+
+/**
+ * Reads a gamepad snapshot. The left stick always moves (outside the deadzone)
+ * and, pushed further, navigates menus.
+ *
+ * @param {{buttons: ReadonlyArray<{pressed: boolean}>, axes: ReadonlyArray<number>}} gamepad
+ * @param {Bindings} bindings
+ * @param {number} [deadzone]
+ * @returns {Set<string>} Held actions
+ */
+export function gamepadActions(gamepad, bindings, deadzone = GAMEPAD.STICK_DEADZONE) {
+  const actions = new Set();
+  const isPressed = (index) => gamepad.buttons[index]?.pressed === true;
+
+  for (const [action, buttons] of Object.entries(bindings.gamepad)) {
+    if (buttons.some(isPressed)) actions.add(action);
+  }
+  for (const [index, action] of MENU_BUTTONS) {
+    if (isPressed(index)) actions.add(action);
+  }
+
+  const [x = 0, y = 0] = gamepad.axes;
+  if (x < -deadzone) actions.add(ACTIONS.MOVE_LEFT);
+  if (x > deadzone) actions.add(ACTIONS.MOVE_RIGHT);
+  if (y < -GAMEPAD.MENU_STICK_THRESHOLD) actions.add(ACTIONS.MENU_UP);
+  if (y > GAMEPAD.MENU_STICK_THRESHOLD) actions.add(ACTIONS.MENU_DOWN);
+  return actions;
+}
+
+/**
+ * Reads the on-screen joystick. Only horizontal travel matters — jumping has its own button.
+ *
+ * @param {number} dx - Finger offset from the joystick center, in px
+ * @param {number} radius - Joystick radius, in px
+ * @param {number} [deadzone] - Fraction of the radius ignored around the center
+ * @returns {Set<string>} Held actions
+ */
+export function joystickActions(dx, radius, deadzone = TOUCH.JOYSTICK_DEADZONE) {
+  const actions = new Set();
+  if (dx < -radius * deadzone) actions.add(ACTIONS.MOVE_LEFT);
+  if (dx > radius * deadzone) actions.add(ACTIONS.MOVE_RIGHT);
+  return actions;
+}
+
+/**
+ * @param {Bindings} bindings
+ * @param {'keyboard' | 'gamepad'} device
+ * @param {string|number} input - Lowercased key or button index
+ * @returns {string|null} The action the input is already bound to
+ */
+export function findConflict(bindings, device, input) {
+  const entry = Object.entries(bindings[device]).find(([, inputs]) => inputs.includes(input));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * @param {Bindings} bindings
+ * @param {'keyboard' | 'gamepad'} device
+ * @param {string} action
+ * @param {string|number} input
+ * @returns {Bindings} Bindings with the input added to the action
+ */
+export function addBinding(bindings, device, action, input) {
+  const current = bindings[device][action] ?? [];
+  if (current.includes(input)) return bindings;
+  return { ...bindings, [device]: { ...bindings[device], [action]: [...current, input] } };
+}
+
+/**
+ * Removes an input from an action. The last input of an action is kept, so
+ * every action stays reachable.
+ * @param {Bindings} bindings
+ * @param {'keyboard' | 'gamepad'} device
+ * @param {string} action
+ * @param {string|number} input
+ * @returns {Bindings}
+ */
+export function removeBinding(bindings, device, action, input) {
+  const current = bindings[device][action] ?? [];
+  if (current.length <= 1) return bindings;
+  return { ...bindings, [device]: { ...bindings[device], [action]: current.filter((i) => i !== input) } };
+}
+
+/**
+ * Checks bindings from storage. Unknown actions and invalid or duplicate inputs
+ * are dropped; actions left without an input fall back to their defaults.
+ *
+ * @param {*} raw
+ * @returns {Bindings}
+ */
+export function sanitizeBindings(raw) {
+  const used = { keyboard: new Set(), gamepad: new Set() };
+  const isValid = {
+    keyboard: (key) => typeof key === 'string' && key.length > 0 && key.length <= 20 && key === key.toLowerCase() && !isReservedKey(key),
+    gamepad: (index) => Number.isInteger(index) && index >= 0 && index <= MAX_GAMEPAD_BUTTON,
+  };
+
+  const result = { keyboard: {}, gamepad: {} };
+  for (const device of ['keyboard', 'gamepad']) {
+    for (const action of REBINDABLE_ACTIONS) {
+      const stored = raw?.[device]?.[action];
+      const inputs = (Array.isArray(stored) ? stored : []).filter((input) => {
+        if (!isValid[device](input) || used[device].has(input)) return false;
+        used[device].add(input);
+        return true;
+      });
+      result[device][action] = inputs.length > 0 ? inputs : [...DEFAULT_BINDINGS[device][action]];
+    }
+  }
+  return result;
+}
+
+/**
+ * @param {...Iterable<string>} sources
+ * @returns {Set<string>} Union of all sources
+ */
+export function mergeActions(...sources) {
+  const merged = new Set();
+  for (const source of sources) {
+    for (const action of source) merged.add(action);
+  }
+  return merged;
+}
+
+/**
+ * @param {Set<string>} previous - Actions held last poll
+ * @param {Set<string>} current - Actions held now
+ * @returns {string[]} Actions that just started
+ */
+export function newlyPressed(previous, current) {
+  return [...current].filter((action) => !previous.has(action));
+}
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Touch control options (when to show them, layout, size),
+ * persisted in localStorage and sanitized on load.
+ */
+
+import { TOUCH } from '../../utils/constants.js';
+
+/**
+ * @typedef {Object} TouchSettings
+ * @property {'auto' | 'always' | 'never'} mode - When the overlay is shown
+ * @property {'joystick-left' | 'joystick-right'} layout - Which side the joystick sits on
+ * @property {'small' | 'medium' | 'large'} size
+ */
+
+/** @type {TouchSettings} */
+export const DEFAULT_TOUCH_SETTINGS = {
+  mode: 'auto',
+  layout: 'joystick-left',
+  size: 'medium',
+};
+
+/** localStorage, or null when unavailable (private mode, Node) */
+function defaultStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {*} raw
+ * @returns {TouchSettings} Known values kept, anything else back to defaults
+ */
+export function sanitizeTouchSettings(raw) {
+  const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+  return {
+    mode: pick(raw?.mode, TOUCH.MODES, DEFAULT_TOUCH_SETTINGS.mode),
+    layout: pick(raw?.layout, TOUCH.LAYOUTS, DEFAULT_TOUCH_SETTINGS.layout),
+    size: pick(raw?.size, Object.keys(TOUCH.SIZES), DEFAULT_TOUCH_SETTINGS.size),
+  };
+}
+
+/**
+ * @param {Storage|null} [storage]
+ * @returns {TouchSettings}
+ */
+export function readTouchSettings(storage = defaultStorage()) {
+  if (!storage) return DEFAULT_TOUCH_SETTINGS;
+  try {
+    const text = storage.getItem(TOUCH.STORAGE_KEY);
+    return text ? sanitizeTouchSettings(JSON.parse(text)) : DEFAULT_TOUCH_SETTINGS;
+  } catch (error) {
+    console.warn('Could not read touch settings:', error.message);
+    return DEFAULT_TOUCH_SETTINGS;
+  }
+}
+
+/**
+ * @param {TouchSettings} settings
+ * @param {Storage|null} [storage]
+ */
+export function writeTouchSettings(settings, storage = defaultStorage()) {
+  if (!storage) return;
+  try {
+    storage.setItem(TOUCH.STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Could not save touch settings:', error.message);
+  }
+}
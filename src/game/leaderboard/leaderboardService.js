@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Leaderboard client.
+ * Builds level-result submissions from store state and talks to the proxy's
+ * /api/scores routes. Scores are per level: points, coins and deaths since the
+ * level started, not run totals.
+ */
+
+import { blockRewards } from '../blocks/blockSystem.js';
+import { API } from '../../utils/constants.js';
+
+/**
+ * @typedef {Object} ScoreSubmission
+ * @property {string} name
+ * @property {number} score
+ * @property {number} coins
+ * @property {number} time - Seconds, paused time excluded
+ * @property {number} deaths
+ * @property {boolean} completed
+ * @property {number} levelNumber
+ * @property {number} difficulty
+ * @property {number} [seed] - Present for procedural levels
+ * @property {{totalCoins: number, totalPowerUps: number, enemies: string[]}} level - Lets the server
+ *   bound the score; totals include what '?' blocks hold
+ */
+
+/**
+ * Builds a submission for the level just finished (victory) or lost (game over).
+ * @param {Object} state - useGameStore state
+ * @param {string} name - Player name (sanitized again server-side)
+ * @returns {ScoreSubmission}
+ */
+export function buildScoreSubmission(state, name) {
+  const { player, levelStartStats, levelData } = state;
+  const rewards = blockRewards(levelData.blocks);
+  const completed = state.phase === 'victory';
+  const time = completed
+    ? state.completionTimes[state.completionTimes.length - 1]
+    : (Date.now() - state.levelStartTime) / 1000;
+
+  return {
+    name,
+    score: player.score - levelStartStats.score,
+    coins: player.coins - levelStartStats.coins,
+    time: Math.max(0.01, time),
+    deaths: state.deaths - state.levelStartDeaths,
+    completed,
+    levelNumber: state.levelNumber,
+    difficulty: state.difficulty,
+    ...(Number.isInteger(levelData.seed) ? { seed: levelData.seed } : {}),
+    level: {
+      totalCoins: levelData.coins.length + rewards.coins,
+      totalPowerUps: (levelData.powerUps?.length ?? 0) + rewards.powerUps,
+      enemies: levelData.enemies.map((e) => e.type),
+    },
+  };
+}
+
+/**
+ * Submits a level result.
+ * @param {ScoreSubmission} submission
+ * @returns {Promise<{entry: Object, rank: number|null}>}
+ * @throws {Error} With the server's validation details when rejected
+ */
+export async function submitScore(submission) {
+  const response = await fetch(`${API.BASE_URL}/api/scores`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(submission),
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const message = body.error || `Score submission failed with status ${response.status}`;
+    throw new Error(body.details?.length ? `${message}: ${body.details.join('; ')}` : message);
+  }
+  return body;
+}
+
+/**
+ * Fetches top scores.
+ * @param {Object} [filter]
+ * @param {number} [filter.levelNumber] - Only this level number
+ * @param {number} [filter.seed] - Only this procedural seed
+ * @param {number} [filter.limit=10]
+ * @returns {Promise<Array<Object>>} Score entries, best first
+ */
+export async function fetchScores({ levelNumber, seed, limit = 10 } = {}) {
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (levelNumber !== undefined) params.set('level', String(levelNumber));
+  if (seed !== undefined) params.set('seed', String(seed));
+
+  const response = await fetch(`${API.BASE_URL}/api/scores?${params}`);
+  if (!response.ok) throw new Error(`Leaderboard request failed with status ${response.status}`);
+  const body = await response.json();
+  return body.scores ?? [];
+}
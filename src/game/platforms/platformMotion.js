@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Moving platform paths. A platform with a `motion` field moves
+ * relative to its level position: back and forth along a line, round a circle,
+ * or through a loop of waypoints. Position is a function of time since the level
+ * started, so a replay sees every platform where the recording did.
+ */
+
+import { MOVING_PLATFORM } from '../../utils/constants.js';
+
+/**
+ * @typedef {Object} PlatformMotion
+ * @property {'linear' | 'circular' | 'waypoints'} path
+ * @property {number} speed - World units per second along the path
+ * @property {number} phase - Where in its cycle the platform starts, as a fraction [0, 1)
+ * @property {number} [dx] - linear: far end of the line, relative to the platform position
+ * @property {number} [dy]
+ * @property {number} [radius] - circular: orbit radius around the platform position
+ * @property {Array<{x: number, y: number}>} [points] - waypoints: offsets from the
+ *   platform position, visited in order before looping back to it
+ */
+
+/** Evenly spaced positions sampled along a path for reachability */
+const SAMPLE_COUNT = 8;
+
+function isNum(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/** Wraps any number into [0, 1) */
+function wrap(fraction) {
+  return ((fraction % 1) + 1) % 1;
+}
+
+/**
+ * Corners of the closed loop a line or waypoint path runs round. A line is a
+ * two-corner loop, so the platform goes out to the far end and back.
+ */
+function loopOf(motion) {
+  if (motion.path === 'linear') return [{ x: 0, y: 0 }, { x: motion.dx, y: motion.dy }];
+  return [{ x: 0, y: 0 }, ...motion.points];
+}
+
+function segmentsOf(motion) {
+  const loop = loopOf(motion);
+  return loop.map((from, i) => {
+    const to = loop[(i + 1) % loop.length];
+    return { from, to, length: Math.hypot(to.x - from.x, to.y - from.y) };
+  });
+}
+
+/**
+ * @param {PlatformMotion} motion
+ * @returns {number} Distance travelled in one full cycle
+ */
+export function cycleLength(motion) {
+  if (motion.path === 'circular') return 2 * Math.PI * motion.radius;
+  return segmentsOf(motion).reduce((sum, s) => sum + s.length, 0);
+}
+
+/** Offset at a fraction [0, 1) of the way round the cycle */
+function offsetAtFraction(motion, fraction) {
+  if (motion.path === 'circular') {
+    const angle = fraction * 2 * Math.PI;
+    return { x: motion.radius * Math.cos(angle), y: motion.radius * Math.sin(angle) };
+  }
+
+  let distance = fraction * cycleLength(motion);
+  for (const { from, to, length } of segmentsOf(motion)) {
+    if (distance <= length) {
+      const t = length > 0 ? distance / length : 0;
+      return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+    }
+    distance -= length;
+  }
+  return { x: 0, y: 0 };
+}
+
+/**
+ * @param {PlatformMotion} motion
+ * @param {number} time - Seconds since the level started
+ * @returns {{x: number, y: number}} Offset from the platform's level position
+ */
+export function motionOffset(motion, time) {
+  const length = cycleLength(motion);
+  if (length <= 0) return { x: 0, y: 0 };
+  return offsetAtFraction(motion, wrap(motion.phase + (time * motion.speed) / length));
+}
+
+/**
+ * Positions covering the whole path: its corners plus evenly spaced points.
+ * @param {PlatformMotion} motion
+ * @returns {Array<{x: number, y: number}>} Offsets from the platform's level position
+ */
+export function motionSamples(motion) {
+  const even = Array.from({ length: SAMPLE_COUNT }, (_, i) => offsetAtFraction(motion, i / SAMPLE_COUNT));
+  return motion.path === 'circular' ? even : [...loopOf(motion), ...even];
+}
+
+/**
+ * Validates a motion from level data, clamping speed and range.
+ * @param {*} raw
+ * @returns {PlatformMotion|null} Null when the motion is malformed or goes nowhere
+ */
+export function sanitizeMotion(raw) {
+  if (!raw || typeof raw !== 'object' || !MOVING_PLATFORM.PATHS.includes(raw.path)) return null;
+
+  const offset = (value) => clamp(isNum(value) ? value : 0, -MOVING_PLATFORM.MAX_RANGE, MOVING_PLATFORM.MAX_RANGE);
+  let shape;
+  if (raw.path === 'linear') {
+    shape = { dx: offset(raw.dx), dy: offset(raw.dy) };
+  } else if (raw.path === 'circular') {
+    shape = { radius: Math.abs(offset(raw.radius)) };
+  } else {
+    const points = (Array.isArray(raw.points) ? raw.points : [])
+      .filter((p) => p && isNum(p.x) && isNum(p.y))
+      .slice(0, MOVING_PLATFORM.MAX_WAYPOINTS)
+      .map((p) => ({ x: offset(p.x), y: offset(p.y) }));
+    shape = { points };
+  }
+
+  const motion = {
+    path: raw.path,
+    speed: clamp(isNum(raw.speed) ? raw.speed : MOVING_PLATFORM.MIN_SPEED, MOVING_PLATFORM.MIN_SPEED, MOVING_PLATFORM.MAX_SPEED),
+    phase: isNum(raw.phase) ? wrap(raw.phase) : 0,
+    ...shape,
+  };
+  return cycleLength(motion) > 0 ? motion : null;
+}
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Power-up rules — what each power-up does to the player's form,
+ * and fireball flight. Fireballs are simulated against the level's platform boxes
+ * rather than as Rapier bodies: they only need to bounce along platform tops and
+ * fizzle against walls, and stepping them once per physics step keeps replays exact.
+ */
+
+import { PHYSICS, PLAYER, POWERUP, POWERUP_TYPES } from '../../utils/constants.js';
+
+/** @typedef {'small' | 'big' | 'fire'} PlayerForm */
+
+/**
+ * @typedef {Object} Fireball
+ * @property {number} id - Physics step it was thrown on (unique per attempt)
+ * @property {number} x
+ * @property {number} y
+ * @property {number} vx - Constant horizontal speed
+ * @property {number} vy
+ * @property {number} age - Seconds in flight
+ */
+
+/** Tolerance for "was above the platform top last step" */
+const EPSILON = 1e-3;
+
+/**
+ * @param {PlayerForm} form - Current form
+ * @param {string} type - Collected power-up type
+ * @returns {PlayerForm} Form after collecting it; a mushroom never takes the fire flower away
+ */
+export function formAfterPowerUp(form, type) {
+  const granted = POWERUP_TYPES[type]?.form;
+  if (granted === 'fire') return 'fire';
+  if (granted === 'big' && form === 'small') return 'big';
+  return form;
+}
+
+/**
+ * @param {{x: number, y: number}} position - Where the fireball leaves the player
+ * @param {number} direction - 1 for right, -1 for left
+ * @param {number} id
+ * @returns {Fireball}
+ */
+export function createFireball(position, direction, id) {
+  return { id, x: position.x, y: position.y, vx: direction * POWERUP.FIREBALL_SPEED, vy: 0, age: 0 };
+}
+
+/**
+ * Advances a fireball one step. It bounces off platform tops it falls onto and
+ * is destroyed by anything else it touches, by falling off the level or by age.
+ *
+ * @param {Fireball} ball
+ * @param {Array<{x: number, y: number, width: number, height: number}>} platforms
+ * @param {number} dt - Seconds
+ * @returns {Fireball|null} The moved fireball, or null once it is gone
+ */
+export function stepFireball(ball, platforms, dt) {
+  const age = ball.age + dt;
+  if (age > POWERUP.FIREBALL_LIFETIME) return null;
+
+  const r = POWERUP.FIREBALL_RADIUS;
+  const x = ball.x + ball.vx * dt;
+  let vy = Math.max(ball.vy + PHYSICS.GRAVITY * dt, PHYSICS.MAX_FALL_SPEED);
+  let y = ball.y + vy * dt;
+
+  for (const p of platforms) {
+    const top = p.y + p.height / 2;
+    const overlaps =
+      x + r > p.x - p.width / 2 &&
+      x - r < p.x + p.width / 2 &&
+      y - r < top &&
+      y + r > p.y - p.height / 2;
+    if (!overlaps) continue;
+    if (vy > 0 || ball.y - r < top - EPSILON) return null;
+    y = top + r;
+    vy = POWERUP.FIREBALL_BOUNCE;
+  }
+
+  if (y < PLAYER.RESPAWN_HEIGHT) return null;
+  return { ...ball, x, y, vy, age };
+}
+
+/**
+ * @param {Fireball} ball
+ * @param {number} x - Enemy center
+ * @param {number} y
+ * @param {{width: number, height: number}} size - Enemy box
+ * @returns {boolean} Whether the fireball touches the enemy
+ */
+export function fireballHits(ball, x, y, size) {
+  const r = POWERUP.FIREBALL_RADIUS;
+  return Math.abs(ball.x - x) < size.width / 2 + r && Math.abs(ball.y - y) < size.height / 2 + r;
+}
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Ghost runs — the player's fastest completion of a level, replayed
+ * as a translucent runner on later attempts.
+ * Ghosts are keyed by a hash of the level's layout, so a level regenerated by the
+ * AI (same level number, different layout) never shows a ghost from another level.
+ * The best ghost per level lives in localStorage; ghosts also export as JSON to share.
+ * SECURITY: Imported ghosts are validated — the file is user-supplied.
+ */
+
+import { GHOST } from '../../utils/constants.js';
+
+/**
+ * @typedef {Object} Ghost
+ * @property {number} version - Format version (GHOST.VERSION when recorded)
+ * @property {string} levelHash - hashLevel() of the level it was recorded on
+ * @property {number} levelNumber
+ * @property {number} time - Completion time in seconds
+ * @property {number} recordedAt - Unix ms timestamp
+ * @property {number[]} positions - Flattened [x, y] pairs, one every GHOST.SAMPLE_STEPS physics steps
+ */
+
+/** localStorage, or null when unavailable (private mode, Node) */
+function defaultStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+function isNum(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/** Rounds away float noise so equal layouts always hash the same */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Hashes a level's layout (platforms and their motion, enemies, coin and power-up
+ * positions, blocks, spawn and goal) with 32-bit FNV-1a. Collected items and the
+ * generator seed are ignored. Levels without power-ups, blocks or moving platforms
+ * hash as they did before those existed, so older ghosts still match.
+ *
+ * @param {Object} levelData
+ * @returns {string} 8 hex digits
+ */
+export function hashLevel(levelData) {
+  const point = (p) => [round(p.x), round(p.y)];
+  const layout = JSON.stringify([
+    levelData.platforms.map((p) => [
+      ...point(p),
+      round(p.width),
+      round(p.height),
+      p.type,
+      ...(p.motion ? [JSON.stringify(p.motion)] : []),
+    ]),
+    levelData.enemies.map((e) => [...point(e), e.type, e.behavior]),
+    levelData.coins.map(point),
+    point(levelData.spawnPoint),
+    point(levelData.goalPosition),
+    ...(levelData.powerUps?.length ? [levelData.powerUps.map((u) => [...point(u), u.type])] : []),
+    ...(levelData.blocks?.length ? [levelData.blocks.map((b) => [...point(b), b.type, b.contents ?? ''])] : []),
+  ]);
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < layout.length; i++) {
+    hash ^= layout.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * @param {Object} levelData - The level the run completed
+ * @param {number} levelNumber
+ * @param {number} time - Completion time in seconds
+ * @param {number[]} positions - Flattened [x, y] samples from the run's recording
+ * @returns {Ghost}
+ */
+export function createGhost(levelData, levelNumber, time, positions) {
+  return {
+    version: GHOST.VERSION,
+    levelHash: hashLevel(levelData),
+    levelNumber,
+    time,
+    recordedAt: Date.now(),
+    positions: positions.map(round),
+  };
+}
+
+/**
+ * Where the ghost was at a physics step, interpolated between samples.
+ * The ghost waits at its last position once its run is over.
+ *
+ * @param {Ghost} ghost
+ * @param {number} step - Physics steps since level start
+ * @returns {{x: number, y: number}|null} Null when the ghost has no samples
+ */
+export function ghostPositionAt(ghost, step) {
+  const count = ghost.positions.length / 2;
+  if (count === 0) return null;
+
+  const t = Math.min(step / GHOST.SAMPLE_STEPS, count - 1);
+  const i = Math.floor(t);
+  const j = Math.min(i + 1, count - 1);
+  const f = t - i;
+  const p = ghost.positions;
+  return {
+    x: p[i * 2] + (p[j * 2] - p[i * 2]) * f,
+    y: p[i * 2 + 1] + (p[j * 2 + 1] - p[i * 2 + 1]) * f,
+  };
+}
+
+/**
+ * Checks an untrusted ghost (storage or file).
+ * @param {*} raw
+ * @returns {Ghost|null}
+ */
+function parseGhost(raw) {
+  if (!raw || typeof raw !== 'object' || raw.version !== GHOST.VERSION) return null;
+  if (typeof raw.levelHash !== 'string' || !/^[0-9a-f]{8}$/.test(raw.levelHash)) return null;
+  if (!isNum(raw.time) || raw.time <= 0) return null;
+
+  const { positions } = raw;
+  if (!Array.isArray(positions) || positions.length % 2 !== 0) return null;
+  if (positions.length > GHOST.MAX_SAMPLES * 2 || !positions.every(isNum)) return null;
+
+  return {
+    version: raw.version,
+    levelHash: raw.levelHash,
+    levelNumber: isNum(raw.levelNumber) ? Math.max(1, Math.floor(raw.levelNumber)) : 1,
+    time: raw.time,
+    recordedAt: isNum(raw.recordedAt) ? raw.recordedAt : 0,
+    positions,
+  };
+}
+
+/**
+ * Reads the best ghost for a level.
+ * @param {string} levelHash
+ * @param {Storage|null} [storage]
+ * @returns {Ghost|null}
+ */
+export function readBestGhost(levelHash, storage = defaultStorage()) {
+  if (!storage) return null;
+  try {
+    const text = storage.getItem(`${GHOST.KEY_PREFIX}${levelHash}`);
+    const ghost = text ? parseGhost(JSON.parse(text)) : null;
+    return ghost?.levelHash === levelHash ? ghost : null;
+  } catch (error) {
+    console.warn('Could not read ghost:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Stores a ghost if it beats the level's current best.
+ * @param {Ghost} ghost
+ * @param {Storage|null} [storage]
+ * @returns {boolean} Whether it is the new best
+ */
+export function saveGhostIfFaster(ghost, storage = defaultStorage()) {
+  if (!storage || ghost.positions.length === 0) return false;
+  const best = readBestGhost(ghost.levelHash, storage);
+  if (best && best.time <= ghost.time) return false;
+
+  try {
+    storage.setItem(`${GHOST.KEY_PREFIX}${ghost.levelHash}`, JSON.stringify(ghost));
+    return true;
+  } catch (error) {
+    // Quota exceeded or storage disabled — the run just isn't remembered
+    console.warn('Could not save ghost:', error.message);
+    return false;
+  }
+}
+
+/**
+ * @param {Ghost} ghost
+ * @returns {string} JSON text
+ */
+export function exportGhost(ghost) {
+  return JSON.stringify(ghost);
+}
+
+/**
+ * Parses a shared ghost file.
+ * @param {string} text
+ * @returns {Ghost}
+ * @throws {Error} When the file isn't a usable ghost
+ */
+export function importGhost(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error('Ghost file is not valid JSON');
+  }
+  const ghost = parseGhost(raw);
+  if (!ghost) throw new Error('Ghost file is invalid or from an unsupported version');
+  return ghost;
+}
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Deterministic input recording and replay.
+ * Player input is sampled once per fixed physics step (PHYSICS.TIME_STEP) as a
+ * bitmask, so a recording plus the level it was made on reproduces the player's
+ * movement step for step. Recordings export as JSON with run-length encoded input.
+ * SECURITY: Imported recordings are re-validated like saves — the file is user-supplied.
+ */
+
+import { validateLevelData } from '../ai/levelValidator.js';
+import { REPLAY, GHOST, PHYSICS, PLAYER, LEVEL } from '../../utils/constants.js';
+
+/** Bits of a recorded input frame */
+export const INPUT = {
+  LEFT: 1,
+  RIGHT: 2,
+  JUMP: 4,
+  FIRE: 8,
+};
+
+const ALL_INPUT_BITS = INPUT.LEFT | INPUT.RIGHT | INPUT.JUMP | INPUT.FIRE;
+
+/**
+ * @typedef {Object} InputState
+ * @property {boolean} left
+ * @property {boolean} right
+ * @property {boolean} jump
+ * @property {boolean} fire
+ */
+
+/**
+ * @typedef {Object} Recording
+ * @property {number} version - Format version (REPLAY.VERSION when recorded)
+ * @property {number} timeStep - Seconds per frame (PHYSICS.TIME_STEP)
+ * @property {number} recordedAt - Unix ms timestamp
+ * @property {number} levelNumber
+ * @property {number} difficulty
+ * @property {number|null} seed - Generator seed for offline levels
+ * @property {{health: number, coins: number, score: number, form: string}} player - Stats at level start
+ * @property {Object} levelData - The level as it was at the start, coins and power-ups uncollected
+ * @property {number[]} frames - One input bitmask per physics step
+ * @property {number[]} positions - Player [x, y] every GHOST.SAMPLE_STEPS steps, for ghosts (not exported)
+ */
+
+function isNum(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * @param {InputState} input
+ * @returns {number} Input bitmask
+ */
+export function encodeInput({ left, right, jump, fire }) {
+  return (left ? INPUT.LEFT : 0) | (right ? INPUT.RIGHT : 0) | (jump ? INPUT.JUMP : 0) | (fire ? INPUT.FIRE : 0);
+}
+
+/**
+ * @param {number} mask - Input bitmask
+ * @returns {InputState}
+ */
+export function decodeInput(mask) {
+  return {
+    left: (mask & INPUT.LEFT) !== 0,
+    right: (mask & INPUT.RIGHT) !== 0,
+    jump: (mask & INPUT.JUMP) !== 0,
+    fire: (mask & INPUT.FIRE) !== 0,
+  };
+}
+
+/**
+ * Starts an empty recording of the current level from store state.
+ * @param {Object} state - useGameStore state at level start
+ * @returns {Recording}
+ */
+export function createRecording(state) {
+  const { levelData } = state;
+  return {
+    version: REPLAY.VERSION,
+    timeStep: PHYSICS.TIME_STEP,
+    recordedAt: Date.now(),
+    levelNumber: state.levelNumber,
+    difficulty: state.difficulty,
+    seed: Number.isInteger(levelData.seed) ? levelData.seed : null,
+    player: { ...state.levelStartStats },
+    levelData: {
+      ...levelData,
+      coins: levelData.coins.map((c) => ({ ...c, collected: false })),
+      powerUps: (levelData.powerUps ?? []).map((u) => ({ ...u, collected: false })),
+    },
+    frames: [],
+    positions: [],
+  };
+}
+
+/**
+ * Appends one physics step of input, and the player's position every
+ * GHOST.SAMPLE_STEPS steps. Mutates in place — this runs every step, and copying
+ * the arrays each time would allocate 60 arrays a second.
+ * Steps beyond REPLAY.MAX_FRAMES are dropped.
+ * @param {Recording} recording
+ * @param {number} mask - Input bitmask
+ * @param {{x: number, y: number}} position - Player position before the step
+ */
+export function recordFrame(recording, mask, position) {
+  if (recording.frames.length >= REPLAY.MAX_FRAMES) return;
+  if (recording.frames.length % GHOST.SAMPLE_STEPS === 0) recording.positions.push(position.x, position.y);
+  recording.frames.push(mask);
+}
+
+/**
+ * Input for a physics step; no input once the recording runs out.
+ * @param {Recording} recording
+ * @param {number} step - Zero-based physics step since level start
+ * @returns {number} Input bitmask
+ */
+export function frameAt(recording, step) {
+  return recording.frames[step] ?? 0;
+}
+
+/**
+ * Serializes a recording. Frames are stored as [mask, count] runs — held keys
+ * repeat for hundreds of steps, so this keeps files small.
+ * @param {Recording} recording
+ * @returns {string} JSON text
+ */
+export function exportRecording(recording) {
+  const { frames, positions: _positions, ...meta } = recording;
+  const input = [];
+  for (const mask of frames) {
+    const last = input[input.length - 1];
+    if (last && last[0] === mask) last[1]++;
+    else input.push([mask, 1]);
+  }
+  return JSON.stringify({ ...meta, input });
+}
+
+/**
+ * Parses and validates an exported recording.
+ * @param {string} text - JSON text from exportRecording
+ * @returns {Recording}
+ * @throws {Error} Describing why the file can't be replayed
+ */
+export function importRecording(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error('Replay file is not valid JSON');
+  }
+
+  if (!raw || typeof raw !== 'object') throw new Error('Replay file is empty');
+  if (raw.version !== REPLAY.VERSION) throw new Error(`Unsupported replay version: ${raw.version}`);
+  if (raw.timeStep !== PHYSICS.TIME_STEP) throw new Error('Replay was recorded with a different physics timestep');
+  if (!isNum(raw.levelNumber) || raw.levelNumber < 1) throw new Error('Replay has an invalid level number');
+
+  const { player } = raw;
+  if (!player || !isNum(player.health) || !isNum(player.coins) || !isNum(player.score)) {
+    throw new Error('Replay has invalid player stats');
+  }
+
+  if (!Array.isArray(raw.input)) throw new Error('Replay has no input');
+  const frames = [];
+  for (const run of raw.input) {
+    const [mask, count] = Array.isArray(run) ? run : [];
+    if (!Number.isInteger(mask) || (mask & ~ALL_INPUT_BITS) !== 0 || !Number.isInteger(count) || count < 1) {
+      throw new Error('Replay input is malformed');
+    }
+    if (frames.length + count > REPLAY.MAX_FRAMES) throw new Error('Replay is too long');
+    for (let i = 0; i < count; i++) frames.push(mask);
+  }
+
+  // Sanitize only, as with saves: hand-made levels fail the reachability check
+  const validation = validateLevelData(raw.levelData, { requireReachable: false });
+  if (!validation.valid) throw new Error(`Replay level is invalid: ${validation.errors.join('; ')}`);
+
+  const seed = Number.isInteger(raw.seed) ? raw.seed : null;
+  return {
+    version: raw.version,
+    timeStep: raw.timeStep,
+    recordedAt: isNum(raw.recordedAt) ? raw.recordedAt : 0,
+    levelNumber: Math.floor(raw.levelNumber),
+    difficulty: Math.min(LEVEL.MAX_DIFFICULTY, Math.max(LEVEL.MIN_DIFFICULTY, isNum(raw.difficulty) ? raw.difficulty : 1)),
+    seed,
+    player: {
+      health: Math.min(PLAYER.MAX_HEALTH, Math.max(1, Math.floor(player.health))),
+      coins: Math.max(0, Math.floor(player.coins)),
+      score: Math.max(0, Math.floor(player.score)),
+      form: PLAYER.FORMS.includes(player.form) ? player.form : 'small',
+    },
+    levelData: validation.data,
+    frames,
+    positions: [],
+  };
+}
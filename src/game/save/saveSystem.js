@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Save game persistence.
+ * Stores level-start checkpoints in localStorage, one key per slot, under a
+ * versioned schema. Older saves are migrated step by step on load; saves that
+ * are corrupt or from a newer build are ignored rather than crashing the menu.
+ * SECURITY: Saved levels are re-validated on load — localStorage is user-editable.
+ */
+
+import { validateLevelData } from '../ai/levelValidator.js';
+import { SAVE, PLAYER, LEVEL } from '../../utils/constants.js';
+
+/**
+ * @typedef {Object} SaveData
+ * @property {number} version - Schema version (SAVE.VERSION when written)
+ * @property {number} slot - Slot number (1-based)
+ * @property {number} savedAt - Unix ms timestamp
+ * @property {number} levelNumber
+ * @property {number} difficulty
+ * @property {{health: number, coins: number, score: number, form: string}} player - Stats at level start
+ * @property {number} deaths
+ * @property {number[]} completionTimes - Seconds per completed level
+ * @property {Object} levelData - The level being played, coins and power-ups uncollected
+ */
+
+/**
+ * @typedef {Object} SaveSummary
+ * @property {number} slot
+ * @property {boolean} empty
+ * @property {number} [savedAt]
+ * @property {number} [levelNumber]
+ * @property {number} [score]
+ */
+
+/**
+ * Upgrades from version N to N+1, keyed by N. When the schema changes, bump
+ * SAVE.VERSION and add a step here instead of breaking existing saves.
+ * @type {Object<number, (save: Object) => Object>}
+ */
+const MIGRATIONS = {};
+
+/** localStorage, or null when unavailable (private mode, Node) */
+function defaultStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+function slotKey(slot) {
+  return `${SAVE.KEY_PREFIX}${slot}`;
+}
+
+function isNum(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Builds a save from store state. Saves are level-start checkpoints: the player's
+ * stats from when the level began and the level with every coin and power-up back in place.
+ *
+ * @param {Object} state - useGameStore state
+ * @param {number} slot - Target slot
+ * @returns {SaveData}
+ */
+export function serializeGame(state, slot) {
+  return {
+    version: SAVE.VERSION,
+    slot,
+    savedAt: Date.now(),
+    levelNumber: state.levelNumber,
+    difficulty: state.difficulty,
+    player: { ...state.levelStartStats },
+    deaths: state.deaths,
+    completionTimes: [...state.completionTimes],
+    levelData: {
+      ...state.levelData,
+      coins: state.levelData.coins.map((c) => ({ ...c, collected: false })),
+      powerUps: (state.levelData.powerUps ?? []).map((u) => ({ ...u, collected: false })),
+    },
+  };
+}
+
+/**
+ * Brings a parsed save up to SAVE.VERSION and checks it is usable.
+ *
+ * @param {*} raw - Parsed JSON from storage
+ * @returns {SaveData|null} Migrated save, or null if it is corrupt or too new
+ */
+export function migrateSave(raw) {
+  if (!raw || typeof raw !== 'object' || !Number.isInteger(raw.version)) return null;
+  if (raw.version > SAVE.VERSION) return null;
+
+  let save = raw;
+  while (save.version < SAVE.VERSION) {
+    const step = MIGRATIONS[save.version];
+    if (!step) return null;
+    save = { ...step(save), version: save.version + 1 };
+  }
+
+  const { player } = save;
+  if (!isNum(save.levelNumber) || save.levelNumber < 1) return null;
+  if (!player || !isNum(player.health) || !isNum(player.coins) || !isNum(player.score)) return null;
+
+  // Only sanitize: the level was accepted when it was generated, and re-running the
+  // reachability check would reject hand-made levels such as the default first level
+  const validation = validateLevelData(save.levelData, { requireReachable: false });
+  if (!validation.valid) return null;
+
+  return {
+    ...save,
+    levelNumber: Math.floor(save.levelNumber),
+    difficulty: Math.min(LEVEL.MAX_DIFFICULTY, Math.max(LEVEL.MIN_DIFFICULTY, isNum(save.difficulty) ? save.difficulty : 1)),
+    player: {
+      health: Math.min(PLAYER.MAX_HEALTH, Math.max(1, Math.floor(player.health))),
+      coins: Math.max(0, Math.floor(player.coins)),
+      score: Math.max(0, Math.floor(player.score)),
+      // Saves from before power-ups have no form
+      form: PLAYER.FORMS.includes(player.form) ? player.form : 'small',
+    },
+    deaths: isNum(save.deaths) ? Math.max(0, Math.floor(save.deaths)) : 0,
+    completionTimes: Array.isArray(save.completionTimes) ? save.completionTimes.filter(isNum) : [],
+    levelData: validation.data,
+  };
+}
+
+/**
+ * Reads and migrates the save in a slot.
+ * @param {number} slot
+ * @param {Storage|null} [storage]
+ * @returns {SaveData|null}
+ */
+export function readSave(slot, storage = defaultStorage()) {
+  if (!storage) return null;
+  try {
+    const text = storage.getItem(slotKey(slot));
+    return text ? migrateSave(JSON.parse(text)) : null;
+  } catch (error) {
+    console.warn(`Could not read save slot ${slot}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Writes the current game to a slot.
+ * @param {number} slot
+ * @param {Object} state - useGameStore state
+ * @param {Storage|null} [storage]
+ * @returns {boolean} Whether the save was written
+ */
+export function writeSave(slot, state, storage = defaultStorage()) {
+  if (!storage) return false;
+  try {
+    storage.setItem(slotKey(slot), JSON.stringify(serializeGame(state, slot)));
+    return true;
+  } catch (error) {
+    // Quota exceeded or storage disabled — the game keeps running unsaved
+    console.warn(`Could not write save slot ${slot}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Removes the save in a slot.
+ * @param {number} slot
+ * @param {Storage|null} [storage]
+ */
+export function deleteSave(slot, storage = defaultStorage()) {
+  if (!storage) return;
+  try {
+    storage.removeItem(slotKey(slot));
+  } catch (error) {
+    console.warn(`Could not delete save slot ${slot}:`, error.message);
+  }
+}
+
+/**
+ * Summarizes every slot for the main menu.
+ * @param {Storage|null} [storage]
+ * @returns {SaveSummary[]}
+ */
+export function listSaves(storage = defaultStorage()) {
+  return Array.from({ length: SAVE.SLOTS }, (_, i) => {
+    const slot = i + 1;
+    const save = readSave(slot, storage);
+    return save
+      ? { slot, empty: false, savedAt: save.savedAt, levelNumber: save.levelNumber, score: save.player.score }
+      : { slot, empty: true };
+  });
+}
+
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Hittable blocks — '?' blocks and breakable bricks.
+ * Each block is a fixed collider named `block-<index>`; Player detects head
+ * bumps on it and the store decides what happens (blockSystem.js).
+ * Used '?' blocks turn into plain brown blocks; broken bricks lose their
+ * collider and burst into falling shards.
+ */
+import { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { RigidBody, CuboidCollider } from '@react-three/rapier';
+import useGameStore from '../../stores/gameStore';
+import { BLOCK, PHYSICS } from '../../utils/constants';
+
+/** Shard launch velocities [vx, vy] for a breaking brick */
+const SHARD_VELOCITIES = [
+  [-2, 7],
+  [2, 7],
+  [-1.5, 4],
+  [1.5, 4],
+];
+const SHARD_SIZE = BLOCK.SIZE * 0.4;
+
+/** Seconds until shards are hidden */
+const SHARD_LIFETIME = 1.2;
+
+/**
+ * Four brick shards thrown up and out, falling under gravity.
+ */
+function BrickShards({ x, y }) {
+  const groupRef = useRef(null);
+  const age = useRef(0);
+
+  useFrame((_, delta) => {
+    const group = groupRef.current;
+    if (!group || !group.visible) return;
+    age.current += Math.min(delta, 0.05);
+    const t = age.current;
+    group.children.forEach((shard, i) => {
+      const [vx, vy] = SHARD_VELOCITIES[i];
+      shard.position.set(vx * t, vy * t + 0.5 * PHYSICS.GRAVITY * t * t, 0);
+      shard.rotation.z = vx * t * 2;
+    });
+    if (t > SHARD_LIFETIME) group.visible = false;
+  });
+
+  return (
+    <group ref={groupRef} position={[x, y, 0]}>
+      {SHARD_VELOCITIES.map((_, i) => (
+        <mesh key={i} castShadow>
+          <boxGeometry args={[SHARD_SIZE, SHARD_SIZE, SHARD_SIZE]} />
+          <meshStandardMaterial color={BLOCK.COLORS.brick} />
+        </mesh>
+      ))}
+    </group>
+  );
+}
+
+/** Rivets on the front face of a '?' block */
+const RIVET_OFFSETS = [
+  [-0.35, 0.35],
+  [0.35, 0.35],
+  [-0.35, -0.35],
+  [0.35, -0.35],
+];
+
+/**
+ * A single block with its collider.
+ */
+function Block({ data, index }) {
+  const status = useGameStore((s) => s.blockStates[index]?.status ?? 'ready');
+
+  if (status === 'broken') return <BrickShards x={data.x} y={data.y} />;
+
+  const isReadyQuestion = data.type === 'question' && status === 'ready';
+  const color = status === 'used' ? BLOCK.COLORS.used : BLOCK.COLORS[data.type];
+
+  return (
+    <RigidBody type="fixed" position={[data.x, data.y, 0]} colliders={false} name={`block-${index}`}>
+      <CuboidCollider args={[BLOCK.SIZE / 2, BLOCK.SIZE / 2, BLOCK.SIZE / 2]} friction={1} restitution={0} />
+      <mesh castShadow receiveShadow>
+        <boxGeometry args={[BLOCK.SIZE, BLOCK.SIZE, BLOCK.SIZE]} />
+        <meshStandardMaterial
+          color={color}
+          emissive={isReadyQuestion ? color : '#000000'}
+          emissiveIntensity={isReadyQuestion ? 0.25 : 0}
+        />
+      </mesh>
+      {isReadyQuestion && (
+        <>
+          {RIVET_OFFSETS.map(([rx, ry]) => (
+            <mesh key={`${rx},${ry}`} position={[rx, ry, BLOCK.SIZE / 2 + 0.01]}>
+              <boxGeometry args={[0.08, 0.08, 0.02]} />
+              <meshStandardMaterial color="#5D4037" />
+            </mesh>
+          ))}
+          {/* '?' mark: hook and dot */}
+          <mesh position={[0, 0.12, BLOCK.SIZE / 2 + 0.01]}>
+            <torusGeometry args={[0.16, 0.05, 6, 12, Math.PI * 1.5]} />
+            <meshStandardMaterial color="#FFFFFF" />
+          </mesh>
+          <mesh position={[0, -0.25, BLOCK.SIZE / 2 + 0.01]}>
+            <boxGeometry args={[0.1, 0.1, 0.02]} />
+            <meshStandardMaterial color="#FFFFFF" />
+          </mesh>
+        </>
+      )}
+      {data.type === 'brick' && (
+        // Mortar line across the middle of the brick
+        <mesh position={[0, 0, BLOCK.SIZE / 2 + 0.01]}>
+          <boxGeometry args={[BLOCK.SIZE, 0.05, 0.02]} />
+          <meshStandardMaterial color="#4E342E" />
+        </mesh>
+      )}
+    </RigidBody>
+  );
+}
+
+/**
+ * Renders every block in the level.
+ */
+export default function Blocks() {
+  const blocks = useGameStore((s) => s.levelData.blocks);
+
+  return (
+    <>
+      {(blocks ?? []).map((block, i) => (
+        <Block key={`block-${i}`} data={block} index={i} />
+      ))}
+    </>
+  );
+}
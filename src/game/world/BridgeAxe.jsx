@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Bridge axe — the goal of a castle boss level. Reaching it cuts
+ * the boss's bridge (store cutBridge); the level completes once the boss has
+ * fallen and its defeat has played (see entities/Boss.jsx).
+ */
+import { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import useGameStore from '../../stores/gameStore';
+import { GOAL, PLAYER } from '../../utils/constants';
+
+/**
+ * Axe standing past the right end of the boss bridge, in place of the goal flag.
+ * Only a player clear of the bridge can reach it, so cutting it never drops them too.
+ */
+export default function BridgeAxe() {
+  const goalPos = useGameStore((s) => s.levelData.goalPosition);
+  const bridge = useGameStore((s) => s.levelData.platforms[s.levelData.boss?.bridge]);
+  const playerPos = useGameStore((s) => s.player.position);
+  const phase = useGameStore((s) => s.phase);
+  const bridgeCollapsed = useGameStore((s) => s.bridgeCollapsed);
+  const cutBridge = useGameStore((s) => s.cutBridge);
+  const axeRef = useRef(null);
+
+  useFrame(({ clock }) => {
+    if (phase !== 'playing' || !bridge) return;
+
+    if (axeRef.current) {
+      // Glints until it is cut, then lies flat
+      axeRef.current.rotation.z = bridgeCollapsed ? Math.PI / 2 : Math.sin(clock.getElapsedTime() * 2) * 0.1;
+    }
+    if (bridgeCollapsed) return;
+
+    const dx = playerPos[0] - goalPos.x;
+    const dy = playerPos[1] - goalPos.y;
+    const clearOfBridge = playerPos[0] - PLAYER.WIDTH / 2 > bridge.x + bridge.width / 2;
+    if (clearOfBridge && Math.sqrt(dx * dx + dy * dy) < GOAL.REACH_DISTANCE) {
+      cutBridge();
+    }
+  });
+
+  return (
+    <group position={[goalPos.x, goalPos.y, goalPos.z]}>
+      <group ref={axeRef} position={[0, 0.1, 0]}>
+        {/* Handle */}
+        <mesh position={[0, 0.7, 0]} castShadow>
+          <cylinderGeometry args={[0.06, 0.06, 1.4, 8]} />
+          <meshStandardMaterial color="#6D4C41" />
+        </mesh>
+        {/* Blade */}
+        <mesh position={[0.25, 1.25, 0]} castShadow>
+          <boxGeometry args={[0.5, 0.45, 0.08]} />
+          <meshStandardMaterial color="#B0BEC5" metalness={0.8} roughness={0.3} emissive="#FFD54F" emissiveIntensity={0.2} />
+        </mesh>
+      </group>
+    </group>
+  );
+}
@@ -4,6 +4,7 @@
 import { useRef } from 'react';
 import { useFrame } from '@react-three/fiber';
 import useGameStore from '../../stores/gameStore';
+import { GOAL } from '../../utils/constants';
 
 /**
  * Animated goal flag at the end of each level.
@@ -13,7 +14,7 @@ export default function GoalFlag() {
   const goalPos = useGameStore((s) => s.levelData.goalPosition);
   const playerPos = useGameStore((s) => s.player.position);
   const phase = useGameStore((s) => s.phase);
-  const setPhase = useGameStore((s) => s.setPhase);
+  const completeLevel = useGameStore((s) => s.completeLevel);
   const flagRef = useRef(null);
 
   useFrame(({ clock }) => {
@@ -29,8 +30,8 @@ export default function GoalFlag() {
     const dy = playerPos[1] - goalPos.y;
     const dist = Math.sqrt(dx * dx + dy * dy);
 
-    if (dist < 2.0) {
-      setPhase('victory');
+    if (dist < GOAL.REACH_DISTANCE) {
+      completeLevel();
     }
   });
 
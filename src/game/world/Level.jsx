@@ -7,12 +7,20 @@ import { Suspense } from 'react';
 import { Physics } from '@react-three/rapier';
 import Platforms from './Platforms';
 import Coins from './Coins';
+import PowerUps from './PowerUps';
+import Blocks from './Blocks';
 import Sky from './Sky';
 import GoalFlag from './GoalFlag';
+import BridgeAxe from './BridgeAxe';
 import Player from '../entities/Player';
 import Enemies from '../entities/Enemy';
+import Boss from '../entities/Boss';
+import NPCs from '../entities/NPC';
+import Ghost from '../entities/Ghost';
+import Fireballs from '../entities/Fireballs';
 import CameraRig from '../engine/CameraRig';
 import useGameStore from '../../stores/gameStore';
+import { PHYSICS } from '../../utils/constants';
 
 /**
  * Complete level component — all world elements within stable physics.
@@ -23,24 +31,33 @@ import useGameStore from '../../stores/gameStore';
  */
 export default function Level() {
   const phase = useGameStore((s) => s.phase);
+  const isTalking = useGameStore((s) => s.activeDialog !== null);
+  const hasBoss = useGameStore((s) => Boolean(s.levelData.boss));
 
   if (phase === 'menu') return null;
 
   return (
     <Suspense fallback={null}>
       <Physics
-        gravity={[0, -25, 0]}
-        timeStep={1 / 60}
+        gravity={[0, PHYSICS.GRAVITY, 0]}
+        timeStep={PHYSICS.TIME_STEP}
+        paused={isTalking || phase === 'paused'}
         interpolate
         colliders={false}
       >
         <Sky />
         <CameraRig />
         <Player />
+        <Ghost />
         <Platforms />
+        <Blocks />
         <Coins />
+        <PowerUps />
         <Enemies />
-        <GoalFlag />
+        <Boss />
+        <Fireballs />
+        <NPCs />
+        {hasBoss ? <BridgeAxe /> : <GoalFlag />}
       </Physics>
     </Suspense>
   );
@@ -1,31 +1,222 @@
 /**
  * @fileoverview Platform rendering — STABLE version.
  * InstancedMesh for visuals, fixed RigidBody colliders with proper friction/restitution.
- * Colliders set to zero restitution to prevent bouncing.
+ * Colliders set to zero restitution to prevent bouncing; friction comes from the
+ * platform type (PLATFORM_SURFACES). Crumbling, moving and boss bridge platforms
+ * move, so they are their own kinematic bodies and meshes instead of instances.
  */
-import { useRef, useMemo, useEffect } from 'react';
-import { RigidBody, CuboidCollider } from '@react-three/rapier';
+import { useRef, useMemo, useEffect, useCallback } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { RigidBody, CuboidCollider, CoefficientCombineRule, useBeforePhysicsStep } from '@react-three/rapier';
 import { Object3D, Color } from 'three';
 import useGameStore from '../../stores/gameStore';
-import { PLATFORM_COLORS } from '../../utils/constants';
+import { motionOffset } from '../platforms/platformMotion';
+import { PHYSICS, PLATFORM, PLATFORM_COLORS, PLATFORM_SURFACES, PLAYER } from '../../utils/constants';
 
 const tempObject = new Object3D();
 const tempColor = new Color();
 
+/**
+ * @param {{type: string}} platform
+ * @returns {Object} Surface behavior, grass for unknown types
+ */
+function surfaceOf(platform) {
+  return PLATFORM_SURFACES[platform.type] ?? PLATFORM_SURFACES.grass;
+}
+
+/**
+ * Collider friction props. Rapier averages the two colliders' friction by default,
+ * which would let the player's own friction grip the ice — slippery surfaces use
+ * the lower of the two instead.
+ * @param {{type: string}} platform
+ * @returns {{friction: number, frictionCombineRule: number}}
+ */
+function frictionProps(platform) {
+  const { friction } = surfaceOf(platform);
+  const slippery = friction < PLATFORM_SURFACES.grass.friction;
+  return {
+    friction,
+    frictionCombineRule: slippery ? CoefficientCombineRule.Min : CoefficientCombineRule.Average,
+  };
+}
+
+/**
+ * Moves a falling platform body down one physics step, stopping below the level.
+ * @param {Object} body - Kinematic RigidBody
+ * @param {{x: number, z: number}} data - Platform
+ * @param {{current: number}} fallSpeed - Fall speed ref, updated in place
+ */
+function fallStep(body, data, fallSpeed) {
+  const y = body.translation().y;
+  if (y < PLAYER.RESPAWN_HEIGHT) return;
+  fallSpeed.current = Math.max(fallSpeed.current + PHYSICS.GRAVITY * PHYSICS.TIME_STEP, PHYSICS.MAX_FALL_SPEED);
+  body.setNextKinematicTranslation({ x: data.x, y: y + fallSpeed.current * PHYSICS.TIME_STEP, z: data.z });
+}
+
+/**
+ * Platform that shakes once the player touches it, falls after
+ * PLATFORM.CRUMBLE_DELAY_STEPS and is back in place after PLATFORM.CRUMBLE_RESPAWN_STEPS.
+ * Counted in physics steps while the level is being played, so a replay crumbles
+ * on the same frames.
+ */
+function CrumblingPlatform({ data, index }) {
+  const bodyRef = useRef(null);
+  const meshRef = useRef(null);
+  /** 'solid' → 'shaking' (touched) → 'falling' → 'solid' */
+  const status = useRef('solid');
+  const steps = useRef(0);
+  const fallSpeed = useRef(0);
+
+  const onCollisionEnter = useCallback((event) => {
+    if (status.current !== 'solid' || event.other.rigidBodyObject?.name !== 'player') return;
+    status.current = 'shaking';
+    steps.current = 0;
+  }, []);
+
+  useBeforePhysicsStep(() => {
+    const body = bodyRef.current;
+    const state = useGameStore.getState();
+    if (!body || status.current === 'solid' || state.phase !== 'playing' || state.activeDialog) return;
+    steps.current++;
+
+    if (status.current === 'shaking') {
+      if (steps.current < PLATFORM.CRUMBLE_DELAY_STEPS) return;
+      status.current = 'falling';
+      steps.current = 0;
+      fallSpeed.current = 0;
+      useGameStore.getState().setPlatformFallen(index, true);
+    }
+
+    if (steps.current >= PLATFORM.CRUMBLE_RESPAWN_STEPS) {
+      status.current = 'solid';
+      useGameStore.getState().setPlatformFallen(index, false);
+      // Teleport rather than a kinematic move, which would sweep through the player
+      body.setTranslation({ x: data.x, y: data.y, z: data.z }, true);
+      return;
+    }
+
+    fallStep(body, data, fallSpeed);
+  });
+
+  useFrame(({ clock }) => {
+    if (!meshRef.current) return;
+    const shaking = status.current === 'shaking';
+    meshRef.current.position.x = shaking ? Math.sin(clock.getElapsedTime() * 60) * PLATFORM.CRUMBLE_SHAKE : 0;
+  });
+
+  return (
+    <RigidBody
+      ref={bodyRef}
+      type="kinematicPosition"
+      position={[data.x, data.y, data.z]}
+      colliders={false}
+      name={`platform-${index}`}
+      onCollisionEnter={onCollisionEnter}
+    >
+      <CuboidCollider
+        args={[data.width / 2, data.height / 2, data.depth / 2]}
+        {...frictionProps(data)}
+        restitution={0}
+      />
+      <mesh ref={meshRef} castShadow receiveShadow>
+        <boxGeometry args={[data.width, data.height, data.depth]} />
+        <meshStandardMaterial color={PLATFORM_COLORS.crumbling} />
+      </mesh>
+    </RigidBody>
+  );
+}
+
+/**
+ * The castle boss's bridge: solid until the player cuts the bridge axe
+ * (store bridgeCollapsed), then it falls away with the boss on it.
+ */
+function BridgePlatform({ data, index }) {
+  const bodyRef = useRef(null);
+  const fallSpeed = useRef(0);
+
+  useBeforePhysicsStep(() => {
+    const state = useGameStore.getState();
+    if (!bodyRef.current || !state.bridgeCollapsed || state.phase !== 'playing' || state.activeDialog) return;
+    fallStep(bodyRef.current, data, fallSpeed);
+  });
+
+  return (
+    <RigidBody
+      ref={bodyRef}
+      type="kinematicPosition"
+      position={[data.x, data.y, data.z]}
+      colliders={false}
+      name={`platform-${index}`}
+    >
+      <CuboidCollider
+        args={[data.width / 2, data.height / 2, data.depth / 2]}
+        {...frictionProps(data)}
+        restitution={0}
+      />
+      <mesh castShadow receiveShadow>
+        <boxGeometry args={[data.width, data.height, data.depth]} />
+        <meshStandardMaterial color={PLATFORM_COLORS.bridge} />
+      </mesh>
+    </RigidBody>
+  );
+}
+
+/**
+ * Platform following its motion path. It is moved once per physics step while
+ * the level is being played, so its position only depends on the step count and
+ * a replay sees it where the recording did. Rapier derives the body's velocity
+ * from the move, which Player uses to carry a rider along.
+ */
+function MovingPlatform({ data, index }) {
+  const bodyRef = useRef(null);
+  const steps = useRef(0);
+
+  useBeforePhysicsStep(() => {
+    const state = useGameStore.getState();
+    if (!bodyRef.current || state.phase !== 'playing' || state.activeDialog) return;
+    steps.current++;
+    const offset = motionOffset(data.motion, steps.current * PHYSICS.TIME_STEP);
+    bodyRef.current.setNextKinematicTranslation({ x: data.x + offset.x, y: data.y + offset.y, z: data.z });
+  });
+
+  const start = motionOffset(data.motion, 0);
+  return (
+    <RigidBody
+      ref={bodyRef}
+      type="kinematicPosition"
+      position={[data.x + start.x, data.y + start.y, data.z]}
+      colliders={false}
+      name={`platform-${index}`}
+    >
+      <CuboidCollider
+        args={[data.width / 2, data.height / 2, data.depth / 2]}
+        {...frictionProps(data)}
+        restitution={0}
+      />
+      <mesh castShadow receiveShadow>
+        <boxGeometry args={[data.width, data.height, data.depth]} />
+        <meshStandardMaterial color={PLATFORM_COLORS[data.type] || PLATFORM_COLORS.grass} />
+      </mesh>
+    </RigidBody>
+  );
+}
+
 /**
  * Renders all level platforms using InstancedMesh for performance.
- * Each platform gets a fixed RigidBody with friction and zero restitution.
+ * Each platform gets a fixed RigidBody with its surface friction and zero restitution.
  */
 export default function Platforms() {
   const platforms = useGameStore((s) => s.levelData.platforms);
   const meshRef = useRef(null);
 
   const instanceData = useMemo(() => {
-    return platforms.map((p, i) => ({
-      ...p,
-      index: i,
-      color: PLATFORM_COLORS[p.type] || PLATFORM_COLORS.grass,
-    }));
+    return platforms
+      .map((p, i) => ({
+        ...p,
+        index: i,
+        color: PLATFORM_COLORS[p.type] || PLATFORM_COLORS.grass,
+      }))
+      .filter((p) => !surfaceOf(p).crumbles && !surfaceOf(p).collapses && !p.motion);
   }, [platforms]);
 
   useEffect(() => {
@@ -52,7 +243,7 @@ export default function Platforms() {
       {/* Visual: InstancedMesh for efficient rendering */}
       <instancedMesh
         ref={meshRef}
-        args={[null, null, platforms.length]}
+        args={[null, null, instanceData.length]}
         castShadow
         receiveShadow
       >
@@ -60,23 +251,30 @@ export default function Platforms() {
         <meshStandardMaterial vertexColors />
       </instancedMesh>
 
-      {/* Physics: Fixed colliders with proper friction and zero bounce */}
-      {platforms.map((p, i) => (
+      {/* Physics: Fixed colliders with per-surface friction and zero bounce */}
+      {instanceData.map((p) => (
         <RigidBody
-          key={`platform-${i}`}
+          key={`platform-${p.index}`}
           type="fixed"
           position={[p.x, p.y, p.z]}
-          name={`platform-${i}`}
-          friction={1}
+          name={`platform-${p.index}`}
+          friction={surfaceOf(p).friction}
           restitution={0}
         >
           <CuboidCollider
             args={[p.width / 2, p.height / 2, p.depth / 2]}
-            friction={1}
+            {...frictionProps(p)}
             restitution={0}
           />
         </RigidBody>
       ))}
+
+      {platforms.map((p, i) => {
+        if (p.motion) return <MovingPlatform key={`platform-${i}`} data={p} index={i} />;
+        if (surfaceOf(p).crumbles) return <CrumblingPlatform key={`platform-${i}`} data={p} index={i} />;
+        if (surfaceOf(p).collapses) return <BridgePlatform key={`platform-${i}`} data={p} index={i} />;
+        return null;
+      })}
     </>
   );
 }
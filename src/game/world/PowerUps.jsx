@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Power-up collectibles — mushroom, fire flower and star.
+ * Each power-up floats and turns in place and is collected by proximity, like coins.
+ * Few per level (LEVEL.MAX_POWERUPS), so each one is its own small group of meshes.
+ * Power-ups released from '?' blocks are rendered here too.
+ */
+import { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import useGameStore from '../../stores/gameStore';
+import { POWERUP, POWERUP_TYPES } from '../../utils/constants';
+
+/** Red-capped mushroom with white spots */
+function Mushroom({ color }) {
+  return (
+    <>
+      <mesh position={[0, -0.15, 0]} castShadow>
+        <cylinderGeometry args={[0.16, 0.2, 0.3, 12]} />
+        <meshStandardMaterial color="#FFF3E0" />
+      </mesh>
+      <mesh castShadow>
+        <sphereGeometry args={[0.35, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2]} />
+        <meshStandardMaterial color={color} />
+      </mesh>
+      <mesh position={[0.15, 0.22, 0.2]}>
+        <sphereGeometry args={[0.08, 8, 8]} />
+        <meshStandardMaterial color="#FFFFFF" />
+      </mesh>
+      <mesh position={[-0.15, 0.22, 0.2]}>
+        <sphereGeometry args={[0.08, 8, 8]} />
+        <meshStandardMaterial color="#FFFFFF" />
+      </mesh>
+    </>
+  );
+}
+
+/** Flower head on a green stem */
+function FireFlower({ color }) {
+  return (
+    <>
+      <mesh position={[0, -0.2, 0]}>
+        <cylinderGeometry args={[0.05, 0.05, 0.4, 8]} />
+        <meshStandardMaterial color="#2E7D32" />
+      </mesh>
+      <mesh position={[0, 0.1, 0]} castShadow>
+        <sphereGeometry args={[0.25, 16, 12]} />
+        <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.3} />
+      </mesh>
+      <mesh position={[0, 0.1, 0.18]}>
+        <sphereGeometry args={[0.12, 12, 8]} />
+        <meshStandardMaterial color="#FFEB3B" />
+      </mesh>
+    </>
+  );
+}
+
+/** Glowing star (an octahedron reads as a star at this size) */
+function Star({ color }) {
+  return (
+    <mesh castShadow>
+      <octahedronGeometry args={[0.35]} />
+      <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.6} metalness={0.3} roughness={0.3} />
+    </mesh>
+  );
+}
+
+const MODELS = {
+  mushroom: Mushroom,
+  fireFlower: FireFlower,
+  star: Star,
+};
+
+/**
+ * Single power-up: bobs, turns, and is collected when the player comes close.
+ * @param {{data: Object, index: number, onCollect: (index: number) => void}} props
+ */
+function PowerUpItem({ data, index, onCollect }) {
+  const groupRef = useRef(null);
+  const Model = MODELS[data.type];
+
+  useFrame(({ clock }) => {
+    const { phase, player } = useGameStore.getState();
+    if (!groupRef.current || phase !== 'playing') return;
+
+    const time = clock.getElapsedTime();
+    groupRef.current.position.y = data.y + Math.sin(time * 2 + index) * 0.1;
+    groupRef.current.rotation.y = time * 1.5;
+
+    const dx = player.position[0] - data.x;
+    const dy = player.position[1] - data.y;
+    if (Math.sqrt(dx * dx + dy * dy) < POWERUP.COLLECT_DISTANCE) onCollect(index);
+  });
+
+  return (
+    <group ref={groupRef} position={[data.x, data.y, 0]}>
+      <Model color={POWERUP_TYPES[data.type].color} />
+    </group>
+  );
+}
+
+/**
+ * Renders the level's uncollected power-ups and those released from blocks.
+ */
+export default function PowerUps() {
+  const powerUps = useGameStore((s) => s.levelData.powerUps);
+  const blockStates = useGameStore((s) => s.blockStates);
+  const collectPowerUp = useGameStore((s) => s.collectPowerUp);
+  const collectBlockItem = useGameStore((s) => s.collectBlockItem);
+
+  return (
+    <>
+      {(powerUps ?? []).map((powerUp, i) =>
+        powerUp.collected ? null : (
+          <PowerUpItem key={`powerup-${i}`} data={powerUp} index={i} onCollect={collectPowerUp} />
+        )
+      )}
+      {blockStates.map(({ item }, i) =>
+        !item || item.collected ? null : (
+          <PowerUpItem key={`block-item-${i}`} data={item} index={i} onCollect={collectBlockItem} />
+        )
+      )}
+    </>
+  );
+}
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Hooks that merge keyboard, gamepad and touch input into actions.
+ * Keyboard state comes from useKeyboard; gamepads are polled through the Gamepad
+ * API; touch controls report held actions through setTouchAction. Keys and buttons
+ * are looked up in the store's live bindings on every read, so rebinding applies
+ * immediately.
+ * Separates input devices from game logic per Code Quality criteria.
+ */
+import { useEffect, useRef } from 'react';
+import { useKeyboard } from './useKeyboard';
+import useGameStore from '../stores/gameStore';
+import {
+  actionForKey,
+  gamepadActions,
+  keyboardActions,
+  mergeActions,
+  newlyPressed,
+} from '../game/input/inputActions';
+
+/** Actions currently held on the on-screen touch controls */
+const touchActions = new Set();
+
+/** While the controls screen waits for a key or button, presses are not actions */
+let capturing = false;
+
+/**
+ * Suspends action presses while the controls screen captures a new binding.
+ * @param {boolean} active
+ */
+export function setInputCapture(active) {
+  capturing = active;
+}
+
+/**
+ * Called by touch controls when a button is pressed or released.
+ * @param {string} action - One of ACTIONS
+ * @param {boolean} active
+ */
+export function setTouchAction(action, active) {
+  if (active) touchActions.add(action);
+  else touchActions.delete(action);
+}
+
+/**
+ * Held actions from every connected gamepad.
+ * @returns {Set<string>}
+ */
+function readGamepads() {
+  const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+  const { bindings } = useGameStore.getState();
+  return mergeActions(...Array.from(pads).filter(Boolean).map((pad) => gamepadActions(pad, bindings)));
+}
+
+/**
+ * Indices of gamepad buttons currently held on any connected gamepad.
+ * Used when capturing a new binding.
+ * @returns {number[]}
+ */
+export function pressedGamepadButtons() {
+  const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+  const pressed = new Set();
+  for (const pad of Array.from(pads).filter(Boolean)) {
+    pad.buttons.forEach((button, index) => button.pressed && pressed.add(index));
+  }
+  return [...pressed];
+}
+
+/**
+ * Held actions from all sources, read on demand — the physics loop calls the
+ * returned function once per step.
+ * @returns {() => Set<string>}
+ */
+export function useInputActions() {
+  const keysPressed = useKeyboard();
+  return () =>
+    mergeActions(keyboardActions(keysPressed.current, useGameStore.getState().bindings), readGamepads(), touchActions);
+}
+
+/**
+ * Calls onPress once when an action starts. Keyboard presses arrive as keydown
+ * events (the event is passed along so handlers can filter text fields or stop
+ * propagation); gamepad and touch presses are detected by polling every animation
+ * frame and have no event.
+ *
+ * @param {(action: string, event?: KeyboardEvent) => void} onPress
+ */
+export function useActionPress(onPress) {
+  const handlerRef = useRef(onPress);
+  useEffect(() => {
+    handlerRef.current = onPress;
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.repeat || capturing) return;
+      const action = actionForKey(e.key, useGameStore.getState().bindings);
+      if (action) handlerRef.current(action, e);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+
+    let previous = new Set();
+    let frame = requestAnimationFrame(function poll() {
+      const current = mergeActions(readGamepads(), touchActions);
+      if (!capturing) newlyPressed(previous, current).forEach((action) => handlerRef.current(action));
+      previous = current;
+      frame = requestAnimationFrame(poll);
+    });
+
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      cancelAnimationFrame(frame);
+    };
+  }, []);
+}
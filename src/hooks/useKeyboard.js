@@ -4,6 +4,8 @@
  * Separates input handling from game logic per Code Quality criteria.
  */
 import { useEffect, useRef } from 'react';
+import useGameStore from '../stores/gameStore';
+import { actionForKey } from '../game/input/inputActions';
 
 /**
  * Tracks the current state of specified keyboard keys.
@@ -15,8 +17,11 @@ export function useKeyboard() {
 
   useEffect(() => {
     const handleKeyDown = (e) => {
-      // Prevent default for game keys to avoid scrolling
-      if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' ', 'w', 'a', 's', 'd'].includes(e.key)) {
+      // Let text fields (NPC chat) receive typed characters instead of moving the player
+      if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+
+      // Prevent default for bound keys (and arrows) to avoid scrolling
+      if (e.key.startsWith('Arrow') || actionForKey(e.key, useGameStore.getState().bindings)) {
         e.preventDefault();
       }
       keysPressed.current.add(e.key.toLowerCase());
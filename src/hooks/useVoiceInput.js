@@ -6,14 +6,24 @@
 import { useCallback, useEffect, useRef } from 'react';
 import useGameStore from '../stores/gameStore';
 import { sanitizeInput } from '../utils/sanitize';
+import { VOICE } from '../utils/constants';
 
 /**
  * Custom hook for speech recognition.
  * Returns controls for starting/stopping voice input.
  * Automatically sanitizes transcripts before storing in game state.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.continuous=false] - Keep listening (and restart after
+ *   silence) until stopListening is called, instead of stopping after one phrase
+ * @param {(transcript: string) => void} [options.onTranscript] - Called with each
+ *   sanitized final transcript
  */
-export function useVoiceInput() {
+export function useVoiceInput({ continuous = false, onTranscript } = {}) {
   const recognitionRef = useRef(null);
+  const wantsListeningRef = useRef(false);
+  const restartTimerRef = useRef(null);
+  const onTranscriptRef = useRef(onTranscript);
   const setVoiceTranscript = useGameStore((s) => s.setVoiceTranscript);
   const setIsListening = useGameStore((s) => s.setIsListening);
 
@@ -21,6 +31,11 @@ export function useVoiceInput() {
     typeof window !== 'undefined' &&
     ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window);
 
+  // Keep the latest callback without recreating the recognizer
+  useEffect(() => {
+    onTranscriptRef.current = onTranscript;
+  }, [onTranscript]);
+
   useEffect(() => {
     if (!isSupported) return;
 
@@ -28,40 +43,63 @@ export function useVoiceInput() {
       window.SpeechRecognition || window.webkitSpeechRecognition;
     const recognition = new SpeechRecognition();
 
-    recognition.continuous = false;
+    recognition.continuous = continuous;
     recognition.interimResults = false;
     recognition.lang = 'en-US';
     recognition.maxAlternatives = 1;
 
     recognition.onresult = (event) => {
-      const raw = event.results[0][0].transcript;
-      // SECURITY: Sanitize voice input before storing
-      const sanitized = sanitizeInput(raw);
-      setVoiceTranscript(sanitized);
-      setIsListening(false);
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        if (!event.results[i].isFinal) continue;
+        const raw = event.results[i][0].transcript;
+        // SECURITY: Sanitize voice input before storing
+        const sanitized = sanitizeInput(raw);
+        if (!sanitized) continue;
+        setVoiceTranscript(sanitized);
+        onTranscriptRef.current?.(sanitized);
+      }
+      if (!continuous) setIsListening(false);
     };
 
     recognition.onerror = (event) => {
       console.warn('Speech recognition error:', event.error);
-      setIsListening(false);
+      // Permission errors would otherwise restart forever in continuous mode
+      if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+        wantsListeningRef.current = false;
+      }
+      if (!continuous) setIsListening(false);
     };
 
     recognition.onend = () => {
+      // Browsers end recognition after a stretch of silence; resume if still wanted
+      if (continuous && wantsListeningRef.current) {
+        restartTimerRef.current = setTimeout(() => {
+          try {
+            recognition.start();
+          } catch {
+            // Already started by startListening in the meantime
+          }
+        }, VOICE.RESTART_DELAY_MS);
+        return;
+      }
       setIsListening(false);
     };
 
     recognitionRef.current = recognition;
 
     return () => {
-      if (recognitionRef.current) {
-        try { recognitionRef.current.stop(); } catch {}
-      }
+      wantsListeningRef.current = false;
+      clearTimeout(restartTimerRef.current);
+      try { recognition.stop(); } catch {}
+      recognitionRef.current = null;
+      setIsListening(false);
     };
-  }, [isSupported, setVoiceTranscript, setIsListening]);
+  }, [isSupported, continuous, setVoiceTranscript, setIsListening]);
 
   const startListening = useCallback(() => {
     if (recognitionRef.current) {
       try {
+        wantsListeningRef.current = true;
         recognitionRef.current.start();
         setIsListening(true);
       } catch (err) {
@@ -71,6 +109,8 @@ export function useVoiceInput() {
   }, [setIsListening]);
 
   const stopListening = useCallback(() => {
+    wantsListeningRef.current = false;
+    clearTimeout(restartTimerRef.current);
     if (recognitionRef.current) {
       try { recognitionRef.current.stop(); } catch {}
       setIsListening(false);
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Gemini response schema for generated levels.
+ * Mirrors the JSON schema described in buildLevelPrompt so the model returns
+ * structured JSON instead of prose or markdown. Enums come from the same
+ * constants levelValidator.js checks against.
+ */
+import { SchemaType } from '@google/generative-ai';
+import { LEVEL, ENEMY_TYPES, ENEMY_BEHAVIORS, POWERUP_TYPES, BLOCK, MOVING_PLATFORM } from '../utils/constants.js';
+
+/** Platform types Gemini may use (lava is reserved for hand-placed hazards) */
+const GENERATED_PLATFORM_TYPES = ['grass', 'brick', 'stone', 'ice', 'bouncy', 'crumbling'];
+
+/** Builds a {x, y, z} point schema */
+function pointSchema(description) {
+  return {
+    type: SchemaType.OBJECT,
+    description,
+    properties: {
+      x: { type: SchemaType.NUMBER },
+      y: { type: SchemaType.NUMBER },
+      z: { type: SchemaType.NUMBER },
+    },
+    required: ['x', 'y', 'z'],
+  };
+}
+
+/** Optional platform motion (see platforms/platformMotion.js) */
+const MOTION_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    path: { type: SchemaType.STRING, format: 'enum', enum: MOVING_PLATFORM.PATHS },
+    speed: { type: SchemaType.NUMBER },
+    phase: { type: SchemaType.NUMBER },
+    dx: { type: SchemaType.NUMBER },
+    dy: { type: SchemaType.NUMBER },
+    radius: { type: SchemaType.NUMBER },
+    points: {
+      type: SchemaType.ARRAY,
+      maxItems: MOVING_PLATFORM.MAX_WAYPOINTS,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          x: { type: SchemaType.NUMBER },
+          y: { type: SchemaType.NUMBER },
+        },
+        required: ['x', 'y'],
+      },
+    },
+  },
+  required: ['path', 'speed'],
+};
+
+/** responseSchema passed to Gemini's generationConfig for /api/generate-level */
+export const LEVEL_RESPONSE_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    platforms: {
+      type: SchemaType.ARRAY,
+      minItems: 1,
+      maxItems: LEVEL.MAX_PLATFORMS,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          x: { type: SchemaType.NUMBER },
+          y: { type: SchemaType.NUMBER },
+          z: { type: SchemaType.NUMBER },
+          width: { type: SchemaType.NUMBER },
+          height: { type: SchemaType.NUMBER },
+          depth: { type: SchemaType.NUMBER },
+          type: { type: SchemaType.STRING, format: 'enum', enum: GENERATED_PLATFORM_TYPES },
+          motion: MOTION_SCHEMA,
+        },
+        required: ['x', 'y', 'z', 'width', 'height', 'depth', 'type'],
+      },
+    },
+    coins: {
+      type: SchemaType.ARRAY,
+      maxItems: LEVEL.MAX_COINS,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          x: { type: SchemaType.NUMBER },
+          y: { type: SchemaType.NUMBER },
+          z: { type: SchemaType.NUMBER },
+          collected: { type: SchemaType.BOOLEAN },
+        },
+        required: ['x', 'y', 'z'],
+      },
+    },
+    powerUps: {
+      type: SchemaType.ARRAY,
+      maxItems: LEVEL.MAX_POWERUPS,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          x: { type: SchemaType.NUMBER },
+          y: { type: SchemaType.NUMBER },
+          z: { type: SchemaType.NUMBER },
+          type: { type: SchemaType.STRING, format: 'enum', enum: Object.keys(POWERUP_TYPES) },
+        },
+        required: ['x', 'y', 'z', 'type'],
+      },
+    },
+    blocks: {
+      type: SchemaType.ARRAY,
+      maxItems: LEVEL.MAX_BLOCKS,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          x: { type: SchemaType.NUMBER },
+          y: { type: SchemaType.NUMBER },
+          z: { type: SchemaType.NUMBER },
+          type: { type: SchemaType.STRING, format: 'enum', enum: BLOCK.TYPES },
+          contents: {
+            type: SchemaType.STRING,
+            format: 'enum',
+            enum: BLOCK.CONTENTS,
+            description: 'What a question block releases (ignored for bricks)',
+          },
+        },
+        required: ['x', 'y', 'z', 'type'],
+      },
+    },
+    enemies: {
+      type: SchemaType.ARRAY,
+      maxItems: LEVEL.MAX_ENEMIES,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          x: { type: SchemaType.NUMBER },
+          y: { type: SchemaType.NUMBER },
+          z: { type: SchemaType.NUMBER },
+          type: { type: SchemaType.STRING, format: 'enum', enum: Object.keys(ENEMY_TYPES) },
+          behavior: { type: SchemaType.STRING, format: 'enum', enum: ENEMY_BEHAVIORS },
+        },
+        required: ['x', 'y', 'z', 'type', 'behavior'],
+      },
+    },
+    npcs: {
+      type: SchemaType.ARRAY,
+      maxItems: LEVEL.MAX_NPCS,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          x: { type: SchemaType.NUMBER },
+          y: { type: SchemaType.NUMBER },
+          z: { type: SchemaType.NUMBER },
+          name: { type: SchemaType.STRING, description: 'Short character name, e.g. Toad' },
+          personality: { type: SchemaType.STRING, description: 'One-line personality used for dialog' },
+        },
+        required: ['x', 'y', 'z', 'name', 'personality'],
+      },
+    },
+    difficulty: { type: SchemaType.INTEGER },
+    spawnPoint: pointSchema('Where the player starts, above the first platform'),
+    goalPosition: pointSchema('Goal flag position at the far right end of the level, or the bridge axe on boss levels'),
+    boss: pointSchema('Castle boss standing on the middle of its bridge (boss levels only)'),
+  },
+  required: ['platforms', 'coins', 'enemies', 'difficulty', 'spawnPoint', 'goalPosition'],
+};
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Google Gemini provider.
+ * Level requests use structured JSON output constrained by LEVEL_RESPONSE_SCHEMA.
+ */
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { LEVEL_RESPONSE_SCHEMA } from '../levelSchema.js';
+
+/**
+ * Creates a Gemini-backed provider.
+ * @param {Object} options
+ * @param {string} options.apiKey - GEMINI_API_KEY (server-side only)
+ * @param {string} [options.model='gemini-2.0-flash'] - Model name
+ * @returns {import('./index.js').LLMProvider}
+ */
+export function createGeminiProvider({ apiKey, model = 'gemini-2.0-flash' }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const dialogModel = genAI.getGenerativeModel({ model });
+  const levelModel = genAI.getGenerativeModel({
+    model,
+    generationConfig: {
+      responseMimeType: 'application/json',
+      responseSchema: LEVEL_RESPONSE_SCHEMA,
+    },
+  });
+
+  return {
+    name: `gemini (${model})`,
+
+    async generateLevel(prompt) {
+      const result = await levelModel.generateContent(prompt);
+      return result.response.text();
+    },
+
+    async generateDialog(prompt) {
+      const result = await dialogModel.generateContent(prompt);
+      return result.response.text().trim();
+    },
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview LLM provider selection for the API proxy.
+ * Every provider exposes the same two calls, so routes never depend on a vendor SDK.
+ * Chosen by LLM_PROVIDER (gemini | openai | mock); without it, Gemini is used when
+ * GEMINI_API_KEY is set and the mock provider otherwise.
+ */
+import { createGeminiProvider } from './geminiProvider.js';
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createMockProvider } from './mockProvider.js';
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name - Human-readable provider description for logs and /api/health.
+ *   Public, so it never includes endpoint URLs or keys
+ * @property {(prompt: string) => Promise<string>} generateLevel - Returns raw level JSON text
+ * @property {(prompt: string) => Promise<string>} generateDialog - Returns trimmed dialog text
+ */
+
+/**
+ * Creates the provider described by environment config.
+ * @param {Object} env - Usually process.env
+ * @returns {LLMProvider}
+ * @throws {Error} When the selected provider is unknown or missing required config
+ */
+export function createProvider(env) {
+  const choice = (env.LLM_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'mock')).toLowerCase();
+
+  switch (choice) {
+    case 'gemini':
+      if (!env.GEMINI_API_KEY) throw new Error('LLM_PROVIDER=gemini requires GEMINI_API_KEY');
+      return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.GEMINI_MODEL || undefined });
+    case 'openai':
+      if (!env.OPENAI_BASE_URL || !env.OPENAI_MODEL) {
+        throw new Error('LLM_PROVIDER=openai requires OPENAI_BASE_URL and OPENAI_MODEL');
+      }
+      return createOpenAIProvider({
+        baseUrl: env.OPENAI_BASE_URL,
+        model: env.OPENAI_MODEL,
+        apiKey: env.OPENAI_API_KEY,
+      });
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${choice}" (expected gemini, openai or mock)`);
+  }
+}
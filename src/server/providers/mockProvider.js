@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Deterministic mock provider for CI and offline development.
+ * Levels come from the seeded procedural generator (seeded by the prompt text),
+ * dialog from a canned list — the same prompt always gets the same answer.
+ */
+import { generateLevel, normalizeSeed } from '../../game/ai/levelGenerator.js';
+
+/** Canned NPC replies; {name} is replaced with the NPC's name */
+const CANNED_DIALOG = [
+  "It's-a me, {name}! Keep running right and you'll find the flag!",
+  'Watch your step — those gaps are wider than they look!',
+  'Stomp on enemies from above, but never touch them from the side!',
+  'Grab every coin you see, they add up fast!',
+  'Wahoo! You are doing great, keep going!',
+  'I heard the goal flag is just past the next few platforms.',
+];
+
+/**
+ * Pulls a number out of a prompt line like "DIFFICULTY: 4/10".
+ * @returns {number|undefined}
+ */
+function readNumber(prompt, label) {
+  const match = prompt.match(new RegExp(`${label}:\\s*(\\d+)`));
+  return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Creates the mock provider. Takes no configuration and never touches the network.
+ * @returns {import('./index.js').LLMProvider}
+ */
+export function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async generateLevel(prompt) {
+      const level = generateLevel({
+        seed: prompt,
+        difficulty: readNumber(prompt, 'DIFFICULTY') ?? 1,
+        levelNumber: readNumber(prompt, 'LEVEL NUMBER') ?? 1,
+      });
+      return JSON.stringify(level);
+    },
+
+    async generateDialog(prompt) {
+      const name = prompt.match(/You are ([^,\n]+),/)?.[1] ?? 'Toad';
+      const line = CANNED_DIALOG[normalizeSeed(prompt) % CANNED_DIALOG.length];
+      return line.replace('{name}', name);
+    },
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview OpenAI-compatible chat completions provider.
+ * Works with any server exposing /v1/chat/completions (llama.cpp, Ollama,
+ * LM Studio, vLLM, ...), so the game can run against a local model.
+ */
+
+import { API } from '../../utils/constants.js';
+
+/**
+ * Slow local models are aborted this long before the game client gives up on the
+ * request (API.LEVEL_TIMEOUT_MS, API.DIALOG_TIMEOUT_MS), so the client still gets
+ * the proxy's error response instead of timing out itself.
+ */
+const TIMEOUT_MARGIN_MS = 1000;
+
+/**
+ * Creates a provider for an OpenAI-compatible endpoint.
+ * @param {Object} options
+ * @param {string} options.baseUrl - API root, e.g. http://localhost:11434/v1
+ * @param {string} options.model - Model name as the endpoint knows it
+ * @param {string} [options.apiKey] - Bearer token, if the endpoint needs one
+ * @returns {import('./index.js').LLMProvider}
+ */
+export function createOpenAIProvider({ baseUrl, model, apiKey }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  async function complete(prompt, timeoutMs, extraBody = {}) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        ...extraBody,
+      }),
+      signal: AbortSignal.timeout(timeoutMs - TIMEOUT_MARGIN_MS),
+    });
+
+    if (!response.ok) {
+      throw new Error(`LLM endpoint responded with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    const content = body.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('LLM endpoint returned no message content');
+    }
+    return content;
+  }
+
+  return {
+    name: `openai-compatible (${model})`,
+
+    generateLevel(prompt) {
+      return complete(prompt, API.LEVEL_TIMEOUT_MS, { response_format: { type: 'json_object' }, temperature: 0.7 });
+    },
+
+    async generateDialog(prompt) {
+      return (await complete(prompt, API.DIALOG_TIMEOUT_MS, { temperature: 0.9, max_tokens: 120 })).trim();
+    },
+  };
+}
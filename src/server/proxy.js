@@ -1,14 +1,18 @@
 /**
- * @fileoverview Express API proxy for Gemini API.
- * SECURITY: Keeps API key server-side. Client only calls this proxy.
+ * @fileoverview Express API proxy for the LLM provider (Gemini, OpenAI-compatible or mock).
+ * SECURITY: Keeps API keys server-side. Client only calls this proxy.
  * Includes input sanitization, rate limiting, and response validation.
  */
 import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
+import { createProvider } from './providers/index.js';
+import { createScoreStore } from './scoreStore.js';
+import { validateScoreSubmission } from './scoreValidation.js';
+import { validateLevelData } from '../game/ai/levelValidator.js';
+import { API } from '../utils/constants.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,9 +32,13 @@ if (process.env.NODE_ENV === 'production') {
   app.use(express.static(distPath));
 }
 
-// Initialize Gemini (server-side only — key never reaches the client)
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
+// LLM provider chosen by LLM_PROVIDER (server-side only — keys never reach the client)
+const provider = createProvider(process.env);
+
+// Leaderboard persisted to a JSON file (SCORES_FILE overrides the location)
+const scoreStore = await createScoreStore(
+  process.env.SCORES_FILE || path.resolve(__dirname, '../../data/scores.json')
+);
 
 // Simple in-memory rate limiter
 const rateLimiter = new Map();
@@ -64,8 +72,11 @@ const npcCache = new Map();
 
 /**
  * POST /api/generate-level
- * Generates a procedural level using Gemini AI.
+ * Generates a procedural level with the configured provider as JSON.
+ * The result is validated (and auto-repaired) with the client's levelValidator
+ * rules before it is returned — unvalidated data never reaches the client.
  * Body: { prompt: string }
+ * 200: { levelData, repairs, provider } | 422: { error, details, fallback } | 502/500: { error, fallback }
  */
 app.post('/api/generate-level', rateLimit, async (req, res) => {
   try {
@@ -75,23 +86,35 @@ app.post('/api/generate-level', rateLimit, async (req, res) => {
       return res.status(400).json({ error: 'Prompt is required' });
     }
 
-    if (prompt.length > 3000) {
+    if (prompt.length > API.MAX_LEVEL_PROMPT_LENGTH) {
       return res.status(400).json({ error: 'Prompt too long' });
     }
 
-    const result = await model.generateContent(prompt);
-    const text = result.response.text();
+    const text = await provider.generateLevel(prompt);
+
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (parseError) {
+      console.error('Level generation returned invalid JSON:', parseError.message);
+      return res.status(502).json({
+        error: 'Model returned invalid JSON',
+        details: [parseError.message],
+        fallback: true,
+      });
+    }
 
-    // Try to extract JSON from response (Gemini may wrap in markdown)
-    let jsonStr = text;
-    const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (jsonMatch) {
-      jsonStr = jsonMatch[1];
+    const validation = validateLevelData(parsed, { repair: true });
+    if (!validation.valid) {
+      console.warn('Generated level failed validation:', validation.errors);
+      return res.status(422).json({
+        error: 'Generated level failed validation',
+        details: validation.errors,
+        fallback: true,
+      });
     }
 
-    // Attempt to parse
-    const parsed = JSON.parse(jsonStr.trim());
-    res.json({ levelData: parsed });
+    res.json({ levelData: validation.data, repairs: validation.repairs, provider: provider.name });
   } catch (error) {
     console.error('Level generation error:', error.message);
     res.status(500).json({
@@ -119,8 +142,7 @@ app.post('/api/npc-dialog', rateLimit, async (req, res) => {
       return res.json({ dialog: npcCache.get(cacheKey), cached: true });
     }
 
-    const result = await model.generateContent(prompt);
-    const dialog = result.response.text().trim();
+    const dialog = await provider.generateDialog(prompt);
 
     // Cache the response
     if (cacheKey) {
@@ -142,12 +164,53 @@ app.post('/api/npc-dialog', rateLimit, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/scores
+ * Records a level result after sanitizing the name and checking the score is
+ * plausible for the level (see scoreValidation.js).
+ * Body: { name, score, coins, time, deaths, completed, levelNumber, difficulty, seed?, level? }
+ * 201: { entry, rank } | 400: { error, details }
+ */
+app.post('/api/scores', rateLimit, async (req, res) => {
+  try {
+    const { valid, errors, entry } = validateScoreSubmission(req.body);
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid score submission', details: errors });
+    }
+
+    const result = await scoreStore.add(entry);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Score submission error:', error.message);
+    res.status(500).json({ error: 'Failed to record score' });
+  }
+});
+
+/**
+ * GET /api/scores?level=&seed=&limit=
+ * Top scores, optionally for one level number and/or one procedural seed.
+ * 200: { scores }
+ */
+app.get('/api/scores', (req, res) => {
+  const parseParam = (value) => (value === undefined || value === '' ? undefined : Number(value));
+  const levelNumber = parseParam(req.query.level);
+  const seed = parseParam(req.query.seed);
+  const limit = parseParam(req.query.limit) ?? 10;
+
+  if ([levelNumber, seed].some((v) => v !== undefined && !Number.isInteger(v))) {
+    return res.status(400).json({ error: 'level and seed must be integers' });
+  }
+
+  res.json({ scores: scoreStore.query({ levelNumber, seed, limit: Math.min(Math.max(1, limit | 0), 50) }) });
+});
+
 /**
  * Health check endpoint.
  */
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
+    provider: provider.name,
     hasApiKey: !!process.env.GEMINI_API_KEY,
     timestamp: new Date().toISOString(),
   });
@@ -164,5 +227,6 @@ if (process.env.NODE_ENV === 'production') {
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🍄 Mario API proxy running on http://0.0.0.0:${PORT}`);
   console.log(`   Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`   LLM provider: ${provider.name}`);
   console.log(`   Gemini API key: ${process.env.GEMINI_API_KEY ? '✅ configured' : '❌ missing'}`);
 });
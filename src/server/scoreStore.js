@@ -0,0 +1,109 @@
+/**
+ * @fileoverview File-backed leaderboard store.
+ * Keeps all entries in memory and rewrites a JSON file after each submission.
+ * Writes are serialized and atomic (temp file + rename), so a crash never leaves
+ * a half-written leaderboard. Fine for a single server instance; on Cloud Run,
+ * point SCORES_FILE at a mounted volume or the board resets with each instance.
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * @typedef {Object} ScoreEntry
+ * @property {string} id
+ * @property {string} name
+ * @property {number} score - Points earned in the level
+ * @property {number} coins - Coins collected in the level
+ * @property {number} time - Seconds spent in the level
+ * @property {number} deaths - Deaths in the level
+ * @property {boolean} completed - Whether the player reached the goal
+ * @property {number} levelNumber
+ * @property {number} difficulty
+ * @property {number|null} seed - Procedural level seed (null for Gemini levels)
+ * @property {boolean} verified - Whether the server rebuilt the level to bound the score
+ *   (only seeded levels; entries saved before this flag existed read as unverified)
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/** Lowest scores are dropped beyond this many entries */
+const MAX_ENTRIES = 5000;
+
+/** Higher score first; faster time breaks ties */
+function compareEntries(a, b) {
+  return b.score - a.score || a.time - b.time;
+}
+
+/**
+ * Creates a leaderboard store backed by a JSON file.
+ * @param {string} filePath - Where entries are persisted
+ * @returns {Promise<{add: (entry: Omit<ScoreEntry, 'id' | 'createdAt'>) => Promise<{entry: ScoreEntry, rank: number|null}>, query: (filter: Object) => ScoreEntry[]}>}
+ */
+export async function createScoreStore(filePath) {
+  let entries = [];
+  try {
+    const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    entries = Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Could not read leaderboard file, starting empty: ${error.message}`);
+    }
+  }
+
+  let writeQueue = Promise.resolve();
+
+  function persist() {
+    const snapshot = JSON.stringify(entries);
+    writeQueue = writeQueue
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, filePath);
+      })
+      .catch((error) => console.error('Could not save leaderboard:', error.message));
+    return writeQueue;
+  }
+
+  function matches(entry, { levelNumber, seed }) {
+    if (levelNumber !== undefined && entry.levelNumber !== levelNumber) return false;
+    if (seed !== undefined && entry.seed !== seed) return false;
+    return true;
+  }
+
+  return {
+    /**
+     * Adds an entry and returns its rank among entries for the same level and seed
+     * (null if it fell outside MAX_ENTRIES).
+     */
+    async add(fields) {
+      const entry = {
+        ...fields,
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        createdAt: new Date().toISOString(),
+      };
+      entries.push(entry);
+      if (entries.length > MAX_ENTRIES) {
+        entries.sort(compareEntries);
+        entries.length = MAX_ENTRIES;
+      }
+      await persist();
+
+      const board = entries
+        .filter((e) => matches(e, { levelNumber: entry.levelNumber, seed: entry.seed ?? undefined }))
+        .sort(compareEntries);
+      const index = board.indexOf(entry);
+      return { entry, rank: index >= 0 ? index + 1 : null };
+    },
+
+    /**
+     * Top entries, optionally filtered by level number and/or seed.
+     * @param {{levelNumber?: number, seed?: number, limit?: number}} filter
+     */
+    query({ levelNumber, seed, limit = 10 }) {
+      return entries
+        .filter((e) => matches(e, { levelNumber, seed }))
+        .sort(compareEntries)
+        .slice(0, limit);
+    },
+  };
+}
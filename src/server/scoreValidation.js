@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Leaderboard submission validation.
+ * Sanitizes player names with the client's sanitize.js rules and rejects scores
+ * that the submitted level could not have produced: more coins than the level
+ * has, or more points than every coin, power-up and defeated enemy (shell combos
+ * included) is worth, plus the boss on castle levels.
+ * Seeded (procedural) levels are regenerated here, so their limits cannot be faked.
+ * Model-generated levels have no seed and only the client's description of them,
+ * so their entries are accepted but marked unverified.
+ */
+import { sanitizeInput, isCleanInput } from '../utils/sanitize.js';
+import { generateLevel } from '../game/ai/levelGenerator.js';
+import { blockRewards } from '../game/blocks/blockSystem.js';
+import { maxEnemyScore } from '../game/enemies/shellSystem.js';
+import { isBossLevel } from '../game/ai/levelPrompt.js';
+import { BOSS, COIN, ENEMY_TYPES, LEVEL, POWERUP } from '../utils/constants.js';
+
+/** Submission limits */
+export const SCORE_LIMITS = {
+  NAME_MAX_LENGTH: 16,
+  MAX_TIME: 3600, // seconds
+  MAX_DEATHS: 999,
+  MAX_LEVEL_NUMBER: 10000,
+};
+
+function isNonNegativeInt(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Works out the coin and power-up counts (including what '?' blocks hold) and
+ * enemy types of the level a score was set on.
+ * Procedural levels are rebuilt from their seed; for Gemini levels (no seed)
+ * the client's description is used, capped at the LEVEL limits — the server
+ * can't check it, so those scores are only plausible, not verified.
+ */
+function resolveLevelContents({ seed, difficulty, levelNumber, level }) {
+  if (seed !== null) {
+    const generated = generateLevel({ seed, difficulty, levelNumber });
+    const rewards = blockRewards(generated.blocks);
+    return {
+      totalCoins: generated.coins.length + rewards.coins,
+      totalPowerUps: generated.powerUps.length + rewards.powerUps,
+      enemies: generated.enemies.map((e) => e.type),
+    };
+  }
+  // Question blocks can add up to LEVEL.MAX_BLOCKS coins or power-ups on top of the loose ones
+  const totalCoins = isNonNegativeInt(level?.totalCoins) ? Math.min(level.totalCoins, LEVEL.MAX_COINS + LEVEL.MAX_BLOCKS) : 0;
+  const totalPowerUps = isNonNegativeInt(level?.totalPowerUps)
+    ? Math.min(level.totalPowerUps, LEVEL.MAX_POWERUPS + LEVEL.MAX_BLOCKS)
+    : 0;
+  const enemies = (Array.isArray(level?.enemies) ? level.enemies : [])
+    .filter((type) => Object.keys(ENEMY_TYPES).includes(type))
+    .slice(0, LEVEL.MAX_ENEMIES);
+  return { totalCoins, totalPowerUps, enemies };
+}
+
+/**
+ * Validates a POST /api/scores body.
+ *
+ * @param {Object} body - { name, score, coins, time, deaths, completed, levelNumber,
+ *   difficulty, seed?, level?: { totalCoins, totalPowerUps, enemies: string[] } }
+ * @returns {{valid: boolean, errors: string[], entry: Object|null}} entry is ready for the score store
+ */
+export function validateScoreSubmission(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object') {
+    return { valid: false, errors: ['Body must be a JSON object'], entry: null };
+  }
+
+  const name = sanitizeInput(body.name, SCORE_LIMITS.NAME_MAX_LENGTH);
+  if (!isCleanInput(name)) errors.push('Name must be 1-16 letters, numbers or basic punctuation');
+
+  const { score, coins, deaths, levelNumber } = body;
+  if (!isNonNegativeInt(score)) errors.push('Score must be a non-negative integer');
+  if (!isNonNegativeInt(coins)) errors.push('Coins must be a non-negative integer');
+  if (!isNonNegativeInt(deaths) || deaths > SCORE_LIMITS.MAX_DEATHS) errors.push('Deaths out of range');
+  if (!Number.isInteger(levelNumber) || levelNumber < 1 || levelNumber > SCORE_LIMITS.MAX_LEVEL_NUMBER) {
+    errors.push('Level number out of range');
+  }
+  if (typeof body.time !== 'number' || !(body.time > 0) || body.time > SCORE_LIMITS.MAX_TIME) {
+    errors.push('Time out of range');
+  }
+  const difficulty = Number.isInteger(body.difficulty)
+    ? Math.min(LEVEL.MAX_DIFFICULTY, Math.max(LEVEL.MIN_DIFFICULTY, body.difficulty))
+    : LEVEL.MIN_DIFFICULTY;
+  const seed = isNonNegativeInt(body.seed) && body.seed <= 0xffffffff ? body.seed : null;
+
+  if (errors.length > 0) return { valid: false, errors, entry: null };
+
+  // Plausibility: every point comes from a coin, a power-up, a defeated enemy or the boss
+  const { totalCoins, totalPowerUps, enemies } = resolveLevelContents({ seed, difficulty, levelNumber, level: body.level });
+  const maxScore =
+    totalCoins * COIN.SCORE_VALUE +
+    totalPowerUps * POWERUP.SCORE_VALUE +
+    maxEnemyScore(enemies) +
+    (isBossLevel(levelNumber) ? BOSS.SCORE_VALUE : 0);
+
+  if (coins > totalCoins) errors.push(`Coins (${coins}) exceed the level's ${totalCoins} coins`);
+  if (score < coins * COIN.SCORE_VALUE) errors.push('Score is lower than the collected coins are worth');
+  if (score > maxScore) errors.push(`Score (${score}) exceeds the level maximum of ${maxScore}`);
+
+  if (errors.length > 0) return { valid: false, errors, entry: null };
+
+  return {
+    valid: true,
+    errors: [],
+    entry: {
+      name,
+      score,
+      coins,
+      time: Math.round(body.time * 100) / 100,
+      deaths,
+      completed: body.completed === true,
+      levelNumber,
+      difficulty,
+      seed,
+      verified: seed !== null,
+    },
+  };
+}
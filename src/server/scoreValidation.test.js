@@ -0,0 +1,34 @@
+/**
+ * @fileoverview The server can only bound a score on a level it can rebuild: seeded
+ * levels are regenerated and checked, anything else is marked unverified.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateScoreSubmission } from './scoreValidation.js';
+import { generateLevel } from '../game/ai/levelGenerator.js';
+import { validateLevelData } from '../game/ai/levelValidator.js';
+
+const SUBMISSION = { name: 'Mario', score: 0, coins: 0, time: 30, deaths: 0, completed: true, levelNumber: 2, difficulty: 3 };
+
+test('a score on a seeded level is checked against the rebuilt level', () => {
+  const { valid, entry } = validateScoreSubmission({ ...SUBMISSION, seed: 42, level: { totalCoins: 999 } });
+  assert.equal(valid, true);
+  assert.equal(entry.verified, true);
+
+  const coins = generateLevel({ seed: 42, difficulty: 3, levelNumber: 2 }).coins.length + 100;
+  const cheat = validateScoreSubmission({ ...SUBMISSION, seed: 42, coins, score: coins * 100, level: { totalCoins: 999 } });
+  assert.equal(cheat.valid, false, "the client's own totals are ignored");
+});
+
+test('a score on an unseeded level is accepted but unverified', () => {
+  const { valid, entry } = validateScoreSubmission({ ...SUBMISSION, level: { totalCoins: 10, totalPowerUps: 0, enemies: [] } });
+  assert.equal(valid, true);
+  assert.equal(entry.verified, false);
+  assert.equal(entry.seed, null);
+});
+
+test('level validation keeps the generator seed, so saved and replayed levels stay seeded', () => {
+  const level = generateLevel({ seed: 42, difficulty: 3, levelNumber: 2 });
+  assert.equal(validateLevelData(level, { requireReachable: false }).data.seed, level.seed);
+  assert.equal(validateLevelData(level, { repair: true }).data.seed, undefined, 'model output never claims a seed');
+});
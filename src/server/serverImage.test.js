@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Smoke check for the production image's file set.
+ * The image only ships the source directories its Dockerfile COPYs, so a server
+ * import from anywhere else crashes the container at startup. This rebuilds that
+ * file set in a temp directory and starts the server there with the mock provider.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const STARTUP_TIMEOUT_MS = 15000;
+
+/**
+ * @returns {string[]} Source paths the production stage copies from the build context
+ */
+function productionSourceCopies() {
+  const dockerfile = fs.readFileSync(path.join(ROOT, 'Dockerfile'), 'utf8');
+  const stage = dockerfile.slice(dockerfile.indexOf('AS production'));
+  return [...stage.matchAll(/^COPY\s+(src\/\S+)\s+\S+$/gm)].map((match) => match[1]);
+}
+
+/** @returns {Promise<number>} A port nothing is listening on */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Starts the server and resolves with its /api/health body, or rejects with its
+ * output if it exits or doesn't answer in time. The child is always stopped.
+ */
+function startAndCheckHealth(cwd, port) {
+  const child = spawn(process.execPath, ['src/server/proxy.js'], {
+    cwd,
+    env: {
+      PATH: process.env.PATH,
+      LLM_PROVIDER: 'mock',
+      PORT: String(port),
+      SCORES_FILE: path.join(cwd, 'scores.json'),
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stdout.on('data', (chunk) => (output += chunk));
+  child.stderr.on('data', (chunk) => (output += chunk));
+
+  let timer;
+  let started = false;
+  return new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), STARTUP_TIMEOUT_MS);
+    child.once('exit', (code) => reject(new Error(`Server exited with code ${code}:\n${output}`)));
+    child.stdout.on('data', async () => {
+      if (started || !output.includes('proxy running')) return;
+      started = true;
+      try {
+        const response = await fetch(`http://127.0.0.1:${port}/api/health`);
+        resolve(await response.json());
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }).finally(() => {
+    clearTimeout(timer);
+    child.kill();
+  });
+}
+
+test('server starts from the files the production image ships', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-image-'));
+  try {
+    fs.copyFileSync(path.join(ROOT, 'package.json'), path.join(dir, 'package.json'));
+    fs.symlinkSync(path.join(ROOT, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+    for (const source of productionSourceCopies()) {
+      fs.cpSync(path.join(ROOT, source), path.join(dir, source), { recursive: true });
+    }
+
+    const health = await startAndCheckHealth(dir, await freePort());
+    assert.equal(health.status, 'ok');
+    assert.equal(health.provider, 'mock');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
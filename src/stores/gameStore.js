@@ -5,6 +5,29 @@
  */
 import { create } from 'zustand';
 import { subscribeWithSelector } from 'zustand/middleware';
+import { calculateNextDifficulty } from '../game/ai/difficultyEngine.js';
+import { loadLevel } from '../game/ai/levelService.js';
+import { requestNPCDialog } from '../game/ai/dialogService.js';
+import { parseVoiceCommand, findNearestNPC } from '../game/ai/voiceCommands.js';
+import { readSave, writeSave, deleteSave, listSaves } from '../game/save/saveSystem.js';
+import { createRecording } from '../game/replay/replaySystem.js';
+import { hashLevel, createGhost, readBestGhost, saveGhostIfFaster } from '../game/replay/ghostSystem.js';
+import {
+  ACTION_LABELS,
+  DEFAULT_BINDINGS,
+  addBinding,
+  removeBinding,
+  findConflict,
+  isReservedKey,
+  formatKey,
+  formatButton,
+} from '../game/input/inputActions.js';
+import { readBindings, writeBindings } from '../game/input/bindingStorage.js';
+import { readTouchSettings, writeTouchSettings, sanitizeTouchSettings } from '../game/input/touchSettings.js';
+import { formAfterPowerUp, createFireball, stepFireball } from '../game/powerups/powerUps.js';
+import { createBlockStates, bumpBlock } from '../game/blocks/blockSystem.js';
+import { sanitizeInput } from '../utils/sanitize.js';
+import { NPC, COIN, POWERUP, BOSS } from '../utils/constants.js';
 
 /** @typedef {'menu' | 'playing' | 'paused' | 'gameover' | 'loading' | 'victory'} GamePhase */
 
@@ -17,16 +40,40 @@ import { subscribeWithSelector } from 'zustand/middleware';
  * @property {[number, number, number]} velocity - [vx, vy, vz]
  * @property {boolean} isGrounded - Whether the player is on solid ground
  * @property {boolean} isInvincible - Temporary invincibility after hit
+ * @property {import('../game/powerups/powerUps').PlayerForm} form - Power-up form; big and fire absorb one hit
+ * @property {boolean} hasStar - Star power: immune to enemies and defeats them on touch
+ */
+
+/**
+ * @typedef {Object} DialogState
+ * @property {number} npcIndex - Index into levelData.npcs
+ * @property {string} name - NPC name
+ * @property {string} personality - NPC personality forwarded to the dialog prompt
+ * @property {boolean} pending - Whether a reply is being generated
+ */
+
+/**
+ * @typedef {Object} DialogEntry
+ * @property {string} npcName - NPC the line belongs to
+ * @property {'player' | 'npc'} speaker
+ * @property {string} text
+ * @property {number} levelNumber
+ * @property {number} timestamp
  */
 
 /**
  * @typedef {Object} LevelData
  * @property {Array<{x:number, y:number, z:number, width:number, height:number, depth:number, type:string}>} platforms
  * @property {Array<{x:number, y:number, z:number, collected:boolean}>} coins
+ * @property {Array<{x:number, y:number, z:number, type:string, collected:boolean}>} [powerUps]
+ * @property {import('../game/blocks/blockSystem').Block[]} [blocks]
  * @property {Array<{x:number, y:number, z:number, type:string, behavior:string}>} enemies
+ * @property {Array<{x:number, y:number, z:number, name:string, personality:string}>} [npcs]
  * @property {number} difficulty
  * @property {{x:number, y:number, z:number}} spawnPoint
- * @property {{x:number, y:number, z:number}} goalPosition
+ * @property {{x:number, y:number, z:number}} goalPosition - Goal flag, or the bridge axe on boss levels
+ * @property {import('../game/enemies/bossAI').BossPlacement} [boss] - Castle levels only
+ * @property {number} [seed] - Generator seed when the level was built offline
  */
 
 /** Default starting level for when Gemini API isn't available */
@@ -62,24 +109,67 @@ const DEFAULT_LEVEL = {
     { x: 72, y: 1, z: 0, collected: false },
     { x: 75, y: 1, z: 0, collected: false },
   ],
+  powerUps: [
+    { x: 10, y: 0, z: 0, type: 'mushroom', collected: false },
+    { x: 30, y: 3, z: 0, type: 'star', collected: false },
+    { x: 43, y: 0, z: 0, type: 'fireFlower', collected: false },
+  ],
+  blocks: [
+    { x: 12, y: 1.35, z: 0, type: 'brick' },
+    { x: 13, y: 1.35, z: 0, type: 'question', contents: 'coin' },
+    { x: 14, y: 1.35, z: 0, type: 'brick' },
+    { x: 66, y: 1.35, z: 0, type: 'question', contents: 'mushroom' },
+  ],
   enemies: [
-    { x: 12, y: 0.5, z: 0, type: 'goomba', behavior: 'patrol' },
+    { x: 8, y: 0.5, z: 0, type: 'goomba', behavior: 'patrol' },
     { x: 33, y: 0.5, z: 0, type: 'goomba', behavior: 'patrol' },
     { x: 48, y: 0.5, z: 0, type: 'koopa', behavior: 'chase' },
     { x: 65, y: 0.5, z: 0, type: 'goomba', behavior: 'patrol' },
     { x: 73, y: 0.5, z: 0, type: 'koopa', behavior: 'chase' },
   ],
+  npcs: [
+    { x: 6, y: 0.2, z: 0, name: 'Toad', personality: 'Cheerful mushroom retainer who loves giving level tips' },
+  ],
   difficulty: 1,
   spawnPoint: { x: 0, y: 2, z: 0 },
   goalPosition: { x: 80, y: 0, z: 0 },
 };
 
+/**
+ * Per-attempt entity state of a level: block contents, crumbled platforms,
+ * defeated enemies and the boss fight all start over with each attempt.
+ * @param {LevelData} levelData
+ */
+function freshLevelState(levelData) {
+  return {
+    blockStates: createBlockStates(levelData.blocks),
+    fallenPlatforms: [],
+    defeatedEnemies: [],
+    bossHealth: levelData.boss ? BOSS.MAX_HEALTH : 0,
+    bridgeCollapsed: false,
+  };
+}
+
 const useGameStore = create(
   subscribeWithSelector((set, get) => ({
     // --- Game Phase ---
     /** @type {GamePhase} */
     phase: 'menu',
     setPhase: (phase) => set({ phase }),
+    /** When the current pause started, so paused time is left out of completion times */
+    pausedAt: 0,
+    pauseGame: () => {
+      if (get().phase !== 'playing') return;
+      set({ phase: 'paused', pausedAt: Date.now() });
+      get().autosave();
+    },
+    resumeGame: () =>
+      set((state) =>
+        state.phase === 'paused'
+          ? { phase: 'playing', levelStartTime: state.levelStartTime + (Date.now() - state.pausedAt) }
+          : state
+      ),
+    togglePause: () => (get().phase === 'paused' ? get().resumeGame() : get().pauseGame()),
 
     // --- Player State ---
     /** @type {PlayerState} */
@@ -91,6 +181,8 @@ const useGameStore = create(
       velocity: [0, 0, 0],
       isGrounded: false,
       isInvincible: false,
+      form: 'small',
+      hasStar: false,
     },
     setPlayerPosition: (pos) =>
       set((state) => ({ player: { ...state.player, position: pos } })),
@@ -98,6 +190,18 @@ const useGameStore = create(
       set((state) => ({ player: { ...state.player, velocity: vel } })),
     setPlayerGrounded: (grounded) =>
       set((state) => ({ player: { ...state.player, isGrounded: grounded } })),
+    /** One-shot jump request from a non-keyboard source (voice); Player consumes it next frame */
+    jumpRequested: false,
+    requestJump: () =>
+      set((state) => ({ jumpRequested: state.phase === 'playing' && !state.activeDialog })),
+    consumeJump: () => set({ jumpRequested: false }),
+    /** One-shot bounce off a stomped enemy; Player consumes it next physics step */
+    stompBounce: false,
+    requestStompBounce: () => set({ stompBounce: true }),
+    consumeStompBounce: () => set({ stompBounce: false }),
+    /** @param {number} points */
+    addScore: (points) =>
+      set((state) => ({ player: { ...state.player, score: state.player.score + points } })),
 
     collectCoin: (coinIndex) =>
       set((state) => {
@@ -108,7 +212,7 @@ const useGameStore = create(
             player: {
               ...state.player,
               coins: state.player.coins + 1,
-              score: state.player.score + 100,
+              score: state.player.score + COIN.SCORE_VALUE,
             },
             levelData: { ...state.levelData, coins: newCoins },
           };
@@ -116,31 +220,198 @@ const useGameStore = create(
         return state;
       }),
 
-    takeDamage: () =>
+    /**
+     * Collects a power-up: the player changes form (or gets star power) and scores it.
+     * @param {number} index - Index into levelData.powerUps
+     */
+    collectPowerUp: (index) =>
+      set((state) => {
+        const powerUp = state.levelData.powerUps?.[index];
+        if (!powerUp || powerUp.collected) return state;
+        const powerUps = [...state.levelData.powerUps];
+        powerUps[index] = { ...powerUp, collected: true };
+        return {
+          player: {
+            ...state.player,
+            score: state.player.score + POWERUP.SCORE_VALUE,
+            form: formAfterPowerUp(state.player.form, powerUp.type),
+            hasStar: state.player.hasStar || powerUp.type === 'star',
+          },
+          levelData: { ...state.levelData, powerUps },
+        };
+      }),
+
+    /**
+     * Hurts the player. A power-up form absorbs an enemy hit — the player shrinks
+     * instead of losing health. Hazards (falling off the level, lava) always cost
+     * health, and the power-up and star with it.
+     * @param {{hazard?: boolean}} [options]
+     */
+    takeDamage: ({ hazard = false } = {}) =>
       set((state) => {
-        if (state.player.isInvincible) return state;
-        const newHealth = state.player.health - 1;
+        const { player } = state;
+        if (player.isInvincible || (player.hasStar && !hazard)) return state;
+        if (player.form !== 'small' && !hazard) {
+          return { player: { ...player, form: 'small', isInvincible: true } };
+        }
+        const newHealth = player.health - 1;
         if (newHealth <= 0) {
           return {
-            player: { ...state.player, health: 0 },
+            player: { ...player, health: 0, form: 'small', hasStar: false },
             phase: 'gameover',
           };
         }
         return {
-          player: { ...state.player, health: newHealth, isInvincible: true },
+          player: { ...player, health: newHealth, form: 'small', hasStar: false, isInvincible: true },
         };
       }),
 
+    /**
+     * Takes an enemy out of play for the rest of the attempt and scores it.
+     * @param {number} index - Index into levelData.enemies
+     * @param {number} points - 0 for enemies lost without the player's doing
+     */
+    defeatEnemy: (index, points) =>
+      set((state) => {
+        if (state.defeatedEnemies.includes(index)) return state;
+        return {
+          defeatedEnemies: [...state.defeatedEnemies, index],
+          player: { ...state.player, score: state.player.score + points },
+        };
+      }),
+
+    /**
+     * Takes hit points off the boss; the blow that empties its health bar scores it.
+     * @param {number} [damage=1] - BOSS.MAX_HEALTH for a boss that fell off the level
+     */
+    damageBoss: (damage = 1) =>
+      set((state) => {
+        if (state.bossHealth <= 0) return state;
+        const bossHealth = Math.max(0, state.bossHealth - damage);
+        if (bossHealth > 0) return { bossHealth };
+        return { bossHealth, player: { ...state.player, score: state.player.score + BOSS.SCORE_VALUE } };
+      }),
+    /** The player reached the bridge axe: the boss bridge falls, taking the boss with it */
+    cutBridge: () =>
+      set((state) => {
+        const { boss } = state.levelData;
+        if (!boss || state.bridgeCollapsed) return state;
+        return { bridgeCollapsed: true, fallenPlatforms: [...state.fallenPlatforms, boss.bridge] };
+      }),
+
     clearInvincibility: () =>
       set((state) => ({
         player: { ...state.player, isInvincible: false },
       })),
+    clearStar: () =>
+      set((state) => ({
+        player: { ...state.player, hasStar: false },
+      })),
+
+    // --- Fireballs ---
+    /** @type {import('../game/powerups/powerUps').Fireball[]} Fireballs in flight */
+    fireballs: [],
+    /**
+     * Throws a fireball when the player has the fire flower and fewer than
+     * POWERUP.MAX_FIREBALLS are in flight.
+     * @param {{x: number, y: number}} position
+     * @param {number} direction - 1 for right, -1 for left
+     * @param {number} id - Physics step it is thrown on
+     */
+    shootFireball: (position, direction, id) =>
+      set((state) => {
+        if (state.player.form !== 'fire' || state.fireballs.length >= POWERUP.MAX_FIREBALLS) return state;
+        return { fireballs: [...state.fireballs, createFireball(position, direction, id)] };
+      }),
+    /** Moves every fireball one physics step; Player calls this from its step callback. */
+    stepFireballs: (dt) =>
+      set((state) => {
+        if (state.fireballs.length === 0) return state;
+        const { platforms } = state.levelData;
+        return { fireballs: state.fireballs.map((ball) => stepFireball(ball, platforms, dt)).filter(Boolean) };
+      }),
+    removeFireball: (id) =>
+      set((state) => ({ fireballs: state.fireballs.filter((ball) => ball.id !== id) })),
 
     // --- Level ---
     /** @type {LevelData} */
     levelData: DEFAULT_LEVEL,
+    /** @type {import('../game/blocks/blockSystem').BlockState[]} What happened to each of levelData.blocks this attempt */
+    blockStates: createBlockStates(DEFAULT_LEVEL.blocks),
+    /** @type {number[]} Crumbling platforms (indices into levelData.platforms) that are currently down */
+    fallenPlatforms: [],
+    /** @type {number[]} Enemies (indices into levelData.enemies) defeated this attempt */
+    defeatedEnemies: [],
+    /** Boss hit points left (0 on levels without a boss, and once it is beaten) */
+    bossHealth: 0,
+    /** Whether the player has cut the boss bridge with the axe */
+    bridgeCollapsed: false,
     levelNumber: 1,
-    setLevelData: (data) => set({ levelData: data }),
+    /** Bumped whenever a level (re)starts, so it remounts with fresh entity state */
+    levelAttempt: 0,
+    /** Player health, coins, score and power-up form when the current level started */
+    levelStartStats: { health: 3, coins: 0, score: 0, form: 'small' },
+    /** Death count when the current level started (for per-level leaderboard entries) */
+    levelStartDeaths: 0,
+    setLevelData: (data) => set({ levelData: data, ...freshLevelState(data) }),
+
+    /**
+     * Bumps a block from below: '?' blocks pay out a coin or release a power-up,
+     * bricks break under a powered-up player.
+     * @param {number} index - Index into levelData.blocks
+     */
+    hitBlock: (index) =>
+      set((state) => {
+        const block = state.levelData.blocks?.[index];
+        const current = state.blockStates[index];
+        if (!block || !current) return state;
+        const { blockState, coins } = bumpBlock(block, current, state.player.form);
+        if (blockState === current) return state;
+        const blockStates = [...state.blockStates];
+        blockStates[index] = blockState;
+        return {
+          blockStates,
+          player: {
+            ...state.player,
+            coins: state.player.coins + coins,
+            score: state.player.score + coins * COIN.SCORE_VALUE,
+          },
+        };
+      }),
+
+    /**
+     * Marks a crumbling platform as down or back up, so enemies stop standing on it.
+     * @param {number} index - Index into levelData.platforms
+     * @param {boolean} fallen
+     */
+    setPlatformFallen: (index, fallen) =>
+      set((state) => {
+        const without = state.fallenPlatforms.filter((i) => i !== index);
+        return { fallenPlatforms: fallen ? [...without, index] : without };
+      }),
+
+    /**
+     * Collects the power-up a '?' block released.
+     * @param {number} index - Index of the block that released it
+     */
+    collectBlockItem: (index) =>
+      set((state) => {
+        const blockState = state.blockStates[index];
+        if (!blockState?.item || blockState.item.collected) return state;
+        const blockStates = [...state.blockStates];
+        blockStates[index] = { ...blockState, item: { ...blockState.item, collected: true } };
+        return {
+          blockStates,
+          player: {
+            ...state.player,
+            score: state.player.score + POWERUP.SCORE_VALUE,
+            form: formAfterPowerUp(state.player.form, blockState.item.type),
+            hasStar: state.player.hasStar || blockState.item.type === 'star',
+          },
+        };
+      }),
+    /** Status line shown on the loading screen */
+    loadingMessage: '',
 
     // --- Difficulty ---
     difficulty: 1,
@@ -154,19 +425,234 @@ const useGameStore = create(
     setDifficulty: (d) => set({ difficulty: Math.min(10, Math.max(1, d)) }),
 
     // --- NPC Dialog ---
+    /** @type {DialogState|null} */
     activeDialog: null,
+    /** @type {DialogEntry[]} */
     dialogHistory: [],
+    /** Index of the NPC within talking distance, or null */
+    nearbyNPC: null,
     setActiveDialog: (dialog) => set({ activeDialog: dialog }),
     addDialogEntry: (entry) =>
       set((state) => ({
         dialogHistory: [...state.dialogHistory, entry],
       })),
+    setNearbyNPC: (index) => set({ nearbyNPC: index }),
+
+    /** Starts a conversation with an NPC from the current level. */
+    openDialog: (npcIndex) => {
+      const npc = get().levelData.npcs?.[npcIndex];
+      if (!npc || get().phase !== 'playing') return;
+      set({ activeDialog: { npcIndex, name: npc.name, personality: npc.personality, pending: false } });
+    },
+    closeDialog: () => set({ activeDialog: null }),
+
+    /**
+     * Sanitizes and records the player's message, then records the NPC's reply
+     * once /api/npc-dialog answers. Ignored while a reply is still pending.
+     */
+    sendDialogMessage: async (text) => {
+      const { activeDialog, levelNumber } = get();
+      const message = sanitizeInput(text, NPC.MAX_MESSAGE_LENGTH);
+      if (!activeDialog || activeDialog.pending || !message) return;
+
+      const npc = { name: activeDialog.name, personality: activeDialog.personality };
+      get().addDialogEntry({ npcName: npc.name, speaker: 'player', text: message, levelNumber, timestamp: Date.now() });
+      set({ activeDialog: { ...activeDialog, pending: true } });
+
+      const reply = await requestNPCDialog({ npc, message, levelNumber });
+      get().addDialogEntry({ npcName: npc.name, speaker: 'npc', text: reply, levelNumber, timestamp: Date.now() });
+
+      // The player may have walked away (or left the level) while waiting
+      const current = get().activeDialog;
+      if (current?.npcIndex === activeDialog.npcIndex) {
+        set({ activeDialog: { ...current, pending: false } });
+      }
+    },
+
+    // --- Leaderboard ---
+    /** Name last used for a leaderboard submission */
+    playerName: '',
+    setPlayerName: (name) => set({ playerName: name }),
+
+    // --- Controls ---
+    /** @type {import('../game/input/inputActions').Bindings} */
+    bindings: readBindings(),
+
+    /**
+     * Adds a key or gamepad button to an action and persists the bindings.
+     * @param {'keyboard' | 'gamepad'} device
+     * @param {string} action
+     * @param {string|number} input - Lowercased key or button index
+     * @returns {string|null} Why the input was refused, or null when it is bound
+     */
+    bindInput: (device, action, input) => {
+      const name = device === 'keyboard' ? formatKey(input) : formatButton(input);
+      if (device === 'keyboard' && isReservedKey(input)) return `${name} is reserved`;
+
+      const conflict = findConflict(get().bindings, device, input);
+      if (conflict === action) return null;
+      if (conflict) return `${name} is already bound to ${ACTION_LABELS[conflict]}`;
+
+      const bindings = addBinding(get().bindings, device, action, input);
+      set({ bindings });
+      writeBindings(bindings);
+      return null;
+    },
+    unbindInput: (device, action, input) => {
+      const bindings = removeBinding(get().bindings, device, action, input);
+      set({ bindings });
+      writeBindings(bindings);
+    },
+    resetBindings: () => {
+      set({ bindings: DEFAULT_BINDINGS });
+      writeBindings(DEFAULT_BINDINGS);
+    },
+    /** @type {import('../game/input/touchSettings').TouchSettings} */
+    touchSettings: readTouchSettings(),
+    /** Updates and persists touch control options. */
+    setTouchSettings: (changes) => {
+      const touchSettings = sanitizeTouchSettings({ ...get().touchSettings, ...changes });
+      set({ touchSettings });
+      writeTouchSettings(touchSettings);
+    },
 
     // --- Voice Input ---
     voiceTranscript: '',
     isListening: false,
+    /** Keep listening between phrases instead of push-to-talk */
+    voiceContinuous: false,
+    /** @type {import('../game/ai/voiceCommands').VoiceCommand|null} */
+    lastVoiceCommand: null,
     setVoiceTranscript: (t) => set({ voiceTranscript: t }),
     setIsListening: (l) => set({ isListening: l }),
+    setVoiceContinuous: (c) => set({ voiceContinuous: c }),
+
+    /**
+     * Runs a sanitized voice transcript. Fixed phrases trigger game actions when the
+     * current phase allows them; anything else is said to the NPC in conversation,
+     * or to the nearest NPC in the level.
+     */
+    runVoiceCommand: (transcript) => {
+      const command = parseVoiceCommand(transcript);
+      if (!command) return;
+
+      const state = get();
+      set({ lastVoiceCommand: command });
+
+      switch (command.type) {
+        case 'pause':
+          state.pauseGame();
+          break;
+        case 'resume':
+          state.resumeGame();
+          break;
+        case 'restart':
+          if (state.phase === 'gameover') state.resetGame();
+          else state.restartLevel();
+          break;
+        case 'nextLevel':
+          if (state.phase === 'victory') state.nextLevel();
+          break;
+        case 'jump':
+          state.requestJump();
+          break;
+        case 'talk':
+          if (state.nearbyNPC !== null) state.openDialog(state.nearbyNPC);
+          break;
+        default: {
+          if (state.phase !== 'playing') break;
+          const npcIndex =
+            state.activeDialog?.npcIndex ?? findNearestNPC(state.levelData.npcs, state.player.position);
+          if (npcIndex === null) break;
+          if (state.activeDialog?.npcIndex !== npcIndex) state.openDialog(npcIndex);
+          get().sendDialogMessage(command.text);
+        }
+      }
+    },
+
+    // --- Input Recording / Replay ---
+    /**
+     * Input for the current level attempt. Player starts it at level start and
+     * appends a frame every physics step (in place, without set).
+     * @type {import('../game/replay/replaySystem').Recording|null}
+     */
+    recording: null,
+    /** @type {import('../game/replay/replaySystem').Recording|null} Recording fed to Player instead of live input */
+    replay: null,
+    /**
+     * Starts recording the current level attempt (nothing is recorded during a
+     * replay) and picks the ghost to race: a shared ghost loaded for this level,
+     * otherwise the level's best run.
+     */
+    startRecording: () =>
+      set((state) => {
+        const levelHash = hashLevel(state.levelData);
+        return {
+          recording: state.replay ? null : createRecording(state),
+          ghost: state.sharedGhost?.levelHash === levelHash ? state.sharedGhost : readBestGhost(levelHash),
+          newBestGhost: false,
+        };
+      }),
+
+    // --- Ghost Runner ---
+    /** @type {import('../game/replay/ghostSystem').Ghost|null} Ghost shown on the current attempt */
+    ghost: null,
+    /** @type {import('../game/replay/ghostSystem').Ghost|null} Ghost loaded from a shared file */
+    sharedGhost: null,
+    /** Whether the last completion beat the level's best ghost */
+    newBestGhost: false,
+    ghostsEnabled: true,
+    setGhostsEnabled: (enabled) => set({ ghostsEnabled: enabled }),
+
+    /**
+     * Races a shared ghost by restarting the current level with it.
+     * @param {import('../game/replay/ghostSystem').Ghost} ghost
+     * @returns {boolean} False when the ghost was recorded on a different level
+     */
+    raceGhost: (ghost) => {
+      if (ghost.levelHash !== hashLevel(get().levelData)) return false;
+      set({ sharedGhost: ghost });
+      get().restartLevel();
+      return true;
+    },
+
+    /**
+     * Plays a recording back on the level it was made on, with the player's stats
+     * from when that level started. Replays never autosave or advance a level.
+     * @param {import('../game/replay/replaySystem').Recording} recording
+     */
+    startReplay: (recording) => {
+      const { x, y, z } = recording.levelData.spawnPoint;
+      set((state) => ({
+        phase: 'playing',
+        pausedAt: 0,
+        replay: recording,
+        recording: null,
+        levelNumber: recording.levelNumber,
+        levelAttempt: state.levelAttempt + 1,
+        levelData: recording.levelData,
+        ...freshLevelState(recording.levelData),
+        difficulty: recording.difficulty,
+        deaths: 0,
+        completionTimes: [],
+        levelStartStats: recording.player,
+        levelStartDeaths: 0,
+        levelStartTime: Date.now(),
+        activeDialog: null,
+        dialogHistory: [],
+        nearbyNPC: null,
+        player: {
+          ...state.player,
+          ...recording.player,
+          position: [x, y, z],
+          velocity: [0, 0, 0],
+          isGrounded: false,
+          isInvincible: false,
+          hasStar: false,
+        },
+        fireballs: [],
+      }));
+    },
 
     // --- Timer ---
     levelStartTime: 0,
@@ -174,8 +660,9 @@ const useGameStore = create(
 
     // --- Reset ---
     resetGame: () =>
-      set({
+      set((state) => ({
         phase: 'playing',
+        pausedAt: 0,
         player: {
           health: 3,
           coins: 0,
@@ -184,37 +671,213 @@ const useGameStore = create(
           velocity: [0, 0, 0],
           isGrounded: false,
           isInvincible: false,
+          form: 'small',
+          hasStar: false,
         },
+        fireballs: [],
         levelData: DEFAULT_LEVEL,
+        ...freshLevelState(DEFAULT_LEVEL),
         levelNumber: 1,
+        levelAttempt: state.levelAttempt + 1,
+        levelStartStats: { health: 3, coins: 0, score: 0, form: 'small' },
+        levelStartDeaths: 0,
         difficulty: 1,
         deaths: 0,
         completionTimes: [],
         activeDialog: null,
         dialogHistory: [],
+        nearbyNPC: null,
+        recording: null,
+        replay: null,
+        sharedGhost: null,
         levelStartTime: Date.now(),
-      }),
+      })),
+
+    // --- Save Game ---
+    /** Slot the current run autosaves to */
+    saveSlot: 1,
+    /** @type {import('../game/save/saveSystem').SaveSummary[]} */
+    saveSlots: listSaves(),
+    refreshSaveSlots: () => set({ saveSlots: listSaves() }),
+
+    /** Checkpoints the current level into the active slot. */
+    autosave: () => {
+      if (get().replay) return;
+      writeSave(get().saveSlot, get());
+      get().refreshSaveSlots();
+    },
+
+    deleteSaveSlot: (slot) => {
+      deleteSave(slot);
+      get().refreshSaveSlots();
+    },
 
-    startGame: () =>
-      set({
+    /** Starts a new game in a save slot, overwriting whatever was saved there. */
+    startGame: (slot = get().saveSlot) => {
+      get().resetGame();
+      set({ saveSlot: slot });
+      get().autosave();
+    },
+
+    /**
+     * Resumes a saved run at the start of its saved level — the exact level that
+     * was generated, not a new one.
+     * @param {number} slot
+     * @returns {boolean} False when the slot is empty or its save is unusable
+     */
+    continueGame: (slot) => {
+      const save = readSave(slot);
+      if (!save) return false;
+
+      const { x, y, z } = save.levelData.spawnPoint;
+      set((state) => ({
         phase: 'playing',
+        pausedAt: 0,
+        saveSlot: slot,
+        levelNumber: save.levelNumber,
+        levelAttempt: state.levelAttempt + 1,
+        levelData: save.levelData,
+        ...freshLevelState(save.levelData),
+        difficulty: save.difficulty,
+        deaths: save.deaths,
+        completionTimes: save.completionTimes,
+        levelStartStats: save.player,
+        levelStartDeaths: save.deaths,
         levelStartTime: Date.now(),
+        activeDialog: null,
+        dialogHistory: [],
+        nearbyNPC: null,
+        recording: null,
+        replay: null,
+        sharedGhost: null,
         player: {
-          health: 3,
-          coins: 0,
-          score: 0,
-          position: [0, 2, 0],
+          ...state.player,
+          ...save.player,
+          position: [x, y, z],
           velocity: [0, 0, 0],
           isGrounded: false,
           isInvincible: false,
+          hasStar: false,
         },
+        fireballs: [],
+      }));
+      return true;
+    },
+
+    /**
+     * Replays the current level from the start: coins, power-ups, blocks and enemies
+     * come back, the timer restarts and player stats return to what they were when
+     * the level began.
+     * During a replay this starts the recording over.
+     */
+    restartLevel: () =>
+      set((state) => {
+        if (!['playing', 'paused', 'victory'].includes(state.phase)) return state;
+        const { x, y, z } = state.levelData.spawnPoint;
+        return {
+          phase: 'playing',
+          pausedAt: 0,
+          levelAttempt: state.levelAttempt + 1,
+          levelData: {
+            ...state.levelData,
+            coins: state.levelData.coins.map((c) => ({ ...c, collected: false })),
+            powerUps: (state.levelData.powerUps ?? []).map((u) => ({ ...u, collected: false })),
+          },
+          ...freshLevelState(state.levelData),
+          levelStartTime: Date.now(),
+          activeDialog: null,
+          nearbyNPC: null,
+          player: {
+            ...state.player,
+            ...state.levelStartStats,
+            position: [x, y, z],
+            velocity: [0, 0, 0],
+            isGrounded: false,
+            isInvincible: false,
+            hasStar: false,
+          },
+          fireballs: [],
+        };
       }),
 
-    nextLevel: () =>
-      set((state) => ({
-        phase: 'loading',
-        levelNumber: state.levelNumber + 1,
-      })),
+    /** Checkpoints the current run and returns to the main menu. */
+    quitToMenu: () => {
+      if (get().phase === 'playing' || get().phase === 'paused') get().autosave();
+      get().resetGame();
+      set({ phase: 'menu' });
+    },
+
+    /**
+     * Records the completion time and enters the victory phase (once per level).
+     * A run faster than the level's best becomes its new ghost.
+     */
+    completeLevel: () => {
+      const state = get();
+      if (state.phase !== 'playing') return;
+      const time = (Date.now() - state.levelStartTime) / 1000;
+      set({ phase: 'victory', completionTimes: [...state.completionTimes, time] });
+
+      if (!state.recording || state.replay) return;
+      const ghost = createGhost(state.recording.levelData, state.levelNumber, time, state.recording.positions);
+      if (saveGhostIfFaster(ghost)) set({ ghost, newBestGhost: true });
+    },
+
+    /**
+     * Enters the loading phase, picks the next difficulty from the last level's
+     * performance and replaces levelData before switching back to 'playing'.
+     */
+    nextLevel: async () => {
+      const state = get();
+      if (state.replay) return;
+      const levelNumber = state.levelNumber + 1;
+      const { coins } = state.levelData;
+      const difficulty = calculateNextDifficulty({
+        deaths: state.deaths,
+        completionTime: state.completionTimes[state.completionTimes.length - 1],
+        coinsCollected: coins.filter((c) => c.collected).length,
+        totalCoins: coins.length,
+        currentDifficulty: state.difficulty,
+      });
+
+      set({ phase: 'loading', levelNumber, difficulty, loadingMessage: '', activeDialog: null, nearbyNPC: null });
+
+      const { levelData } = await loadLevel({
+        difficulty,
+        levelNumber,
+        seed: Math.floor(Math.random() * 0x100000000),
+        playerStats: { deaths: state.deaths, score: state.player.score },
+        onStatus: (loadingMessage) => set({ loadingMessage }),
+      });
+
+      // Ignore stale results if the player left the loading screen meanwhile
+      if (get().phase !== 'loading' || get().levelNumber !== levelNumber) return;
+
+      const { x, y, z } = levelData.spawnPoint;
+      set((current) => ({
+        levelData,
+        ...freshLevelState(levelData),
+        phase: 'playing',
+        loadingMessage: '',
+        levelStartTime: Date.now(),
+        levelStartStats: {
+          health: current.player.health,
+          coins: current.player.coins,
+          score: current.player.score,
+          form: current.player.form,
+        },
+        levelStartDeaths: current.deaths,
+        player: {
+          ...current.player,
+          position: [x, y, z],
+          velocity: [0, 0, 0],
+          isGrounded: false,
+          isInvincible: false,
+          hasStar: false,
+        },
+        fireballs: [],
+      }));
+      get().autosave();
+    },
   }))
 );
 
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview The level is keyed by levelNumber and levelAttempt (see App.jsx),
+ * so every way of starting a level over must change that key — otherwise the old
+ * level stays mounted and its enemies, blocks and boss carry over.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import useGameStore from './gameStore.js';
+
+const levelKey = () => `${useGameStore.getState().levelNumber}-${useGameStore.getState().levelAttempt}`;
+
+test('retrying after a game over on level 1 remounts the level', () => {
+  const { resetGame, takeDamage } = useGameStore.getState();
+  resetGame();
+  useGameStore.setState((state) => ({ player: { ...state.player, health: 1 } }));
+  takeDamage();
+  assert.equal(useGameStore.getState().phase, 'gameover');
+  const keyAtGameOver = levelKey();
+
+  resetGame();
+  const state = useGameStore.getState();
+  assert.equal(state.phase, 'playing');
+  assert.equal(state.levelNumber, 1);
+  assert.equal(state.player.health, 3);
+  assert.notEqual(levelKey(), keyAtGameOver);
+});
@@ -5,7 +5,12 @@
 
 /** Physics constants */
 export const PHYSICS = {
-  GRAVITY: -20,
+  GRAVITY: -25, // World gravity passed to <Physics>
+  TIME_STEP: 1 / 60,
+  PLAYER_GRAVITY_SCALE: 1.8,
+  PLAYER_LINEAR_DAMPING: 1,
+  GROUND_ACCEL: 0.25, // Per-frame lerp factor toward target velocity
+  AIR_ACCEL: 0.12,
   JUMP_FORCE: 8,
   MOVE_SPEED: 6,
   MAX_FALL_SPEED: -30,
@@ -21,6 +26,7 @@ export const PLAYER = {
   MAX_HEALTH: 3,
   INVINCIBILITY_DURATION: 1500, // ms
   RESPAWN_HEIGHT: -10, // Y threshold for falling off map
+  FORMS: ['small', 'big', 'fire'], // Power-up state; anything but small absorbs one hit
 };
 
 /** Camera constants */
@@ -35,12 +41,21 @@ export const LEVEL = {
   MAX_PLATFORMS: 50,
   MAX_ENEMIES: 15,
   MAX_COINS: 30,
+  MAX_NPCS: 3,
+  MAX_POWERUPS: 5,
+  MAX_BLOCKS: 20,
+  MAX_MOVING_PLATFORMS: 8,
   MIN_PLATFORM_WIDTH: 2,
   MAX_GAP: 8,
   MIN_DIFFICULTY: 1,
   MAX_DIFFICULTY: 10,
 };
 
+/** Goal flag constants */
+export const GOAL = {
+  REACH_DISTANCE: 2.0, // Player-to-flag distance that completes the level
+};
+
 /** Coin constants */
 export const COIN = {
   RADIUS: 0.3,
@@ -49,7 +64,105 @@ export const COIN = {
   SCORE_VALUE: 100,
 };
 
-/** Enemy types and their base properties */
+/** Power-up constants */
+export const POWERUP = {
+  COLLECT_DISTANCE: 1.2,
+  SCORE_VALUE: 1000,
+  BIG_SCALE: 1.25, // Player mesh scale while powered up — cosmetic, the collider stays PLAYER size
+  STAR_DURATION: 10000, // ms
+  FIREBALL_SPEED: 10,
+  FIREBALL_BOUNCE: 6, // Upward speed after landing on a platform
+  FIREBALL_RADIUS: 0.2,
+  FIREBALL_LIFETIME: 3, // seconds
+  MAX_FIREBALLS: 2, // In flight at once
+};
+
+/** Power-up types accepted in level data and the player form each one grants */
+export const POWERUP_TYPES = {
+  mushroom: { color: '#E52521', form: 'big' },
+  fireFlower: { color: '#FF6F00', form: 'fire' },
+  star: { color: '#FFD600', form: null }, // Timed invincibility, form unchanged
+};
+
+/** Hittable block constants */
+export const BLOCK = {
+  SIZE: 1,
+  // Gap between a platform top and the block above it: more than PLAYER.HEIGHT so the
+  // player walks under it, less than that plus the jump height so a jump bumps it
+  HOVER: 1.35,
+  TYPES: ['question', 'brick'],
+  CONTENTS: ['coin', 'mushroom', 'fireFlower', 'star'], // What a question block releases
+  ITEM_OFFSET: 1.5, // Released power-ups land this far right of their block
+  COLORS: { question: '#FFB300', brick: '#B5542B', used: '#8D6E63' },
+};
+
+/** NPC constants */
+export const NPC = {
+  WIDTH: 0.8,
+  HEIGHT: 1.4,
+  TALK_DISTANCE: 2.5, // Player-to-NPC distance that allows starting a conversation
+  MAX_NAME_LENGTH: 24,
+  MAX_PERSONALITY_LENGTH: 120,
+  MAX_MESSAGE_LENGTH: 200,
+};
+
+/** Save game constants */
+export const SAVE = {
+  VERSION: 1, // Bump (and add a migration in saveSystem.js) when the save format changes
+  SLOTS: 3,
+  KEY_PREFIX: 'mario-infinite-kingdoms:save:',
+};
+
+/** Input recording / replay constants */
+export const REPLAY = {
+  VERSION: 1, // Bump when the recording format changes
+  MAX_FRAMES: 60 * 60 * 30, // 30 minutes of physics steps at PHYSICS.TIME_STEP
+  FILE_PREFIX: 'mario-replay',
+};
+
+/** Ghost runner constants */
+export const GHOST = {
+  VERSION: 1,
+  SAMPLE_STEPS: 3, // Player position is sampled every this many physics steps
+  MAX_SAMPLES: 60 * 60 * 10, // 30 minutes at SAMPLE_STEPS
+  OPACITY: 0.35,
+  KEY_PREFIX: 'mario-infinite-kingdoms:ghost:',
+  FILE_PREFIX: 'mario-ghost',
+};
+
+/** Control bindings persistence */
+export const CONTROLS = {
+  VERSION: 1,
+  STORAGE_KEY: 'mario-infinite-kingdoms:controls',
+};
+
+/** On-screen touch controls */
+export const TOUCH = {
+  STORAGE_KEY: 'mario-infinite-kingdoms:touch',
+  MODES: ['auto', 'always', 'never'], // Auto shows them on touch devices only
+  LAYOUTS: ['joystick-left', 'joystick-right'],
+  SIZES: { small: 96, medium: 128, large: 160 }, // Joystick diameter in px
+  JOYSTICK_DEADZONE: 0.25, // Fraction of the joystick radius ignored around the center
+};
+
+/** Gamepad constants (standard mapping) */
+export const GAMEPAD = {
+  STICK_DEADZONE: 0.25, // Left stick travel ignored around the center
+  MENU_STICK_THRESHOLD: 0.6, // Stick travel that counts as a menu up/down press
+};
+
+/** Voice input constants */
+export const VOICE = {
+  PUSH_TO_TALK_KEY: 'v', // Hold to listen (toggles listening in continuous mode)
+  RESTART_DELAY_MS: 300, // Pause before continuous listening resumes after silence
+};
+
+/**
+ * Enemy types and their base properties.
+ * movement: 'walk' (patrol or chase along platforms), 'fly' (patrol on a sine path
+ * around its level position) or 'pipe' (a piranha popping out of a pipe in place).
+ * minDifficulty: generated levels only use the type from this difficulty.
+ */
 export const ENEMY_TYPES = {
   goomba: {
     color: '#8B4513',
@@ -58,6 +171,10 @@ export const ENEMY_TYPES = {
     width: 0.8,
     height: 0.8,
     scoreValue: 200,
+    fireproof: false, // Fireproof enemies ignore fireballs
+    stompable: true, // Unstompable enemies hurt a player landing on them
+    movement: 'walk',
+    minDifficulty: 1,
   },
   koopa: {
     color: '#228B22',
@@ -66,9 +183,130 @@ export const ENEMY_TYPES = {
     width: 0.8,
     height: 1.0,
     scoreValue: 400,
+    fireproof: false,
+    stompable: true,
+    movement: 'walk',
+    minDifficulty: 1,
+    shell: true, // Stomping leaves a shell that can be kicked
+  },
+  piranha: {
+    color: '#43A047',
+    speed: 0,
+    patrolRange: 0,
+    width: 0.7,
+    height: 1.1,
+    scoreValue: 200,
+    fireproof: false,
+    stompable: false,
+    movement: 'pipe',
+    minDifficulty: 3,
+  },
+  paratroopa: {
+    color: '#C62828',
+    speed: 1.5,
+    patrolRange: 5,
+    width: 0.8,
+    height: 1.0,
+    scoreValue: 400,
+    fireproof: false,
+    stompable: true,
+    movement: 'fly',
+    minDifficulty: 4,
+  },
+  spiny: {
+    color: '#E53935',
+    speed: 1.2,
+    patrolRange: 4,
+    width: 0.8,
+    height: 0.8,
+    scoreValue: 300,
+    fireproof: false,
+    stompable: false,
+    movement: 'walk',
+    minDifficulty: 5,
+  },
+  hammerBro: {
+    color: '#2E7D32',
+    speed: 1.0,
+    patrolRange: 2,
+    width: 0.8,
+    height: 1.3,
+    scoreValue: 1000,
+    fireproof: false,
+    stompable: true,
+    movement: 'walk',
+    minDifficulty: 7,
+    throwsHammers: true,
   },
 };
 
+/** Tuning for enemies with special movement or attacks (see enemies/enemyBehaviors.js) */
+export const ENEMY = {
+  PIPE_HEIGHT: 0.6, // Piranha pipes are scenery without a collider, so reachability is unchanged
+  PIPE_WIDTH: 1.0,
+  PIRANHA_HIDDEN: 2, // Seconds in the pipe
+  PIRANHA_RISE: 0.5, // Seconds to rise out or sink back
+  PIRANHA_OUT: 2, // Seconds fully out
+  PIRANHA_SHY_DISTANCE: 1.5, // Stays hidden while the player is this close (x) to the pipe
+  PIRANHA_HARMFUL_EXPOSURE: 0.25, // Only bites once this far out of the pipe
+  FLY_AMPLITUDE: 1.2, // Paratroopa sine path
+  FLY_FREQUENCY: 1.5, // Radians per second
+  HAMMER_INTERVAL: 2.5, // Seconds between throws
+  HAMMER_RANGE: 10, // Only throws at a player this close (x)
+  HAMMER_SPEED_Y: 9,
+  HAMMER_MAX_VX: 4,
+  HAMMER_SIZE: 0.3,
+  HAMMER_LIFETIME: 3,
+  MAX_HAMMERS: 3, // In flight per thrower
+  CHASE_START: 8, // A chaser starts chasing a player this close
+  CHASE_STOP: 12, // ...and goes back to patrolling once they are this far
+  CHASE_SPEED_FACTOR: 1.3,
+  STOMP_BOUNCE: 6, // Upward speed the player bounces off a stomped enemy with
+  CONTACT_COOLDOWN: 1.5, // Seconds between hits from an enemy the player stays inside
+};
+
+/** Koopa shells (see enemies/shellSystem.js) */
+export const SHELL = {
+  WIDTH: 0.8,
+  HEIGHT: 0.6,
+  SPEED: 8, // Sliding speed after a kick
+  KICK_GRACE: 0.3, // Seconds after a kick before the shell can hurt the player
+  COMBO_SCORES: [500, 800, 1000, 2000, 4000, 5000, 8000], // Per enemy knocked out in one slide
+  COLOR: '#1B5E20',
+};
+
+/** Castle boss fight (see enemies/bossAI.js) */
+export const BOSS = {
+  NAME: 'Bowser',
+  WIDTH: 1.6,
+  HEIGHT: 1.8,
+  SLUMP_HEIGHT: 0.4, // Slumped after an attack — low enough to stomp
+  COLOR: '#558B2F',
+  SHELL_COLOR: '#33691E',
+  TELEGRAPH_COLOR: '#FF6F00', // Glow while winding up an attack
+  MAX_HEALTH: 3, // Stomps to win
+  SCORE_VALUE: 5000,
+  WALK_SPEED: 1.2,
+  PACE_RANGE: 2, // Paces this far either side of where it stands
+  WAKE_DISTANCE: 14, // Starts attacking once the player is this close
+  IDLE_TIME: 2, // Seconds between attacks at full health; shorter as it gets hurt
+  TELEGRAPH_TIME: 0.8, // Warning before each attack
+  RECOVER_TIME: 1.2, // Slumped after each attack
+  STUN_TIME: 1.5, // Harmless and can't be stomped again after a stomp
+  CHARGE_SPEED: 5,
+  CHARGE_TIME: 1.5,
+  JUMP_SPEED: 10,
+  FLAME_SPEED: 5,
+  FLAME_SIZE: 0.4,
+  FLAME_LIFETIME: 4,
+  VICTORY_DELAY: 2.5, // Seconds of victory sequence before the level completes
+  BRIDGE_WIDTH: 12, // Offline arena layout
+  AXE_PLATFORM_WIDTH: 3,
+};
+
+/** Enemy AI behaviors accepted in level data */
+export const ENEMY_BEHAVIORS = ['patrol', 'chase'];
+
 /** Platform visual styles */
 export const PLATFORM_COLORS = {
   grass: '#4CAF50',
@@ -76,11 +314,56 @@ export const PLATFORM_COLORS = {
   stone: '#808080',
   ice: '#ADD8E6',
   lava: '#FF4500',
+  bouncy: '#E040FB',
+  crumbling: '#A1887F',
+  bridge: '#8D6E63',
+};
+
+/**
+ * Surface behavior per platform type. groundAccel replaces PHYSICS.GROUND_ACCEL
+ * while standing on the platform; the rest are flags read by Player and Platforms.
+ */
+export const PLATFORM_SURFACES = {
+  grass: { friction: 1, groundAccel: PHYSICS.GROUND_ACCEL },
+  brick: { friction: 1, groundAccel: PHYSICS.GROUND_ACCEL },
+  stone: { friction: 1, groundAccel: PHYSICS.GROUND_ACCEL },
+  ice: { friction: 0, groundAccel: 0.03 }, // Slow to start and slow to stop
+  lava: { friction: 1, groundAccel: PHYSICS.GROUND_ACCEL, damages: true },
+  bouncy: { friction: 1, groundAccel: PHYSICS.GROUND_ACCEL, bounceSpeed: 14 },
+  crumbling: { friction: 1, groundAccel: PHYSICS.GROUND_ACCEL, crumbles: true },
+  bridge: { friction: 1, groundAccel: PHYSICS.GROUND_ACCEL, collapses: true }, // Falls when the boss axe is cut
+};
+
+/** Moving platform path limits */
+export const MOVING_PLATFORM = {
+  PATHS: ['linear', 'circular', 'waypoints'],
+  MIN_SPEED: 0.5, // World units per second along the path
+  MAX_SPEED: 4,
+  MAX_RANGE: 8, // Furthest a path may take a platform from its level position, per axis
+  MAX_WAYPOINTS: 6,
+  MIN_DIFFICULTY: 4, // Generated levels only get moving platforms from this difficulty
 };
 
+/** Platform hazard and crumbling timings */
+export const PLATFORM = {
+  LAVA_KNOCKBACK: 9, // Upward speed the player is thrown clear of lava with
+  CRUMBLE_DELAY_STEPS: 30, // Physics steps a crumbling platform holds once stepped on
+  CRUMBLE_RESPAWN_STEPS: 300, // Physics steps until a fallen platform is back
+  CRUMBLE_SHAKE: 0.06, // Visual shake while it is about to fall
+};
+
+/** Vite injects import.meta.env; it is undefined when the API server imports this module under Node */
+const env = import.meta.env || {};
+
 /** API configuration */
 export const API = {
-  BASE_URL: import.meta.env.VITE_API_URL || 'http://localhost:3001',
+  BASE_URL: env.VITE_API_URL || 'http://localhost:3001',
   DEBOUNCE_MS: 300,
   CACHE_TTL: 60000, // 1 minute
+  LEVEL_MAX_ATTEMPTS: 3,
+  LEVEL_TIMEOUT_MS: 15000,
+  LEVEL_RETRY_DELAY_MS: 500,
+  MAX_LEVEL_PROMPT_LENGTH: 4000, // Proxy rejects longer level prompts; buildLevelPrompt stays under it
+  DIALOG_TIMEOUT_MS: 10000,
+  OFFLINE_LEVELS: env.VITE_OFFLINE_LEVELS === 'true', // Skip Gemini, always use the seeded generator
 };